@@ -5,14 +5,17 @@
 // Architecture modulaire pour isolation, orchestration, networking, storage
 
 import { spawn, exec, execSync } from 'child_process';
-import { promises as fs, existsSync, createReadStream, createWriteStream } from 'fs';
-import { createHash, randomBytes } from 'crypto';
-import { join, resolve, dirname, basename } from 'path';
+import { promises as fs, existsSync, createReadStream, createWriteStream, readFileSync, renameSync } from 'fs';
+import { createHash, randomBytes, randomUUID, generateKeyPairSync, createPrivateKey, createPublicKey, sign as cryptoSign, verify as cryptoVerify } from 'crypto';
+import { join, resolve, dirname, basename, posix } from 'path';
 import { fileURLToPath } from 'url';
 import { promisify } from 'util';
 import * as os from 'os';
 import * as net from 'net';
 import { EventEmitter } from 'events';
+import { gzipSync, gunzipSync } from 'zlib';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 
 // External dependencies (minimales)
 let chalk, program, inquirer;
@@ -85,6 +88,14 @@ const rust = {
       return this.resource;
     },
     
+    // Immutable borrow: lecture seule, autorisée plusieurs fois
+    view() {
+      if (this.dropped) {
+        throw new Error('Cannot view: resource already dropped');
+      }
+      return this.resource;
+    },
+    
     drop() {
       if (this.dropped) return;
       this.dropped = true;
@@ -207,412 +218,6022 @@ class DockerModule extends EventEmitter {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// 🔒 MODULE ISOLATION - ESSENCES: LINUX + RUST + GO
+// 💽 STATE STORE - PERSISTANCE DU DATA-ROOT (ESSENCE: RUST)
 // ═══════════════════════════════════════════════════════════════════════════════
 
-class IsolationModule extends DockerModule {
-  constructor() {
-    super('Isolation');
-    // NEXUS AXION Essences
-    this.linuxEssence = linux;
-    this.rustEssence = rust;
-    this.goEssence = go;
-    
-    // Container isolation state
-    this.namespaces = new Map();
-    this.cgroups = new Map();
-    this.containers = new Map();
+const DEFAULT_DATA_ROOT = join(os.tmpdir(), 'docker-nexus');
+const STATE_LOCK_TIMEOUT = 10000;
+const STATE_LOCK_STALE = 30000;
+
+class StateStore {
+  constructor(dataRoot = process.env.DOCKER_NEXUS_DATA_ROOT || DEFAULT_DATA_ROOT) {
+    this.dataRoot = resolve(dataRoot);
+    this.stateDir = join(this.dataRoot, 'state');
+    // Une chaîne d'écritures par clé: les sauvegardes ne s'entrelacent jamais
+    this.writes = new Map();
   }
-  
-  async _handleOperation(operation, data, options) {
-    switch (operation) {
-      case 'create_namespace':
-        return await this.createNamespace(data.type, data.name);
-        
-      case 'create_cgroup':
-        return await this.createCgroup(data.name, data.limits);
-        
-      case 'isolate_container':
-        return await this.isolateContainer(data.containerId, data.config);
-        
-      case 'setup_filesystem':
-        return await this.setupContainerFilesystem(data.containerId, data.image);
-        
-      default:
-        throw new Error(`Unknown isolation operation: ${operation}`);
+
+  path(...parts) {
+    return join(this.dataRoot, ...parts);
+  }
+
+  // Lecture synchrone: les modules chargent leur état dans leur constructeur
+  load(key, fallback = null) {
+    const file = join(this.stateDir, `${key}.json`);
+
+    try {
+      return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+
+      // Rust Essence: un état illisible est mis de côté, jamais écrasé silencieusement
+      const quarantine = `${file}.corrupt-${Date.now()}`;
+      try { renameSync(file, quarantine); } catch { /* déjà déplacé */ }
+      console.error(chalk.yellow(`⚠️  State ${key} unreadable (${error.message}), moved to ${quarantine}`));
+      return fallback;
     }
   }
-  
-  async createNamespace(type, name) {
-    // Linux Essence: Création de namespace
-    const namespace = this.linuxEssence.namespace(type);
-    this.namespaces.set(name, namespace);
-    
-    return rust.result({
-      namespace: name,
-      type,
-      pid: process.pid,
-      isolated: true
-    });
+
+  async save(key, data, mode = 0o666) {
+    const file = join(this.stateDir, `${key}.json`);
+    const content = JSON.stringify(data, null, 2);
+
+    const previous = this.writes.get(key) || Promise.resolve();
+    const write = previous.catch(() => {}).then(() => this.writeAtomic(file, content, mode));
+    this.writes.set(key, write);
+
+    return write;
   }
-  
-  async createCgroup(name, limits) {
-    // Linux Essence: Control Groups
-    const cgroup = this.linuxEssence.cgroup(name, limits);
-    this.cgroups.set(name, cgroup);
-    
-    return rust.result({
-      cgroup: name,
-      limits,
-      enforced: true
-    });
+
+  // Lecture-modification-écriture sous verrou: le superviseur et le CLI partagent le même état
+  async update(key, fallback, change, mode = 0o666) {
+    const file = join(this.stateDir, `${key}.json`);
+
+    const previous = this.writes.get(key) || Promise.resolve();
+    const write = previous.catch(() => {}).then(() => this.locked(file, async () => {
+      const data = change(this.load(key, fallback));
+      await this.writeAtomic(file, JSON.stringify(data, null, 2), mode);
+      return data;
+    }));
+    this.writes.set(key, write);
+
+    return write;
   }
-  
-  async isolateContainer(containerId, config) {
-    // Rust Essence: Ownership sécurisé du container
-    const containerResource = rust.own({
-      id: containerId,
-      config,
-      namespaces: [],
-      cgroups: [],
-      filesystem: null,
-      network: null,
-      pid: null
-    }, 'container_lifetime');
-    
-    // Go Essence: Isolation concurrente
-    const isolationTasks = [
-      () => this.createNamespace('pid', `${containerId}_pid`),
-      () => this.createNamespace('net', `${containerId}_net`),
-      () => this.createNamespace('mnt', `${containerId}_mnt`),
-      () => this.createCgroup(containerId, config.resources || {})
-    ];
-    
-    const results = await this.goEssence.concurrent(isolationTasks);
-    const container = containerResource.borrow();
-    
-    container.namespaces = results.slice(0, 3).map(r => r.unwrap());
-    container.cgroups = [results[3].unwrap()];
-    
-    this.containers.set(containerId, containerResource);
-    
-    return rust.result({
-      containerId,
-      isolated: true,
-      namespaces: container.namespaces.length,
-      resources_limited: true,
-      security_context: 'restricted'
-    });
+
+  // Verrou inter-processus: fichier créé en exclusif, repris s'il a été abandonné
+  async locked(file, task) {
+    const lock = `${file}.lock`;
+    const deadline = Date.now() + STATE_LOCK_TIMEOUT;
+    await fs.mkdir(dirname(file), { recursive: true });
+
+    while (true) {
+      try {
+        await (await fs.open(lock, 'wx')).close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const stats = await fs.stat(lock).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > STATE_LOCK_STALE) {
+        await fs.rm(lock, { force: true });
+      } else if (Date.now() >= deadline) {
+        throw new Error(`State ${basename(file)} is locked by another process (${lock})`);
+      } else {
+        await new Promise(resolvePromise => setTimeout(resolvePromise, 20));
+      }
+    }
+
+    try {
+      return await task();
+    } finally {
+      await fs.rm(lock, { force: true });
+    }
   }
-  
-  async setupContainerFilesystem(containerId, imagePath) {
-    const containerFs = join(os.tmpdir(), 'docker-nexus', 'containers', containerId);
-    
+
+  // Écriture atomique: fichier temporaire + fsync + rename
+  async writeAtomic(file, content, mode = 0o666) {
+    await fs.mkdir(dirname(file), { recursive: true });
+
+    const tmpFile = `${file}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+    const handle = await fs.open(tmpFile, 'w', mode);
+
     try {
-      await fs.mkdir(containerFs, { recursive: true });
-      
-      // Simulation du mount de l'image
-      const mount = linux.mount(imagePath, containerFs, 'overlayfs');
-      
-      // Directories standards
-      const stdDirs = ['bin', 'etc', 'home', 'tmp', 'var', 'usr'];
-      await Promise.all(
-        stdDirs.map(dir => fs.mkdir(join(containerFs, dir), { recursive: true }))
-      );
-      
-      return rust.result({
-        containerId,
-        filesystem: containerFs,
-        mounted: true,
-        rootfs: containerFs
-      });
-      
+      await handle.writeFile(content);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    try {
+      await fs.rename(tmpFile, file);
     } catch (error) {
-      return rust.result(null, error.message);
+      await fs.rm(tmpFile, { force: true });
+      throw error;
     }
   }
-  
-  getCapabilities() {
-    return [
-      'create_namespace',
-      'create_cgroup', 
-      'isolate_container',
-      'setup_filesystem'
-    ];
+
+  async flush() {
+    await Promise.allSettled(Array.from(this.writes.values()));
   }
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// 📦 MODULE IMAGE - ESSENCES: RUST + GO + LINUX
+// 📼 TAR ESSENCE - ARCHIVES DE LAYERS (USTAR + PAX)
 // ═══════════════════════════════════════════════════════════════════════════════
 
-class ImageModule extends DockerModule {
-  constructor() {
-    super('Image');
-    this.images = new Map();
-    this.layers = new Map();
-    this.registries = new Map();
-    
-    // Default registry simulation
-    this.registries.set('docker.io', {
-      url: 'https://registry.hub.docker.com',
-      auth: null
-    });
-  }
+const TAR_BLOCK = 512;
+const TAR_TYPES = { file: '0', hardlink: '1', symlink: '2', directory: '5' };
+const TAR_TYPE_NAMES = { '0': 'file', '\0': 'file', '7': 'file', '1': 'hardlink', '2': 'symlink', '5': 'directory' };
+
+const tar = {
+  // Horodatage reproductible: SOURCE_DATE_EPOCH ou epoch 0
+  epoch() {
+    return parseInt(process.env.SOURCE_DATE_EPOCH || '0', 10) || 0;
+  },
   
-  async _handleOperation(operation, data, options) {
-    switch (operation) {
-      case 'build_image':
-        return await this.buildImage(data.name, data.dockerfile, data.context);
-        
-      case 'pull_image':
-        return await this.pullImage(data.name, data.tag);
-        
-      case 'push_image':
-        return await this.pushImage(data.name, data.tag);
-        
-      case 'list_images':
-        return await this.listImages();
-        
-      case 'remove_image':
-        return await this.removeImage(data.name, data.tag);
-        
-      case 'inspect_image':
-        return await this.inspectImage(data.name, data.tag);
-        
-      default:
-        throw new Error(`Unknown image operation: ${operation}`);
-    }
-  }
+  writeString(block, value, offset, length) {
+    Buffer.from(value, 'utf8').copy(block, offset, 0, length);
+  },
   
-  async buildImage(name, dockerfile, contextPath = '.') {
-    console.log(chalk.blue(`🔨 Building image ${name} from ${dockerfile}`));
-    
-    try {
-      // Parse Dockerfile
-      const dockerfileContent = await fs.readFile(dockerfile, 'utf8');
-      const instructions = this.parseDockerfile(dockerfileContent);
-      
-      // Rust Essence: Sécurité dans la construction
-      const buildContext = rust.own({
-        name,
-        instructions,
-        layers: [],
-        metadata: {
-          created: new Date().toISOString(),
-          author: 'docker-nexus',
-          architecture: process.arch,
-          os: process.platform
-        }
-      }, 'build_lifetime');
-      
-      const context = buildContext.borrow();
-      
-      // Go Essence: Construction parallèle des layers
-      const layerTasks = instructions.map((instruction, index) => 
-        () => this.buildLayer(instruction, index, context)
-      );
+  writeOctal(block, value, offset, length) {
+    const octal = Math.floor(value).toString(8).padStart(length - 1, '0');
+    block.write(octal + '\0', offset, length, 'ascii');
+  },
+  
+  header(entry) {
+    const block = Buffer.alloc(TAR_BLOCK);
+    const type = TAR_TYPES[entry.type] ?? entry.type;
+    
+    tar.writeString(block, entry.name, 0, 100);
+    tar.writeOctal(block, entry.mode ?? (entry.type === 'directory' ? 0o755 : 0o644), 100, 8);
+    tar.writeOctal(block, entry.uid || 0, 108, 8);
+    tar.writeOctal(block, entry.gid || 0, 116, 8);
+    tar.writeOctal(block, entry.size || 0, 124, 12);
+    tar.writeOctal(block, entry.mtime ?? tar.epoch(), 136, 12);
+    block.write(type, 156, 1, 'ascii');
+    tar.writeString(block, entry.linkname || '', 157, 100);
+    block.write('ustar\0', 257, 6, 'ascii');
+    block.write('00', 263, 2, 'ascii');
+    tar.writeString(block, entry.uname || '', 265, 32);
+    tar.writeString(block, entry.gname || '', 297, 32);
+    
+    // Checksum calculé avec le champ rempli d'espaces
+    block.fill(' ', 148, 156);
+    const checksum = block.reduce((sum, byte) => sum + byte, 0);
+    block.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+    
+    return block;
+  },
+  
+  paxRecords(records) {
+    return Buffer.from(Object.entries(records).map(([key, value]) => {
+      const body = ` ${key}=${value}\n`;
+      let length = body.length + 1;
+      while (String(length).length + Buffer.byteLength(body) !== length) {
+        length = String(length).length + Buffer.byteLength(body);
+      }
+      return `${length}${body}`;
+    }).join(''), 'utf8');
+  },
+  
+  pad(size) {
+    const remainder = size % TAR_BLOCK;
+    return remainder ? Buffer.alloc(TAR_BLOCK - remainder) : Buffer.alloc(0);
+  },
+  
+  // entries: [{ name, type, mode, uid, gid, mtime, linkname, content }]
+  pack(entries) {
+    const chunks = [];
+    
+    for (const entry of entries) {
+      const content = entry.type === 'file' ? (entry.content || Buffer.alloc(0)) : Buffer.alloc(0);
+      const name = entry.type === 'directory' && !entry.name.endsWith('/') ? `${entry.name}/` : entry.name;
+      const pax = {};
       
-      console.log(chalk.yellow(`📋 Processing ${instructions.length} instructions...`));
+      if (Buffer.byteLength(name) > 100) pax.path = name;
+      if (entry.linkname && Buffer.byteLength(entry.linkname) > 100) pax.linkpath = entry.linkname;
       
-      // Build séquentiel pour respecter l'ordre Dockerfile
-      for (let i = 0; i < layerTasks.length; i++) {
-        const layerResult = await layerTasks[i]();
-        context.layers.push(layerResult);
-        console.log(chalk.green(`✅ Step ${i + 1}/${instructions.length} completed`));
+      if (Object.keys(pax).length > 0) {
+        const records = tar.paxRecords(pax);
+        chunks.push(tar.header({ name: 'PaxHeader', type: 'x', size: records.length, mode: 0o644 }));
+        chunks.push(records, tar.pad(records.length));
       }
       
-      // Store image
-      const imageId = this.generateImageId(name, context.layers);
-      const image = {
-        id: imageId,
-        name,
-        tag: 'latest',
-        layers: context.layers,
-        metadata: context.metadata,
-        size: context.layers.reduce((sum, layer) => sum + (layer.size || 0), 0)
-      };
+      chunks.push(tar.header({ ...entry, name: name.slice(0, 100), size: content.length }));
+      chunks.push(content, tar.pad(content.length));
+    }
+    
+    chunks.push(Buffer.alloc(TAR_BLOCK * 2));
+    return Buffer.concat(chunks);
+  },
+  
+  readString(block, offset, length) {
+    const raw = block.subarray(offset, offset + length);
+    const end = raw.indexOf(0);
+    return raw.subarray(0, end === -1 ? length : end).toString('utf8');
+  },
+  
+  readOctal(block, offset, length) {
+    // Extension GNU base-256 pour les grandes tailles
+    if (block[offset] & 0x80) {
+      return block.subarray(offset + 1, offset + length).reduce((value, byte) => value * 256 + byte, 0);
+    }
+    const value = tar.readString(block, offset, length).trim();
+    return value ? parseInt(value, 8) : 0;
+  },
+  
+  parsePax(buffer) {
+    const records = {};
+    let offset = 0;
+    
+    while (offset < buffer.length) {
+      const space = buffer.indexOf(0x20, offset);
+      if (space === -1) break;
+      const length = parseInt(buffer.subarray(offset, space).toString('ascii'), 10);
+      if (!length) break;
+      const record = buffer.subarray(space + 1, offset + length - 1).toString('utf8');
+      const equals = record.indexOf('=');
+      records[record.slice(0, equals)] = record.slice(equals + 1);
+      offset += length;
+    }
+    
+    return records;
+  },
+  
+  // Accepte les archives brutes ou gzip
+  unpack(archive) {
+    const buffer = tar.isGzip(archive) ? gunzipSync(archive) : archive;
+    const entries = [];
+    let offset = 0;
+    let pax = {};
+    let longName = null;
+    let longLink = null;
+    
+    while (offset + TAR_BLOCK <= buffer.length) {
+      const block = buffer.subarray(offset, offset + TAR_BLOCK);
+      if (block.every(byte => byte === 0)) break;
       
-      this.images.set(`${name}:latest`, image);
+      const size = tar.readOctal(block, 124, 12);
+      const type = String.fromCharCode(block[156] || 0x30);
+      const content = buffer.subarray(offset + TAR_BLOCK, offset + TAR_BLOCK + size);
+      offset += TAR_BLOCK + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
       
-      console.log(chalk.green(`🎉 Successfully built ${name}:latest (${imageId.substring(0, 12)})`));
+      if (type === 'x') { pax = tar.parsePax(content); continue; }
+      if (type === 'g') continue;
+      if (type === 'L') { longName = tar.readString(content, 0, content.length); continue; }
+      if (type === 'K') { longLink = tar.readString(content, 0, content.length); continue; }
       
-      return rust.result({
-        imageId,
-        name,
-        tag: 'latest',
-        layers: context.layers.length,
-        size: image.size
+      const prefix = tar.readString(block, 345, 155);
+      const baseName = tar.readString(block, 0, 100);
+      const name = pax.path || longName || (prefix ? `${prefix}/${baseName}` : baseName);
+      
+      entries.push({
+        name: name.replace(/^\.\//, '').replace(/\/$/, ''),
+        type: TAR_TYPE_NAMES[type] || 'other',
+        mode: tar.readOctal(block, 100, 8) & 0o7777,
+        uid: tar.readOctal(block, 108, 8),
+        gid: tar.readOctal(block, 116, 8),
+        mtime: tar.readOctal(block, 136, 12),
+        linkname: pax.linkpath || longLink || tar.readString(block, 157, 100),
+        content: Buffer.from(content)
       });
       
-    } catch (error) {
-      console.error(chalk.red(`❌ Build failed: ${error.message}`));
-      return rust.result(null, error.message);
+      pax = {};
+      longName = null;
+      longLink = null;
     }
-  }
+    
+    return entries.filter(entry => entry.name !== '' && entry.name !== '.');
+  },
   
-  parseDockerfile(content) {
-    return content
-      .split('\n')
-      .filter(line => line.trim() && !line.startsWith('#'))
-      .map(line => {
-        const [command, ...args] = line.trim().split(' ');
-        return {
-          command: command.toUpperCase(),
-          args: args.join(' '),
-          original: line.trim()
-        };
-      });
+  isGzip(buffer) {
+    return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
   }
-  
-  async buildLayer(instruction, index, context) {
-    const { command, args } = instruction;
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔖 IMAGE REFERENCES - [registry[:port]/]namespace/repository[:tag][@digest]
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_REGISTRY = 'docker.io';
+
+const REFERENCE_PATTERNS = {
+  domain: /^(?:localhost|[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)*|\[[0-9a-fA-F:]+\])(?::\d+)?$/,
+  component: /^[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*$/,
+  tag: /^\w[\w.-]{0,127}$/,
+  digest: /^[a-z0-9]+(?:[.+_-][a-z0-9]+)*:[a-zA-Z0-9=_-]{32,}$/
+};
+
+const imageReference = {
+  // Normalisation Docker: alpine -> docker.io/library/alpine:latest
+  parse(text, { defaultTag = 'latest' } = {}) {
+    const invalid = (reason) => new Error(`invalid reference format${reason ? `: ${reason}` : ''}: ${text}`);
+    
+    if (!text || /\s/.test(text)) throw invalid();
+    if (/^[a-f0-9]{64}$/.test(text)) {
+      throw invalid('cannot specify 64-byte hexadecimal strings');
+    }
     
-    switch (command) {
-      case 'FROM':
-        return {
-          type: 'base',
-          instruction: `${command} ${args}`,
-          baseImage: args,
-          size: 100 * 1024 * 1024 // 100MB simulation
-        };
+    let rest = text;
+    let digest = null;
+    const at = rest.indexOf('@');
+    if (at !== -1) {
+      digest = rest.substring(at + 1);
+      rest = rest.substring(0, at);
+      if (!REFERENCE_PATTERNS.digest.test(digest) || (digest.startsWith('sha256:') && !/^sha256:[a-f0-9]{64}$/.test(digest))) {
+        throw invalid('invalid digest');
+      }
+    }
+    
+    let tag = null;
+    const colon = rest.lastIndexOf(':');
+    if (colon > rest.lastIndexOf('/')) {
+      tag = rest.substring(colon + 1);
+      rest = rest.substring(0, colon);
+      if (!REFERENCE_PATTERNS.tag.test(tag)) throw invalid('invalid tag');
+    }
+    
+    // Le premier composant est un registre s'il contient "." ou ":" ou vaut localhost
+    const parts = rest.split('/');
+    let domain = DEFAULT_REGISTRY;
+    if (parts.length > 1 && (/[.:]/.test(parts[0]) || parts[0] === 'localhost')) {
+      domain = parts.shift();
+      if (!REFERENCE_PATTERNS.domain.test(domain)) throw invalid('invalid registry');
+      if (domain === 'index.docker.io') domain = DEFAULT_REGISTRY;
+    }
+    if (domain === DEFAULT_REGISTRY && parts.length === 1) parts.unshift('library');
+    
+    if (parts.some(part => part !== part.toLowerCase())) {
+      throw invalid('repository name must be lowercase');
+    }
+    if (!parts.every(part => REFERENCE_PATTERNS.component.test(part))) throw invalid();
+    
+    const name = `${domain}/${parts.join('/')}`;
+    if (name.length > 255) throw invalid('repository name must not be more than 255 characters');
+    
+    return {
+      domain,
+      path: parts.join('/'),
+      name,
+      tag: tag || (digest ? null : defaultTag),
+      digest
+    };
+  },
+  
+  format({ name, tag, digest }) {
+    return `${name}${tag ? `:${tag}` : ''}${digest ? `@${digest}` : ''}`;
+  },
+  
+  // Forme affichée: docker.io/library/alpine -> alpine, docker.io/user/app -> user/app
+  familiar(name) {
+    return name.replace(new RegExp(`^${DEFAULT_REGISTRY.replace('.', '\\.')}/(library/(?=[^/]+$))?`), '');
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🗄️ BLOB STORE - CONTENU ADRESSABLE PAR DIGEST (blobs/sha256/<digest>)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const MEDIA_TYPES = {
+  layer: 'application/vnd.oci.image.layer.v1.tar',
+  layerGzip: 'application/vnd.oci.image.layer.v1.tar+gzip',
+  config: 'application/vnd.oci.image.config.v1+json',
+  manifest: 'application/vnd.oci.image.manifest.v1+json',
+  index: 'application/vnd.oci.image.index.v1+json'
+};
+
+// Architectures Node -> GOARCH (nomenclature OCI)
+const OCI_ARCH = { x64: 'amd64', ia32: '386', arm64: 'arm64', arm: 'arm', ppc64: 'ppc64le', s390x: 's390x' };
+
+// Plateformes OCI os/architecture[/variant] (linux/arm64, linux/arm/v7)
+const ociPlatform = {
+  parse(text) {
+    const [os, architecture, variant, ...rest] = String(text).trim().toLowerCase().split('/');
+    if (!os || !architecture || rest.length > 0) {
+      throw new Error(`invalid platform "${text}": expected os/arch[/variant]`);
+    }
+    return ociPlatform.normalize({ os, architecture, variant });
+  },
+  
+  // Alias usuels (x86_64, aarch64) et variantes par défaut (arm64 = v8, arm = v7)
+  normalize({ os, architecture, variant }) {
+    const aliases = { x86_64: 'amd64', x86: '386', aarch64: 'arm64', armhf: 'arm', armel: 'arm' };
+    architecture = aliases[architecture] || OCI_ARCH[architecture] || architecture;
+    if (architecture === 'arm64' && variant === 'v8') variant = undefined;
+    if (architecture === 'arm' && !variant) variant = 'v7';
+    
+    return variant ? { os, architecture, variant } : { os, architecture };
+  },
+  
+  format(platform) {
+    const { os, architecture, variant } = ociPlatform.normalize(platform);
+    return [os, architecture, variant].filter(Boolean).join('/');
+  },
+  
+  // Les containers sont toujours Linux, quel que soit l'OS de l'hôte
+  host() {
+    return ociPlatform.normalize({ os: 'linux', architecture: process.arch });
+  },
+  
+  matches(candidate, wanted) {
+    return Boolean(candidate) && ociPlatform.format(candidate) === ociPlatform.format(wanted);
+  }
+};
+
+const digestOf = (buffer) => `sha256:${createHash('sha256').update(buffer).digest('hex')}`;
+
+class BlobStore {
+  constructor(store) {
+    this.store = store;
+    this.root = store.path('blobs', 'sha256');
+  }
+  
+  path(digest) {
+    const [algorithm, hex] = digest.split(':');
+    if (algorithm !== 'sha256' || !/^[a-f0-9]{64}$/.test(hex || '')) {
+      throw new Error(`Invalid digest: ${digest}`);
+    }
+    return join(this.root, hex);
+  }
+  
+  has(digest) {
+    return existsSync(this.path(digest));
+  }
+  
+  // Déduplication: un contenu identique n'est écrit qu'une fois
+  async put(buffer) {
+    const digest = digestOf(buffer);
+    
+    const existed = this.has(digest);
+    
+    if (!existed) {
+      await this.store.writeAtomic(this.path(digest), buffer);
+    }
+    
+    return { digest, size: buffer.length, existed };
+  }
+  
+  async putJSON(object) {
+    return this.put(Buffer.from(JSON.stringify(object)));
+  }
+  
+  async get(digest) {
+    const buffer = await fs.readFile(this.path(digest));
+    
+    if (digestOf(buffer) !== digest) {
+      throw new Error(`Blob ${digest} is corrupted (digest mismatch)`);
+    }
+    
+    return buffer;
+  }
+  
+  async getJSON(digest) {
+    return JSON.parse((await this.get(digest)).toString('utf8'));
+  }
+  
+  // Adopte un fichier déjà écrit (upload du registry) si son contenu correspond au digest attendu
+  async adopt(file, expected) {
+    const target = this.path(expected);
+    const hash = createHash('sha256');
+    for await (const chunk of createReadStream(file)) hash.update(chunk);
+    
+    const digest = `sha256:${hash.digest('hex')}`;
+    const { size } = await fs.stat(file);
+    
+    if (digest !== expected) {
+      await fs.rm(file, { force: true });
+      throw new Error(`digest mismatch: expected ${expected}, got ${digest}`);
+    }
+    
+    const existed = this.has(digest);
+    if (existed) {
+      await fs.rm(file, { force: true });
+    } else {
+      await fs.mkdir(dirname(target), { recursive: true });
+      await fs.rename(file, target);
+    }
+    
+    return { digest, size, existed };
+  }
+  
+  async size(digest) {
+    return (await fs.stat(this.path(digest))).size;
+  }
+  
+  // Un manifest et les blobs qu'il référence (config, layers); manifest absent = rien
+  manifestBlobs(digest) {
+    try {
+      const manifest = JSON.parse(readFileSync(this.path(digest), 'utf8'));
+      return [digest, manifest.config?.digest, ...(manifest.layers || []).map(layer => layer.digest)].filter(Boolean);
+    } catch {
+      return [];
+    }
+  }
+  
+  async delete(digest) {
+    await fs.rm(this.path(digest), { force: true });
+  }
+  
+  async list() {
+    try {
+      const files = await fs.readdir(this.root);
+      return files.filter(file => /^[a-f0-9]{64}$/.test(file)).map(file => `sha256:${file}`);
+    } catch {
+      return [];
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🌍 REGISTRY CLIENT - DISTRIBUTION API V2 (PULL/PUSH, AUTH BEARER + BASIC)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const MANIFEST_ACCEPT = [
+  MEDIA_TYPES.manifest,
+  MEDIA_TYPES.index,
+  'application/vnd.docker.distribution.manifest.v2+json',
+  'application/vnd.docker.distribution.manifest.list.v2+json'
+];
+
+class RegistryClient {
+  constructor(store, blobs) {
+    this.store = store;
+    this.blobs = blobs;
+    this.tokens = new Map();
+    this.auth = this.store.load('auth', { auths: {} });
+  }
+  
+  // docker.io -> registry-1.docker.io; localhost et DOCKER_NEXUS_INSECURE_REGISTRIES en HTTP
+  endpoint(domain) {
+    if (domain === DEFAULT_REGISTRY) return 'https://registry-1.docker.io';
+    
+    const insecure = (process.env.DOCKER_NEXUS_INSECURE_REGISTRIES || '').split(',').map(entry => entry.trim());
+    const host = domain.replace(/:\d+$/, '');
+    const plain = ['localhost', '127.0.0.1', '[::1]'].includes(host) || insecure.includes(domain);
+    
+    return `${plain ? 'http' : 'https'}://${domain}`;
+  }
+  
+  credentials(domain) {
+    const entry = this.auth.auths[domain];
+    if (!entry) return null;
+    
+    const decoded = Buffer.from(entry.auth, 'base64').toString('utf8');
+    const colon = decoded.indexOf(':');
+    return { username: decoded.substring(0, colon), password: decoded.substring(colon + 1) };
+  }
+  
+  basicAuth({ username, password }) {
+    return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+  
+  // WWW-Authenticate: Bearer realm="...",service="...",scope="..."
+  parseChallenge(header) {
+    const [, scheme = '', rest = ''] = (header || '').match(/^(\w+)\s*(.*)$/) || [];
+    const params = {};
+    for (const [, key, value] of rest.matchAll(/(\w+)="([^"]*)"/g)) params[key] = value;
+    return { scheme: scheme.toLowerCase(), params };
+  }
+  
+  async authorize(domain, challenge, scope, credentials) {
+    const { scheme, params } = this.parseChallenge(challenge);
+    
+    if (scheme === 'basic') {
+      if (!credentials) throw new Error(`unauthorized: authentication required for ${domain}`);
+      return this.basicAuth(credentials);
+    }
+    if (scheme !== 'bearer' || !params.realm) {
+      throw new Error(`unsupported authentication challenge from ${domain}: ${challenge}`);
+    }
+    
+    const url = new URL(params.realm);
+    if (params.service) url.searchParams.set('service', params.service);
+    if (scope) url.searchParams.set('scope', scope);
+    
+    const response = await fetch(url, {
+      headers: credentials ? { Authorization: this.basicAuth(credentials) } : {}
+    });
+    if (!response.ok) {
+      throw new Error(`unauthorized: token request to ${url.origin} failed with ${response.status}`);
+    }
+    
+    const { token, access_token: accessToken } = await response.json();
+    return `Bearer ${token || accessToken}`;
+  }
+  
+  // Requête authentifiée: token en cache, sinon challenge 401 puis un seul nouvel essai
+  async request(target, path, { method = 'GET', headers = {}, body, actions = ['pull'], credentials } = {}) {
+    const url = new URL(path, this.endpoint(target.domain));
+    const scope = target.path ? `repository:${target.path}:${actions.join(',')}` : '';
+    const cacheKey = `${target.domain} ${scope}`;
+    credentials = credentials || this.credentials(target.domain);
+    
+    const send = (authorization) => fetch(url, {
+      method,
+      body,
+      headers: { ...headers, ...(authorization ? { Authorization: authorization } : {}) }
+    }).catch(error => {
+      // fetch ne dit que "fetch failed": la cause réseau est plus utile
+      throw new Error(`${method} ${url.origin}${url.pathname}: ${error.cause?.message || error.message}`);
+    });
+    
+    let response = await send(this.tokens.get(cacheKey));
+    if (response.status === 401) {
+      const authorization = await this.authorize(target.domain, response.headers.get('www-authenticate'), scope, credentials);
+      this.tokens.set(cacheKey, authorization);
+      response = await send(authorization);
+    }
+    
+    return response;
+  }
+  
+  async failure(response, what) {
+    let message = response.statusText;
+    try {
+      const { errors = [] } = await response.json();
+      if (errors.length) message = errors.map(error => error.message || error.code).join('; ');
+    } catch {
+      // Corps non JSON: le statut suffit
+    }
+    
+    if (response.status === 401) return new Error(`unauthorized: ${message} (${what})`);
+    if (response.status === 404) return new Error(`${what} not found: ${message}`);
+    return new Error(`${what}: ${response.status} ${message}`);
+  }
+  
+  // Manifest ou index; le contenu doit correspondre au digest demandé ou annoncé
+  async getManifest(target, reference) {
+    const response = await this.request(target, `/v2/${target.path}/manifests/${reference}`, {
+      headers: { Accept: MANIFEST_ACCEPT.join(', ') }
+    });
+    if (!response.ok) {
+      throw await this.failure(response, `manifest for ${target.name}:${reference}`);
+    }
+    
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const digest = digestOf(buffer);
+    const expected = reference.includes(':') ? reference : response.headers.get('docker-content-digest');
+    
+    if (expected && expected.startsWith('sha256:') && expected !== digest) {
+      throw new Error(`manifest digest mismatch for ${target.name}: expected ${expected}, got ${digest}`);
+    }
+    
+    const manifest = JSON.parse(buffer.toString('utf8'));
+    const mediaType = manifest.mediaType || response.headers.get('content-type');
+    
+    return { buffer, digest, manifest, mediaType };
+  }
+  
+  // Télécharge un blob dans le blob store (vérifié par digest); déjà présent = rien à faire
+  async fetchBlob(target, descriptor) {
+    if (this.blobs.has(descriptor.digest)) return { ...descriptor, existed: true };
+    
+    const response = await this.request(target, `/v2/${target.path}/blobs/${descriptor.digest}`);
+    if (!response.ok) {
+      throw await this.failure(response, `blob ${descriptor.digest}`);
+    }
+    
+    const file = this.store.path('tmp', `download-${randomBytes(8).toString('hex')}`);
+    await fs.mkdir(dirname(file), { recursive: true });
+    
+    try {
+      await pipeline(Readable.fromWeb(response.body), createWriteStream(file));
+      return { ...descriptor, ...await this.blobs.adopt(file, descriptor.digest) };
+    } finally {
+      await fs.rm(file, { force: true });
+    }
+  }
+  
+  async hasBlob(target, digest) {
+    const response = await this.request(target, `/v2/${target.path}/blobs/${digest}`, {
+      method: 'HEAD',
+      actions: ['pull', 'push']
+    });
+    return response.ok;
+  }
+  
+  // Upload monolithique: POST pour ouvrir la session, PUT ?digest= avec le contenu
+  async pushBlob(target, digest) {
+    if (await this.hasBlob(target, digest)) return { digest, existed: true };
+    
+    const opened = await this.request(target, `/v2/${target.path}/blobs/uploads/`, {
+      method: 'POST',
+      actions: ['pull', 'push']
+    });
+    if (opened.status !== 202) {
+      throw await this.failure(opened, `blob upload to ${target.name}`);
+    }
+    
+    const location = new URL(opened.headers.get('location'), this.endpoint(target.domain));
+    location.searchParams.set('digest', digest);
+    
+    const content = await this.blobs.get(digest);
+    const response = await this.request(target, location.href, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': String(content.length) },
+      body: content,
+      actions: ['pull', 'push']
+    });
+    if (response.status !== 201) {
+      throw await this.failure(response, `blob upload ${digest}`);
+    }
+    
+    return { digest, existed: false, size: content.length };
+  }
+  
+  async putManifest(target, reference, buffer, mediaType) {
+    const response = await this.request(target, `/v2/${target.path}/manifests/${reference}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': mediaType },
+      body: buffer,
+      actions: ['pull', 'push']
+    });
+    if (response.status !== 201) {
+      throw await this.failure(response, `manifest upload for ${target.name}:${reference}`);
+    }
+    
+    return response.headers.get('docker-content-digest') || digestOf(buffer);
+  }
+  
+  // Artefacts qui référencent un manifest (API referrers, sinon schéma de tag sha256-<hex>)
+  async listReferrers(target, digest, artifactType) {
+    const response = await this.request(target, `/v2/${target.path}/referrers/${digest}?artifactType=${encodeURIComponent(artifactType)}`, {
+      headers: { Accept: MEDIA_TYPES.index }
+    });
+    const filter = (manifests = []) => manifests.filter(descriptor => descriptor.artifactType === artifactType);
+    
+    if (response.ok) return filter((await response.json()).manifests);
+    if (response.status !== 404) {
+      throw await this.failure(response, `referrers of ${digest}`);
+    }
+    
+    const fallback = await this.request(target, `/v2/${target.path}/manifests/${digest.replace(':', '-')}`, {
+      headers: { Accept: MEDIA_TYPES.index }
+    });
+    if (fallback.status === 404) return [];
+    if (!fallback.ok) {
+      throw await this.failure(fallback, `referrers of ${digest}`);
+    }
+    return filter((await fallback.json()).manifests);
+  }
+  
+  // Manifest avec subject: sans en-tête OCI-Subject, le registre ignore referrers et on tient l'index de repli
+  async pushReferrer(target, buffer) {
+    const manifest = JSON.parse(buffer.toString('utf8'));
+    const digest = digestOf(buffer);
+    
+    for (const descriptor of [manifest.config, ...manifest.layers]) {
+      await this.pushBlob(target, descriptor.digest);
+    }
+    
+    const response = await this.request(target, `/v2/${target.path}/manifests/${digest}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': manifest.mediaType },
+      body: buffer,
+      actions: ['pull', 'push']
+    });
+    if (response.status !== 201) {
+      throw await this.failure(response, `referrer upload ${digest}`);
+    }
+    if (response.headers.get('oci-subject')) return digest;
+    
+    const tag = manifest.subject.digest.replace(':', '-');
+    let index = { schemaVersion: 2, mediaType: MEDIA_TYPES.index, manifests: [] };
+    try {
+      ({ manifest: index } = await this.getManifest(target, tag));
+    } catch {
+      // Pas encore d'index de repli pour ce subject
+    }
+    if (!index.manifests.some(descriptor => descriptor.digest === digest)) {
+      index.manifests.push({ mediaType: manifest.mediaType, digest, size: buffer.length, artifactType: manifest.artifactType });
+      await this.putManifest(target, tag, Buffer.from(JSON.stringify(index)), MEDIA_TYPES.index);
+    }
+    return digest;
+  }
+  
+  // Vérifie les identifiants contre /v2/ avant de les enregistrer
+  async login(domain, username, password) {
+    const credentials = { username, password };
+    const response = await this.request({ domain, path: null }, '/v2/', { credentials });
+    
+    if (!response.ok) {
+      throw await this.failure(response, `login to ${domain}`);
+    }
+    
+    this.auth.auths[domain] = { auth: Buffer.from(`${username}:${password}`).toString('base64') };
+    await this.store.save('auth', this.auth, 0o600);
+    this.tokens.clear();
+    
+    return { domain, username };
+  }
+  
+  async logout(domain) {
+    const existed = Boolean(this.auth.auths[domain]);
+    delete this.auth.auths[domain];
+    await this.store.save('auth', this.auth, 0o600);
+    this.tokens.clear();
+    
+    return { domain, existed };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔏 TRUST - SIGNATURES ED25519, ARTEFACTS REFERRERS ET POLITIQUE DE CONFIANCE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const SIGNATURE_ARTIFACT_TYPE = 'application/vnd.docker-nexus.signature.v1+json';
+const EMPTY_DESCRIPTOR = {
+  mediaType: 'application/vnd.oci.empty.v1+json',
+  digest: 'sha256:44136fa355b3678a1146ad16f7e8649e94fb4fc21fe77e8310c060f61caaff8a',
+  size: 2
+};
+const TRUST_REQUIREMENTS = ['accept', 'signed', 'reject'];
+
+class TrustStore {
+  constructor(store, blobs) {
+    this.store = store;
+    this.blobs = blobs;
+    this.root = store.path('trust');
+    // digest du manifest signé -> digests des artefacts de signature
+    this.signatures = new Map(this.store.load('signatures', []));
+  }
+  
+  keyPath(kind, name) {
+    if (!/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(name)) {
+      throw new Error(`invalid key name: ${name}`);
+    }
+    return join(this.root, kind === 'private' ? 'private' : 'keys', `${name}.${kind === 'private' ? 'key' : 'pub'}`);
+  }
+  
+  // ID de clé: digest de la clé publique (SPKI DER)
+  keyId(publicKey) {
+    return digestOf(publicKey.export({ type: 'spki', format: 'der' })).substring(7, 23);
+  }
+  
+  async generateKey(name) {
+    const privatePath = this.keyPath('private', name);
+    if (existsSync(privatePath)) {
+      throw new Error(`key "${name}" already exists`);
+    }
+    
+    const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+    await this.store.writeAtomic(privatePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), 0o600);
+    await this.store.writeAtomic(this.keyPath('public', name), publicKey.export({ type: 'spki', format: 'pem' }));
+    
+    return { name, keyId: this.keyId(publicKey), publicKey: this.keyPath('public', name) };
+  }
+  
+  // Clé publique de confiance distribuée par un tiers (équipe sécurité)
+  async addKey(name, pem) {
+    const publicKey = createPublicKey(pem);
+    if (publicKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error(`unsupported key type ${publicKey.asymmetricKeyType}: only ed25519 keys are trusted`);
+    }
+    await this.store.writeAtomic(this.keyPath('public', name), publicKey.export({ type: 'spki', format: 'pem' }));
+    
+    return { name, keyId: this.keyId(publicKey) };
+  }
+  
+  async listKeys() {
+    let files = [];
+    try {
+      files = await fs.readdir(join(this.root, 'keys'));
+    } catch {
+      return [];
+    }
+    
+    return Promise.all(files.filter(file => file.endsWith('.pub')).map(async (file) => {
+      const name = file.slice(0, -4);
+      const publicKey = createPublicKey(await fs.readFile(join(this.root, 'keys', file)));
+      return { name, keyId: this.keyId(publicKey), publicKey, signing: existsSync(this.keyPath('private', name)) };
+    }));
+  }
+  
+  // Signature détachée sur le digest du manifest, stockée comme artefact OCI avec subject
+  async sign(subject, name, keyName) {
+    const privatePath = this.keyPath('private', keyName);
+    if (!existsSync(privatePath)) {
+      throw new Error(`no private key "${keyName}" (create one with: trust key generate ${keyName})`);
+    }
+    const privateKey = createPrivateKey(await fs.readFile(privatePath));
+    const keyId = this.keyId(createPublicKey(privateKey));
+    
+    const payload = Buffer.from(JSON.stringify({
+      critical: {
+        identity: { 'docker-reference': name },
+        image: { 'docker-manifest-digest': subject.digest },
+        type: 'docker-nexus signature'
+      },
+      optional: { created: new Date().toISOString(), keyid: keyId }
+    }));
+    const signature = cryptoSign(null, payload, privateKey).toString('base64');
+    
+    await this.blobs.put(Buffer.from('{}'));
+    const layer = await this.blobs.put(payload);
+    const manifest = await this.blobs.putJSON({
+      schemaVersion: 2,
+      mediaType: MEDIA_TYPES.manifest,
+      artifactType: SIGNATURE_ARTIFACT_TYPE,
+      config: EMPTY_DESCRIPTOR,
+      layers: [{
+        mediaType: SIGNATURE_ARTIFACT_TYPE,
+        digest: layer.digest,
+        size: layer.size,
+        annotations: { 'dev.docker-nexus.signature': signature, 'dev.docker-nexus.keyid': keyId }
+      }],
+      subject: { mediaType: subject.mediaType, digest: subject.digest, size: subject.size }
+    });
+    
+    await this.record(subject.digest, manifest.digest);
+    return { digest: manifest.digest, keyId, subject: subject.digest };
+  }
+  
+  async record(subjectDigest, artifactDigest) {
+    const artifacts = this.signatures.get(subjectDigest) || [];
+    if (!artifacts.includes(artifactDigest)) artifacts.push(artifactDigest);
+    this.signatures.set(subjectDigest, artifacts);
+    await this.store.save('signatures', Array.from(this.signatures.entries()));
+  }
+  
+  // Forme attendue d'un artefact de signature: subject, un layer de payload et sa signature
+  checkArtifact(manifest) {
+    if (manifest?.artifactType !== SIGNATURE_ARTIFACT_TYPE || typeof manifest.subject?.digest !== 'string') {
+      throw new Error('not a signature artifact');
+    }
+    const [layer] = Array.isArray(manifest.layers) ? manifest.layers : [];
+    if (typeof layer?.digest !== 'string' || typeof layer.annotations?.['dev.docker-nexus.signature'] !== 'string') {
+      throw new Error('malformed signature artifact: missing signed payload layer');
+    }
+    return layer;
+  }
+  
+  // Payload signé d'un artefact: ses revendications doivent être du JSON
+  async readClaims(manifest) {
+    const layer = this.checkArtifact(manifest);
+    const payload = await this.blobs.get(layer.digest);
+    try {
+      return { layer, payload, claims: JSON.parse(payload.toString('utf8')) };
+    } catch {
+      throw new Error('malformed signature artifact: payload is not JSON');
+    }
+  }
+  
+  // Artefact récupéré d'un registre (blobs déjà dans le blob store)
+  async importArtifact(manifestBuffer) {
+    let manifest;
+    try {
+      manifest = JSON.parse(manifestBuffer.toString('utf8'));
+    } catch {
+      throw new Error('malformed signature artifact: manifest is not JSON');
+    }
+    await this.readClaims(manifest);
+    const { digest } = await this.blobs.put(manifestBuffer);
+    await this.record(manifest.subject.digest, digest);
+    return digest;
+  }
+  
+  artifactsFor(subjectDigest) {
+    return (this.signatures.get(subjectDigest) || []).filter(digest => this.blobs.has(digest));
+  }
+  
+  // Blobs à garder au garbage collect: manifests d'artefact, payloads, config vide
+  referencedBlobs() {
+    return Array.from(this.signatures.values()).flat().flatMap(digest => this.blobs.manifestBlobs(digest));
+  }
+  
+  // Signatures valides sur l'un des digests, pour ce dépôt, par une clé autorisée (toutes si keys n'est pas précisé)
+  async verify(subjectDigests, name, keys = null) {
+    const trusted = (await this.listKeys()).filter(key => !keys || keys.includes(key.name));
+    const identities = name ? [name, imageReference.familiar(name)] : [];
+    const results = [];
+    
+    for (const subjectDigest of subjectDigests) {
+      for (const digest of this.artifactsFor(subjectDigest)) {
+        let artifact;
+        try {
+          artifact = await this.readClaims(await this.blobs.getJSON(digest));
+        } catch (error) {
+          // Artefact illisible: signalé comme invalide, les autres signatures restent vérifiées
+          results.push({ digest, subject: subjectDigest, keyId: null, signer: null, identity: null, created: null, valid: false, error: error.message });
+          continue;
+        }
+        
+        const { layer, payload, claims } = artifact;
+        const signature = Buffer.from(layer.annotations['dev.docker-nexus.signature'], 'base64');
+        const identity = claims.critical?.identity?.['docker-reference'] || null;
+        
+        const signer = trusted.find(key => cryptoVerify(null, payload, key.publicKey, signature));
+        const valid = Boolean(signer)
+          && claims.critical?.image?.['docker-manifest-digest'] === subjectDigest
+          && identities.includes(identity);
+        
+        results.push({
+          digest,
+          subject: subjectDigest,
+          keyId: layer.annotations['dev.docker-nexus.keyid'] || null,
+          signer: signer?.name || null,
+          identity,
+          created: claims.optional?.created || null,
+          valid
+        });
+      }
+    }
+    return results;
+  }
+  
+  policyPath() {
+    return process.env.DOCKER_NEXUS_TRUST_POLICY || join(this.root, 'policy.json');
+  }
+  
+  // {"default": "accept", "rules": [{"scope": "registry:5000/prod/*", "require": "signed", "keys": ["release"]}]}
+  policy() {
+    let policy;
+    try {
+      policy = JSON.parse(readFileSync(this.policyPath(), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return { default: 'accept', rules: [] };
+      throw new Error(`invalid trust policy ${this.policyPath()}: ${error.message}`);
+    }
+    
+    const requirements = [policy.default || 'accept', ...(policy.rules || []).map(rule => rule.require)];
+    const invalid = requirements.find(requirement => !TRUST_REQUIREMENTS.includes(requirement));
+    if (invalid) {
+      throw new Error(`invalid trust policy ${this.policyPath()}: unknown requirement "${invalid}"`);
+    }
+    return { default: policy.default || 'accept', rules: policy.rules || [] };
+  }
+  
+  // Règle la plus spécifique (scope le plus long) qui couvre le dépôt, nom complet ou familier
+  ruleFor(name) {
+    const policy = this.policy();
+    const names = name ? [name, imageReference.familiar(name)] : [];
+    const matching = policy.rules
+      .filter(rule => names.some(candidate => glob.toRegExp(rule.scope).test(candidate)))
+      .sort((a, b) => b.scope.length - a.scope.length);
+    
+    return matching[0] || { scope: null, require: policy.default };
+  }
+  
+  // Refuse selon la politique; renvoie les signatures qui l'ont satisfaite
+  async enforce(name, subjectDigests) {
+    const rule = this.ruleFor(name);
+    const label = name ? imageReference.familiar(name) : 'image';
+    
+    if (rule.require === 'reject') {
+      throw new Error(`trust policy rejects ${label}${rule.scope ? ` (scope ${rule.scope})` : ''}`);
+    }
+    if (rule.require === 'accept') return { rule, signatures: [] };
+    
+    const signatures = (await this.verify(subjectDigests, name, rule.keys || null)).filter(signature => signature.valid);
+    if (signatures.length === 0) {
+      throw new Error(`trust policy requires a signature on ${label} by a trusted key${rule.keys ? ` (${rule.keys.join(', ')})` : ''}: none found`);
+    }
+    return { rule, signatures };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🧅 LAYER FS - SNAPSHOTS, DIFFS ET APPLICATION DES LAYERS (ESSENCE: LINUX)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const WHITEOUT_PREFIX = '.wh.';
+const OPAQUE_WHITEOUT = '.wh..wh..opq';
+
+const layerfs = {
+  // Parcours déterministe (trié) d'un rootfs, chemins relatifs POSIX; prune(path) écarte un sous-arbre
+  async walk(root, relative = '', prune = null) {
+    const entries = [];
+    let names;
+    
+    try {
+      names = (await fs.readdir(join(root, relative))).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return entries;
+      throw error;
+    }
+    
+    for (const name of names) {
+      const path = relative ? `${relative}/${name}` : name;
+      if (prune && prune(path)) continue;
+      const stats = await fs.lstat(join(root, path));
+      
+      if (stats.isDirectory()) {
+        entries.push({ path, type: 'directory', stats });
+        entries.push(...await layerfs.walk(root, path, prune));
+      } else if (stats.isSymbolicLink()) {
+        entries.push({ path, type: 'symlink', stats, linkname: await fs.readlink(join(root, path)) });
+      } else if (stats.isFile()) {
+        entries.push({ path, type: 'file', stats });
+      }
+    }
+    
+    return entries;
+  },
+  
+  async snapshot(root) {
+    const snapshot = new Map();
+    
+    for (const entry of await layerfs.walk(root)) {
+      snapshot.set(entry.path, {
+        type: entry.type,
+        mode: entry.stats.mode & 0o7777,
+        size: entry.stats.size,
+        mtimeMs: entry.stats.mtimeMs,
+        linkname: entry.linkname || null
+      });
+    }
+    
+    return snapshot;
+  },
+  
+  // Différence entre deux snapshots: chemins modifiés et supprimés
+  diff(before, after) {
+    const changed = [];
+    const deleted = [];
+    
+    for (const [path, info] of after) {
+      const previous = before.get(path);
+      const modified = !previous ||
+        previous.type !== info.type ||
+        previous.mode !== info.mode ||
+        previous.linkname !== info.linkname ||
+        (info.type !== 'directory' && (previous.size !== info.size || previous.mtimeMs !== info.mtimeMs));
+      
+      if (modified) changed.push(path);
+    }
+    
+    for (const path of before.keys()) {
+      if (after.has(path)) continue;
+      // Un seul whiteout pour un répertoire supprimé
+      const parent = path.split('/').slice(0, -1).join('/');
+      if (parent && !after.has(parent) && before.has(parent)) continue;
+      deleted.push(path);
+    }
+    
+    return { changed, deleted };
+  },
+  
+  // Construit le tar d'un layer à partir des changements du rootfs
+  async pack(root, { changed, deleted }, owners = new Map()) {
+    const paths = new Set();
+    
+    // Les répertoires parents accompagnent chaque changement
+    for (const path of [...changed, ...deleted]) {
+      const parts = path.split('/');
+      for (let i = 1; i < parts.length; i++) {
+        paths.add(parts.slice(0, i).join('/'));
+      }
+    }
+    changed.forEach(path => paths.add(path));
+    
+    const entries = [];
+    
+    for (const path of Array.from(paths).sort()) {
+      const full = join(root, path);
+      const stats = await fs.lstat(full);
+      const owner = owners.get(path) || { uid: 0, gid: 0 };
+      const entry = { name: path, mode: stats.mode & 0o7777, uid: owner.uid, gid: owner.gid };
+      
+      if (stats.isDirectory()) {
+        entries.push({ ...entry, type: 'directory' });
+      } else if (stats.isSymbolicLink()) {
+        entries.push({ ...entry, type: 'symlink', linkname: await fs.readlink(full) });
+      } else if (stats.isFile()) {
+        entries.push({ ...entry, type: 'file', content: await fs.readFile(full) });
+      }
+    }
+    
+    for (const path of deleted) {
+      const parts = path.split('/');
+      const name = parts.pop();
+      entries.push({ name: [...parts, `${WHITEOUT_PREFIX}${name}`].join('/'), type: 'file', mode: 0o644 });
+    }
+    
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    return tar.pack(entries);
+  },
+  
+  // Résolution façon chroot: les symlinks intermédiaires restent dans le rootfs
+  async scopedPath(root, path, followLast = false, depth = 0) {
+    const parts = posix.normalize(`/${path}`).split('/').filter(Boolean);
+    const limit = followLast ? parts.length : parts.length - 1;
+    
+    for (let i = 0; i < limit; i++) {
+      const prefix = parts.slice(0, i + 1).join('/');
+      const stats = await fs.lstat(join(root, prefix)).catch(() => null);
+      if (!stats) break;
+      
+      if (stats.isSymbolicLink()) {
+        if (depth > 40) {
+          throw new Error(`Too many levels of symbolic links: ${path}`);
+        }
+        const target = await fs.readlink(join(root, prefix));
+        const base = target.startsWith('/') ? '/' : `/${parts.slice(0, i).join('/')}`;
+        return layerfs.scopedPath(root, posix.join(base, target, ...parts.slice(i + 1)), followLast, depth + 1);
+      }
+    }
+    
+    return join(root, ...parts);
+  },
+  
+  // user[:group], numérique ou résolu via /etc/passwd et /etc/group du rootfs -> { uid, gid }
+  async resolveUser(spec, rootfs) {
+    const [user, group] = spec.split(':');
+    
+    const lookup = async (file, name) => {
+      if (/^\d+$/.test(name)) return { id: parseInt(name, 10) };
+      
+      const path = await layerfs.scopedPath(rootfs, `etc/${file}`, true);
+      const content = await fs.readFile(path, 'utf8').catch(() => '');
+      const fields = content.split('\n').map(line => line.split(':')).find(entry => entry[0] === name);
+      
+      if (!fields) {
+        throw new Error(`unable to find ${file === 'passwd' ? 'user' : 'group'} ${name}`);
+      }
+      return { id: parseInt(fields[2], 10), gid: parseInt(fields[3], 10) };
+    };
+    
+    const uid = await lookup('passwd', user);
+    const gid = group ? (await lookup('group', group)).id : (uid.gid ?? uid.id);
+    
+    return { uid: uid.id, gid };
+  },
+  
+  // Copie récursive d'un chemin de l'hôte vers le rootfs (sans suivre les symlinks du rootfs)
+  async copy(source, root, destination, { mode = null, owner = null, owners = null, entries = null } = {}) {
+    const stats = await fs.lstat(source);
+    const written = [];
+    
+    const place = async (relative, sourceStats, sourcePath) => {
+      const target = await layerfs.scopedPath(root, relative);
+      await fs.mkdir(dirname(target), { recursive: true });
+      
+      const existing = await fs.lstat(target).catch(() => null);
+      if (existing && !(existing.isDirectory() && sourceStats.isDirectory())) {
+        await fs.rm(target, { recursive: true, force: true });
+      }
+      
+      if (sourceStats.isDirectory()) {
+        await fs.mkdir(target, { recursive: true });
+        await fs.chmod(target, (mode ?? sourceStats.mode & 0o7777) | 0o200);
+      } else if (sourceStats.isSymbolicLink()) {
+        await fs.symlink(await fs.readlink(sourcePath), target);
+      } else {
+        await fs.copyFile(sourcePath, target);
+        await fs.chmod(target, mode ?? sourceStats.mode & 0o7777);
+      }
+      
+      const key = posix.normalize(`/${relative}`).slice(1);
+      if (owners) owners.set(key, owner || { uid: 0, gid: 0 });
+      written.push(key);
+    };
+    
+    if (stats.isDirectory()) {
+      // Un répertoire source: seul son contenu est copié
+      await fs.mkdir(await layerfs.scopedPath(root, destination, true), { recursive: true });
+      for (const entry of entries ?? await layerfs.walk(source)) {
+        await place(posix.join(destination, entry.path), entry.stats, join(source, entry.path));
+      }
+    } else {
+      await place(destination, stats, source);
+    }
+    
+    return written;
+  },
+  
+  // Applique un layer (tar ou tar+gzip) sur un rootfs, whiteouts compris;
+  // prefix: répertoire du rootfs où l'archive est extraite (ADD), les symlinks absolus restant relatifs au rootfs
+  async apply(root, archive, owners = null, prefix = '/') {
+    root = resolve(root);
+    await fs.mkdir(root, { recursive: true });
+    const entries = tar.unpack(archive);
+    const directories = [];
+    
+    // Chaque chemin est résolu dans le rootfs (symlinks des layers précédents compris), jamais au-dehors
+    const confined = async (path, followLast = false) => {
+      const target = await layerfs.scopedPath(root, posix.join(prefix, path), followLast);
+      if (target !== root && !target.startsWith(`${root}/`)) {
+        throw new Error(`Layer entry escapes the root filesystem: ${path}`);
+      }
+      return target;
+    };
+    
+    for (const entry of entries) {
+      const parts = entry.name.split('/');
+      const name = parts[parts.length - 1];
+      const parent = parts.slice(0, -1).join('/');
+      
+      if (name === OPAQUE_WHITEOUT) {
+        const directory = await confined(parent, true);
+        for (const child of await fs.readdir(directory).catch(() => [])) {
+          await fs.rm(join(directory, child), { recursive: true, force: true });
+        }
+        continue;
+      }
+      
+      if (name.startsWith(WHITEOUT_PREFIX)) {
+        const victim = [parent, name.slice(WHITEOUT_PREFIX.length)].filter(Boolean).join('/');
+        await fs.rm(await confined(victim), { recursive: true, force: true });
+        continue;
+      }
+      
+      const target = await confined(entry.name);
+      await fs.mkdir(dirname(target), { recursive: true });
+      
+      const existing = await fs.lstat(target).catch(() => null);
+      if (existing && !(existing.isDirectory() && entry.type === 'directory')) {
+        await fs.rm(target, { recursive: true, force: true });
+      }
+      
+      switch (entry.type) {
+        case 'directory':
+          await fs.mkdir(target, { recursive: true });
+          directories.push({ target, entry });
+          break;
+        case 'symlink':
+          await fs.symlink(entry.linkname, target);
+          break;
+        case 'hardlink':
+          await fs.copyFile(await confined(entry.linkname, true), target);
+          await fs.chmod(target, entry.mode);
+          break;
+        case 'file':
+          await fs.writeFile(target, entry.content, { mode: entry.mode });
+          await fs.chmod(target, entry.mode);
+          await fs.utimes(target, entry.mtime, entry.mtime);
+          break;
+        default:
+          continue; // Devices et FIFOs ignorés sans privilèges
+      }
+      
+      if (owners && (entry.uid || entry.gid)) {
+        owners.set(entry.name, { uid: entry.uid, gid: entry.gid });
+      }
+    }
+    
+    // Permissions des répertoires appliquées en dernier (0555 bloquerait l'écriture)
+    for (const { target, entry } of directories) {
+      await fs.chmod(target, entry.mode | 0o200);
+    }
+    
+    return entries.length;
+  }
+};
+
+// Motifs de chemins (filepath.Match de Go + ** façon .dockerignore)
+const glob = {
+  hasMagic(pattern) {
+    return /[*?[]/.test(pattern);
+  },
+  
+  toRegExp(pattern) {
+    const escape = (ch) => ch.replace(/[.+^${}()|\\\/\]]/g, '\\$&');
+    let source = '';
+    
+    for (let i = 0; i < pattern.length; i++) {
+      const ch = pattern[i];
+      
+      if (ch === '*' && pattern[i + 1] === '*') {
+        i++;
+        // "**/" couvre zéro ou plusieurs répertoires
+        if (pattern[i + 1] === '/') { source += '(?:.*/)?'; i++; } else source += '.*';
+      } else if (ch === '*') {
+        source += '[^/]*';
+      } else if (ch === '?') {
+        source += '[^/]';
+      } else if (ch === '[' && pattern.indexOf(']', i + 2) !== -1) {
+        const end = pattern.indexOf(']', i + 2);
+        const body = pattern.slice(i + 1, end).replace(/^[!^]/, '^').replace(/\\/g, '\\\\');
+        source += `[${body}]`;
+        i = end;
+      } else if (ch === '\\' && i + 1 < pattern.length) {
+        source += escape(pattern[++i]);
+      } else {
+        source += escape(ch);
+      }
+    }
+    
+    return new RegExp(`^${source}$`);
+  },
+  
+  // Chemin relatif normalisé, sans "./" ni "/" de tête
+  clean(path) {
+    return posix.normalize(`/${path}`).slice(1);
+  },
+  
+  // .dockerignore: un motif par ligne, # commentaire, ! exception
+  parseIgnore(content) {
+    return content.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => {
+        const exception = line.startsWith('!');
+        const pattern = glob.clean(exception ? line.slice(1).trim() : line);
+        return pattern ? { pattern, exception, regex: glob.toRegExp(pattern) } : null;
+      })
+      .filter(Boolean);
+  },
+  
+  // La dernière règle qui correspond au chemin ou à l'un de ses parents l'emporte
+  isIgnored(rules, path) {
+    const parents = path.split('/').map((_, i, parts) => parts.slice(0, i + 1).join('/'));
+    let ignored = false;
+    
+    for (const rule of rules) {
+      if (parents.some(parent => rule.regex.test(parent))) ignored = !rule.exception;
+    }
+    return ignored;
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📋 SBOM - INVENTAIRE DES PAQUETS (APK, DPKG, NPM, PYTHON) EN SPDX / CYCLONEDX
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const SBOM_FORMATS = {
+  spdx: 'application/spdx+json',
+  cyclonedx: 'application/vnd.cyclonedx+json'
+};
+const SBOM_TOOL = { name: 'docker-nexus', version: '1.0.0-nexus' };
+
+const sbom = {
+  // Paragraphes "Clé: valeur" séparés par une ligne vide; une ligne indentée prolonge la précédente
+  paragraphs(content) {
+    const paragraphs = [];
+    let current = {};
+    let last = null;
+    
+    for (const line of content.split(/\r?\n/)) {
+      if (line.trim() === '') {
+        if (Object.keys(current).length) paragraphs.push(current);
+        current = {};
+        last = null;
+      } else if (/^\s/.test(line) && last) {
+        current[last] += `\n${line.trim()}`;
+      } else {
+        const colon = line.indexOf(':');
+        if (colon === -1) continue;
+        last = line.substring(0, colon);
+        if (!(last in current)) current[last] = line.substring(colon + 1).trim();
+      }
+    }
+    if (Object.keys(current).length) paragraphs.push(current);
+    
+    return paragraphs;
+  },
+  
+  purl(type, namespace, name, version, qualifiers = {}) {
+    const encode = (part) => encodeURIComponent(part).replace(/%2F/g, '/');
+    const query = Object.entries(qualifiers)
+      .filter(([, value]) => value)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+    
+    return `pkg:${type}/${namespace ? `${encode(namespace)}/` : ''}${encode(name)}@${encodeURIComponent(version)}${query ? `?${query}` : ''}`;
+  },
+  
+  // /lib/apk/db/installed: une lettre par champ (P nom, V version, A arch, L licence, o origine)
+  apk(content, location, distro) {
+    return sbom.paragraphs(content)
+      .filter(fields => fields.P && fields.V)
+      .map(fields => ({
+        type: 'apk',
+        name: fields.P,
+        version: fields.V,
+        arch: fields.A || null,
+        license: fields.L || null,
+        source: fields.o || null,
+        location,
+        purl: sbom.purl('apk', distro || 'alpine', fields.P, fields.V, { arch: fields.A })
+      }));
+  },
+  
+  // /var/lib/dpkg/status: seuls les paquets effectivement installés (Status: want flag état, état = installed)
+  dpkg(content, location, distro) {
+    return sbom.paragraphs(content)
+      .filter(fields => fields.Package && fields.Version && (fields.Status || 'install ok installed').trim().split(/\s+/)[2] === 'installed')
+      .map(fields => ({
+        type: 'deb',
+        name: fields.Package,
+        version: fields.Version,
+        arch: fields.Architecture || null,
+        license: null,
+        source: fields.Source ? fields.Source.split(' ')[0] : null,
+        location,
+        purl: sbom.purl('deb', distro || 'debian', fields.Package, fields.Version, { arch: fields.Architecture })
+      }));
+  },
+  
+  // package-lock.json v2/v3 ("packages") ou v1 ("dependencies" imbriquées)
+  npm(content, location) {
+    const lock = JSON.parse(content);
+    const found = [];
+    const add = (name, entry) => {
+      if (!name || !entry?.version || entry.link) return;
+      const scoped = name.startsWith('@') ? name.split('/') : [null, name];
+      found.push({
+        type: 'npm',
+        name,
+        version: entry.version,
+        arch: null,
+        license: entry.license || null,
+        source: entry.resolved || null,
+        location,
+        purl: sbom.purl('npm', scoped[0], scoped[1], entry.version)
+      });
+    };
+    
+    if (lock.packages) {
+      Object.entries(lock.packages).forEach(([path, entry]) => {
+        if (path) add(entry.name || path.substring(path.lastIndexOf('node_modules/') + 'node_modules/'.length), entry);
+      });
+    } else {
+      const visit = (dependencies = {}) => Object.entries(dependencies).forEach(([name, entry]) => {
+        add(name, entry);
+        visit(entry.dependencies);
+      });
+      visit(lock.dependencies);
+    }
+    return found;
+  },
+  
+  // <paquet>.dist-info/METADATA (en-têtes RFC 822)
+  python(content, location) {
+    const [fields = {}] = sbom.paragraphs(content.split(/\r?\n\r?\n/)[0]);
+    if (!fields.Name || !fields.Version) return [];
+    
+    return [{
+      type: 'python',
+      name: fields.Name,
+      version: fields.Version,
+      arch: null,
+      license: fields['License-Expression'] || (fields.License && fields.License !== 'UNKNOWN' ? fields.License.split('\n')[0] : null),
+      source: null,
+      location,
+      purl: sbom.purl('pypi', null, fields.Name.toLowerCase().replace(/[-_.]+/g, '-'), fields.Version)
+    }];
+  },
+  
+  osRelease(content) {
+    const fields = {};
+    for (const line of content.split(/\r?\n/)) {
+      const match = line.match(/^([A-Z_]+)=(.*)$/);
+      if (match) fields[match[1]] = match[2].replace(/^(["'])(.*)\1$/, '$2');
+    }
+    return { id: fields.ID || null, version: fields.VERSION_ID || null, name: fields.PRETTY_NAME || fields.NAME || null };
+  },
+  
+  // Parcours d'un rootfs extrait (pseudo-systèmes de fichiers exclus)
+  async scan(root) {
+    const read = (path) => fs.readFile(join(root, path), 'utf8').catch(() => null);
+    const osRelease = await read('etc/os-release') || await read('usr/lib/os-release');
+    const os = osRelease ? sbom.osRelease(osRelease) : null;
+    const packages = [];
+    
+    const apk = await read('lib/apk/db/installed');
+    if (apk) packages.push(...sbom.apk(apk, '/lib/apk/db/installed', os?.id));
+    
+    const dpkg = await read('var/lib/dpkg/status');
+    if (dpkg) packages.push(...sbom.dpkg(dpkg, '/var/lib/dpkg/status', os?.id));
+    
+    const entries = await layerfs.walk(root, '', path => /^(proc|sys|dev)$/.test(path));
+    for (const entry of entries.filter(entry => entry.type === 'file')) {
+      try {
+        if (basename(entry.path) === 'package-lock.json') {
+          packages.push(...sbom.npm(await read(entry.path), `/${entry.path}`));
+        } else if (/\.dist-info\/METADATA$/.test(entry.path)) {
+          packages.push(...sbom.python(await read(entry.path), `/${entry.path}`));
+        }
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Skipping unreadable package database /${entry.path}: ${error.message}`));
+      }
+    }
+    
+    // Un même paquet listé par plusieurs lockfiles n'apparaît qu'une fois
+    const unique = new Map(packages.map(pkg => [pkg.purl, pkg]));
+    return { os, packages: Array.from(unique.values()) };
+  },
+  
+  spdx(subject, { os, packages }, tool) {
+    const id = (pkg, i) => `SPDXRef-Package-${pkg.type}-${i}`;
+    
+    return {
+      spdxVersion: 'SPDX-2.3',
+      dataLicense: 'CC0-1.0',
+      SPDXID: 'SPDXRef-DOCUMENT',
+      name: subject.name,
+      documentNamespace: `https://docker-nexus.dev/spdx/${encodeURIComponent(subject.name)}-${randomUUID()}`,
+      creationInfo: { created: new Date().toISOString(), creators: [`Tool: ${tool.name}-${tool.version}`] },
+      packages: [
+        {
+          name: subject.name,
+          SPDXID: 'SPDXRef-Image',
+          versionInfo: subject.digest,
+          downloadLocation: 'NOASSERTION',
+          filesAnalyzed: false,
+          primaryPackagePurpose: 'CONTAINER',
+          ...(os?.name ? { comment: `Operating system: ${os.name}` } : {})
+        },
+        ...packages.map((pkg, i) => ({
+          name: pkg.name,
+          SPDXID: id(pkg, i),
+          versionInfo: pkg.version,
+          downloadLocation: pkg.source && /^https?:/.test(pkg.source) ? pkg.source : 'NOASSERTION',
+          filesAnalyzed: false,
+          licenseConcluded: 'NOASSERTION',
+          licenseDeclared: pkg.license || 'NOASSERTION',
+          sourceInfo: `acquired package info from ${pkg.location}`,
+          externalRefs: [{ referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: pkg.purl }]
+        }))
+      ],
+      relationships: [
+        { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: 'SPDXRef-Image' },
+        ...packages.map((pkg, i) => ({ spdxElementId: 'SPDXRef-Image', relationshipType: 'CONTAINS', relatedSpdxElement: id(pkg, i) }))
+      ]
+    };
+  },
+  
+  cyclonedx(subject, { os, packages }, tool) {
+    return {
+      bomFormat: 'CycloneDX',
+      specVersion: '1.5',
+      serialNumber: `urn:uuid:${randomUUID()}`,
+      version: 1,
+      metadata: {
+        timestamp: new Date().toISOString(),
+        tools: { components: [{ type: 'application', name: tool.name, version: tool.version }] },
+        component: { type: 'container', name: subject.name, version: subject.digest, 'bom-ref': subject.digest }
+      },
+      components: [
+        ...(os ? [{ type: 'operating-system', name: os.id || 'unknown', version: os.version || undefined, description: os.name || undefined }] : []),
+        ...packages.map(pkg => ({
+          type: 'library',
+          'bom-ref': pkg.purl,
+          name: pkg.name,
+          version: pkg.version,
+          purl: pkg.purl,
+          ...(pkg.license ? { licenses: [/[ ()]/.test(pkg.license) ? { expression: pkg.license } : { license: { name: pkg.license } }] } : {}),
+          properties: [
+            { name: 'docker-nexus:package:type', value: pkg.type },
+            { name: 'docker-nexus:location', value: pkg.location }
+          ]
+        }))
+      ]
+    };
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🛡️ VULNÉRABILITÉS - BASE OSV HORS LIGNE ET VERSIONS PAR ÉCOSYSTÈME
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'UNKNOWN'];
+
+// Comparateurs de versions: négatif, zéro ou positif comme Array.prototype.sort
+const versionCompare = {
+  // Repli pour les versions hors format: segments numériques comparés comme des nombres
+  loose(a, b) {
+    return String(a).localeCompare(String(b), 'en', { numeric: true });
+  },
+  
+  // semver 2.0: une pré-release précède la release, identifiants numériques < alphanumériques
+  semver(a, b) {
+    const parse = (version) => {
+      const match = String(version).trim().replace(/^[v=]/, '')
+        .match(/^(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/);
+      return match && { release: [+match[1], +(match[2] || 0), +(match[3] || 0)], pre: match[4] ? match[4].split('.') : [] };
+    };
+    const left = parse(a);
+    const right = parse(b);
+    if (!left || !right) return versionCompare.loose(a, b);
+    
+    for (let i = 0; i < 3; i++) {
+      if (left.release[i] !== right.release[i]) return left.release[i] - right.release[i];
+    }
+    if (!left.pre.length || !right.pre.length) return right.pre.length - left.pre.length;
+    
+    for (let i = 0; i < Math.max(left.pre.length, right.pre.length); i++) {
+      const [x, y] = [left.pre[i], right.pre[i]];
+      if (x === undefined || y === undefined) return x === undefined ? -1 : 1;
+      if (x === y) continue;
+      const [nx, ny] = [/^\d+$/.test(x), /^\d+$/.test(y)];
+      if (nx && ny) return +x - +y;
+      if (nx !== ny) return nx ? -1 : 1;
+      return x < y ? -1 : 1;
+    }
+    return 0;
+  },
+  
+  // dpkg: [epoch:]upstream[-revision], '~' trie avant tout, les lettres avant les autres symboles
+  deb(a, b) {
+    const parse = (version) => {
+      const match = String(version).trim().match(/^(?:(\d+):)?(.+?)(?:-([^-]+))?$/);
+      return match ? { epoch: +(match[1] || 0), upstream: match[2], revision: match[3] || '0' } : { epoch: 0, upstream: String(version), revision: '0' };
+    };
+    const order = (char) => {
+      if (char === undefined || /\d/.test(char)) return 0;
+      if (char === '~') return -1;
+      if (/[A-Za-z]/.test(char)) return char.charCodeAt(0);
+      return char.charCodeAt(0) + 256;
+    };
+    const digit = (char) => char !== undefined && /\d/.test(char);
+    const part = (x, y) => {
+      let i = 0;
+      let j = 0;
+      while (i < x.length || j < y.length) {
+        while ((i < x.length && !digit(x[i])) || (j < y.length && !digit(y[j]))) {
+          const diff = order(x[i]) - order(y[j]);
+          if (diff) return diff;
+          i++;
+          j++;
+        }
+        while (x[i] === '0') i++;
+        while (y[j] === '0') j++;
+        let first = 0;
+        while (digit(x[i]) && digit(y[j])) {
+          if (!first) first = x.charCodeAt(i) - y.charCodeAt(j);
+          i++;
+          j++;
+        }
+        if (digit(x[i])) return 1;
+        if (digit(y[j])) return -1;
+        if (first) return first;
+      }
+      return 0;
+    };
+    const left = parse(a);
+    const right = parse(b);
+    
+    return (left.epoch - right.epoch) || part(left.upstream, right.upstream) || part(left.revision, right.revision);
+  },
+  
+  // apk: nombres[.nombres][lettre][_suffixe[n]]...[-rN]; _alpha < _beta < _pre < _rc < (rien) < _cvs ... < _p
+  apk(a, b) {
+    const suffixes = ['alpha', 'beta', 'pre', 'rc', '', 'cvs', 'svn', 'git', 'hg', 'p'];
+    const parse = (version) => {
+      const match = String(version).trim()
+        .match(/^(\d+(?:\.\d+)*)([a-z]?)((?:_(?:alpha|beta|pre|rc|cvs|svn|git|hg|p)\d*)*)(?:~[0-9a-f]+)?(?:-r(\d+))?$/);
+      if (!match) return null;
+      return {
+        numbers: match[1].split('.').map(Number),
+        letter: match[2],
+        suffixes: (match[3].match(/_[a-z]+\d*/g) || []).map(token => {
+          const [, name, number] = token.match(/^_([a-z]+)(\d*)$/);
+          return [suffixes.indexOf(name), +(number || 0)];
+        }),
+        revision: +(match[4] || 0)
+      };
+    };
+    const left = parse(a);
+    const right = parse(b);
+    if (!left || !right) return versionCompare.loose(a, b);
+    
+    for (let i = 0; i < Math.max(left.numbers.length, right.numbers.length); i++) {
+      if (left.numbers[i] === undefined || right.numbers[i] === undefined) return left.numbers[i] === undefined ? -1 : 1;
+      if (left.numbers[i] !== right.numbers[i]) return left.numbers[i] - right.numbers[i];
+    }
+    if (left.letter !== right.letter) return left.letter < right.letter ? -1 : 1;
+    
+    const none = [suffixes.indexOf(''), 0];
+    for (let i = 0; i < Math.max(left.suffixes.length, right.suffixes.length); i++) {
+      const [x, y] = [left.suffixes[i] || none, right.suffixes[i] || none];
+      if (x[0] !== y[0]) return x[0] - y[0];
+      if (x[1] !== y[1]) return x[1] - y[1];
+    }
+    return left.revision - right.revision;
+  },
+  
+  // PEP 440: [N!]release[{a|b|rc}N][.postN][.devN]; .devN seul précède toutes les pré-releases
+  pep440(a, b) {
+    const phases = { a: 0, alpha: 0, b: 1, beta: 1, c: 2, rc: 2, pre: 2, preview: 2 };
+    const parse = (version) => {
+      const match = String(version).trim().toLowerCase().match(
+        /^v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|alpha|b|beta|c|rc|pre|preview)[-_.]?(\d*))?(?:-(\d+)|[-_.]?(?:post|rev|r)[-_.]?(\d*))?(?:[-_.]?dev[-_.]?(\d*))?(?:\+[a-z0-9.]+)?$/
+      );
+      if (!match) return null;
+      const [, epoch, release, phase, pre, implicitPost, post, dev] = match;
+      const hasPost = implicitPost !== undefined || post !== undefined;
+      const hasDev = dev !== undefined;
+      
+      return [
+        [+(epoch || 0)],
+        release.split('.').map(Number),
+        phase ? [phases[phase], +(pre || 0)] : (!hasPost && hasDev ? [-Infinity] : [Infinity]),
+        hasPost ? [+(implicitPost || post || 0)] : [-Infinity],
+        hasDev ? [+(dev || 0)] : [Infinity]
+      ];
+    };
+    const left = parse(a);
+    const right = parse(b);
+    if (!left || !right) return versionCompare.loose(a, b);
+    
+    for (let part = 0; part < left.length; part++) {
+      // Les zéros de fin de release ne comptent pas: 1.0 == 1.0.0
+      const size = Math.max(left[part].length, right[part].length);
+      for (let i = 0; i < size; i++) {
+        const x = left[part][i] ?? 0;
+        const y = right[part][i] ?? 0;
+        if (x !== y) return x < y ? -1 : 1;
+      }
+    }
+    return 0;
+  }
+};
+
+// Écosystèmes OSV → type de paquet de l'inventaire SBOM et comparateur
+const OSV_ECOSYSTEMS = {
+  Alpine: { type: 'apk', compare: versionCompare.apk },
+  Debian: { type: 'deb', compare: versionCompare.deb },
+  Ubuntu: { type: 'deb', compare: versionCompare.deb },
+  npm: { type: 'npm', compare: versionCompare.semver },
+  PyPI: { type: 'python', compare: versionCompare.pep440 }
+};
+
+const cvss = {
+  // Score de base CVSS v3.x depuis le vecteur (CVSS:3.1/AV:N/AC:L/...)
+  score(vector) {
+    const metrics = Object.fromEntries(String(vector).split('/').map(part => part.split(':')));
+    if (!/^3\.[01]$/.test(metrics.CVSS || '')) return null;
+    
+    const changed = metrics.S === 'C';
+    const weights = {
+      AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+      AC: { L: 0.77, H: 0.44 },
+      PR: { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 },
+      UI: { N: 0.85, R: 0.62 },
+      CIA: { H: 0.56, L: 0.22, N: 0 }
+    };
+    const [av, ac, pr, ui] = ['AV', 'AC', 'PR', 'UI'].map(metric => weights[metric][metrics[metric]]);
+    const [c, i, a] = ['C', 'I', 'A'].map(metric => weights.CIA[metrics[metric]]);
+    if ([av, ac, pr, ui, c, i, a].includes(undefined)) return null;
+    
+    const roundUp = (value) => Math.ceil(Math.round(value * 100000) / 10000) / 10;
+    const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+    const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+    const exploitability = 8.22 * av * ac * pr * ui;
+    if (impact <= 0) return 0;
+    
+    return roundUp(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+  },
+  
+  severity(score) {
+    if (score === null || score === undefined) return 'UNKNOWN';
+    if (score >= 9) return 'CRITICAL';
+    if (score >= 7) return 'HIGH';
+    if (score >= 4) return 'MEDIUM';
+    return score > 0 ? 'LOW' : 'UNKNOWN';
+  }
+};
+
+// Base d'advisories OSV importée depuis le disque (la build farm n'a pas Internet)
+class AdvisoryDatabase {
+  constructor(store) {
+    this.store = store;
+    this.data = null;
+    this.index = null;
+  }
+  
+  // Chargée à la demande: la base peut peser lourd et seules les commandes de scan en ont besoin
+  load() {
+    if (!this.data) {
+      this.data = this.store.load('advisories', { updated: null, sources: [], advisories: {} });
+      this.index = new Map();
+      for (const advisory of Object.values(this.data.advisories)) {
+        for (const affected of advisory.affected) {
+          const key = this.packageKey(affected.ecosystem, affected.name);
+          if (!this.index.has(key)) this.index.set(key, []);
+          this.index.get(key).push({ advisory, affected });
+        }
+      }
+    }
+    return this.data;
+  }
+  
+  // PyPI normalise les noms (PEP 503), les autres écosystèmes comparent tels quels
+  packageKey(ecosystem, name) {
+    const base = ecosystem.split(':')[0];
+    return `${OSV_ECOSYSTEMS[base]?.type || base}/${base === 'PyPI' ? name.toLowerCase().replace(/[-_.]+/g, '-') : name}`;
+  }
+  
+  // Fichier JSON (advisory unique ou tableau) ou répertoire d'advisories (format des exports OSV extraits)
+  async import(path) {
+    const source = resolve(path);
+    const stat = await fs.stat(source);
+    const files = stat.isDirectory()
+      ? (await layerfs.walk(source)).filter(entry => entry.type === 'file' && entry.path.endsWith('.json')).map(entry => join(source, entry.path))
+      : [source];
+    
+    const data = this.load();
+    let imported = 0;
+    let skipped = 0;
+    
+    for (const file of files) {
+      let content;
+      try {
+        content = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`${file}: invalid advisory file (${error.message})`);
+      }
+      
+      for (const entry of Array.isArray(content) ? content : [content]) {
+        const advisory = this.normalize(entry);
+        if (!advisory) {
+          skipped++;
+          continue;
+        }
+        // Une advisory déjà connue n'est remplacée que par une version plus récente
+        const existing = data.advisories[advisory.id];
+        if (!existing || !existing.modified || (advisory.modified || '') >= existing.modified) {
+          data.advisories[advisory.id] = advisory;
+        }
+        imported++;
+      }
+    }
+    
+    data.updated = new Date().toISOString();
+    data.sources = [...data.sources.filter(entry => entry.path !== source), { path: source, imported: data.updated, advisories: imported }];
+    await this.store.save('advisories', data);
+    this.data = null;
+    
+    return { path: source, files: files.length, imported, skipped, total: Object.keys(this.load().advisories).length };
+  }
+  
+  // Ne garde que ce qui sert au matching: les écosystèmes non gérés et les ranges GIT sont ignorés
+  normalize(entry) {
+    if (!entry?.id || !Array.isArray(entry.affected)) return null;
+    
+    const affected = entry.affected
+      .filter(item => OSV_ECOSYSTEMS[item.package?.ecosystem?.split(':')[0]] && item.package.name)
+      .map(item => ({
+        ecosystem: item.package.ecosystem,
+        name: item.package.name,
+        ranges: (item.ranges || [])
+          .filter(range => range.type === 'SEMVER' || range.type === 'ECOSYSTEM')
+          .map(range => ({ type: range.type, events: range.events || [] })),
+        versions: item.versions || [],
+        severity: item.ecosystem_specific?.severity || item.database_specific?.severity || null
+      }));
+    if (affected.length === 0) return null;
+    
+    return {
+      id: entry.id,
+      aliases: entry.aliases || [],
+      summary: entry.summary || (entry.details || '').split('\n')[0].substring(0, 200),
+      modified: entry.modified || null,
+      severity: this.severityOf(entry),
+      affected
+    };
+  }
+  
+  severityOf(entry) {
+    const vector = (entry.severity || []).find(item => /^CVSS_V3/.test(item.type));
+    const score = vector ? cvss.score(vector.score) : null;
+    if (score !== null) return { level: cvss.severity(score), score };
+    
+    return { level: this.level(entry.database_specific?.severity), score: null };
+  }
+  
+  // Vocabulaires GHSA, Debian, Ubuntu ramenés aux quatre niveaux
+  level(value) {
+    const aliases = { MODERATE: 'MEDIUM', IMPORTANT: 'HIGH', NEGLIGIBLE: 'LOW', UNIMPORTANT: 'LOW' };
+    const upper = typeof value === 'string' ? value.toUpperCase() : null;
+    const level = aliases[upper] || upper;
+    return SEVERITIES.includes(level) ? level : 'UNKNOWN';
+  }
+  
+  info() {
+    const { updated, sources, advisories } = this.load();
+    const ecosystems = {};
+    for (const advisory of Object.values(advisories)) {
+      for (const ecosystem of new Set(advisory.affected.map(item => item.ecosystem.split(':')[0]))) {
+        ecosystems[ecosystem] = (ecosystems[ecosystem] || 0) + 1;
+      }
+    }
+    return { updated, sources, advisories: Object.keys(advisories).length, ecosystems };
+  }
+  
+  // Évaluation OSV: les événements triés ouvrent (introduced) et ferment (fixed, last_affected) les plages
+  affects(affected, version, compare) {
+    if (affected.versions.includes(version)) return { vulnerable: true, fixed: null };
+    
+    for (const range of affected.ranges) {
+      const order = range.type === 'SEMVER' ? versionCompare.semver : compare;
+      const bound = (event) => event.introduced ?? event.fixed ?? event.last_affected ?? event.limit;
+      const events = range.events
+        .filter(event => bound(event) !== undefined && !('limit' in event))
+        .sort((x, y) => (bound(x) === '0' ? -1 : bound(y) === '0' ? 1 : order(bound(x), bound(y))));
+      
+      let vulnerable = false;
+      let fixed = null;
+      for (const event of events) {
+        if (event.introduced !== undefined) {
+          if (event.introduced === '0' || order(version, event.introduced) >= 0) {
+            vulnerable = true;
+            fixed = null;
+          }
+        } else if (event.fixed !== undefined) {
+          if (order(version, event.fixed) >= 0) vulnerable = false;
+          else if (vulnerable && !fixed) fixed = event.fixed;
+        } else if (order(version, event.last_affected) > 0) {
+          vulnerable = false;
+        }
+      }
+      if (vulnerable) return { vulnerable, fixed };
+    }
+    return { vulnerable: false, fixed: null };
+  }
+  
+  // Release de distribution (Alpine:v3.19, Debian:12, Ubuntu:22.04:LTS) comparée à /etc/os-release
+  releaseMatches(ecosystem, distro) {
+    const [base, release] = ecosystem.split(':');
+    if (!distro?.id || !['Alpine', 'Debian', 'Ubuntu'].includes(base)) return true;
+    if (base.toLowerCase() !== distro.id) return false;
+    if (!release || !distro.version) return true;
+    
+    const wanted = release.replace(/^v/, '');
+    return distro.version === wanted || distro.version.startsWith(`${wanted}.`);
+  }
+  
+  match({ os: distro, packages }) {
+    this.load();
+    const findings = [];
+    
+    for (const pkg of packages) {
+      // Les advisories de distribution visent le paquet source (origin apk, Source dpkg)
+      const names = new Set([pkg.name, pkg.source && !/^https?:/.test(pkg.source) ? pkg.source : null].filter(Boolean));
+      const candidates = Object.entries(OSV_ECOSYSTEMS)
+        .filter(([, ecosystem]) => ecosystem.type === pkg.type)
+        .flatMap(([base]) => Array.from(names).flatMap(name => this.index.get(this.packageKey(base, name)) || []));
+      const seen = new Set();
+      
+      for (const { advisory, affected } of candidates) {
+        if (seen.has(advisory.id) || !this.releaseMatches(affected.ecosystem, distro)) continue;
+        
+        const { compare } = OSV_ECOSYSTEMS[affected.ecosystem.split(':')[0]];
+        const { vulnerable, fixed } = this.affects(affected, pkg.version, compare);
+        if (!vulnerable) continue;
+        
+        seen.add(advisory.id);
+        const level = advisory.severity.level !== 'UNKNOWN' ? advisory.severity.level : this.level(affected.severity);
+        findings.push({
+          id: advisory.id,
+          aliases: advisory.aliases,
+          severity: level,
+          score: advisory.severity.score,
+          package: pkg.name,
+          type: pkg.type,
+          version: pkg.version,
+          fixed,
+          location: pkg.location,
+          summary: advisory.summary
+        });
+      }
+    }
+    
+    return findings.sort((a, b) =>
+      SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+      (b.score || 0) - (a.score || 0) ||
+      a.package.localeCompare(b.package) ||
+      a.id.localeCompare(b.id));
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🔒 MODULE ISOLATION - ESSENCES: LINUX + RUST + GO
+// ═══════════════════════════════════════════════════════════════════════════════
+
+class IsolationModule extends DockerModule {
+  constructor(store = new StateStore()) {
+    super('Isolation');
+    this.store = store;
+    // NEXUS AXION Essences
+    this.linuxEssence = linux;
+    this.rustEssence = rust;
+    this.goEssence = go;
+    
+    // Container isolation state
+    this.namespaces = new Map();
+    this.cgroups = new Map();
+    this.containers = new Map();
+  }
+  
+  async _handleOperation(operation, data, options) {
+    switch (operation) {
+      case 'create_namespace':
+        return await this.createNamespace(data.type, data.name);
+        
+      case 'create_cgroup':
+        return await this.createCgroup(data.name, data.limits);
+        
+      case 'isolate_container':
+        return await this.isolateContainer(data.containerId, data.config);
+        
+      case 'setup_filesystem':
+        return await this.setupContainerFilesystem(data.containerId, data.image);
+        
+      default:
+        throw new Error(`Unknown isolation operation: ${operation}`);
+    }
+  }
+  
+  async createNamespace(type, name) {
+    // Linux Essence: Création de namespace
+    const namespace = this.linuxEssence.namespace(type);
+    this.namespaces.set(name, namespace);
+    
+    return rust.result({
+      namespace: name,
+      type,
+      pid: process.pid,
+      isolated: true
+    });
+  }
+  
+  async createCgroup(name, limits) {
+    // Linux Essence: Control Groups
+    const cgroup = this.linuxEssence.cgroup(name, limits);
+    this.cgroups.set(name, cgroup);
+    
+    return rust.result({
+      cgroup: name,
+      limits,
+      enforced: true
+    });
+  }
+  
+  async isolateContainer(containerId, config) {
+    // Rust Essence: Ownership sécurisé du container
+    const containerResource = rust.own({
+      id: containerId,
+      config,
+      namespaces: [],
+      cgroups: [],
+      filesystem: null,
+      network: null,
+      pid: null
+    }, 'container_lifetime');
+    
+    // Go Essence: Isolation concurrente
+    const isolationTasks = [
+      () => this.createNamespace('pid', `${containerId}_pid`),
+      () => this.createNamespace('net', `${containerId}_net`),
+      () => this.createNamespace('mnt', `${containerId}_mnt`),
+      () => this.createCgroup(containerId, config.resources || {})
+    ];
+    
+    const results = await this.goEssence.concurrent(isolationTasks);
+    const container = containerResource.borrow();
+    
+    container.namespaces = results.slice(0, 3).map(r => r.unwrap());
+    container.cgroups = [results[3].unwrap()];
+    
+    this.containers.set(containerId, containerResource);
+    
+    return rust.result({
+      containerId,
+      isolated: true,
+      namespaces: container.namespaces.length,
+      resources_limited: true,
+      security_context: 'restricted'
+    });
+  }
+  
+  async setupContainerFilesystem(containerId, imagePath) {
+    const containerFs = this.store.path('containers', containerId);
+    
+    try {
+      await fs.mkdir(containerFs, { recursive: true });
+      
+      // Simulation du mount de l'image
+      const mount = linux.mount(imagePath, containerFs, 'overlayfs');
+      
+      // Directories standards
+      const stdDirs = ['bin', 'etc', 'home', 'tmp', 'var', 'usr'];
+      await Promise.all(
+        stdDirs.map(dir => fs.mkdir(join(containerFs, dir), { recursive: true }))
+      );
+      
+      return rust.result({
+        containerId,
+        filesystem: containerFs,
+        mounted: true,
+        rootfs: containerFs
+      });
+      
+    } catch (error) {
+      return rust.result(null, error.message);
+    }
+  }
+  
+  getCapabilities() {
+    return [
+      'create_namespace',
+      'create_cgroup', 
+      'isolate_container',
+      'setup_filesystem'
+    ];
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📜 DOCKERFILE PARSER - DIRECTIVES, CONTINUATIONS, HEREDOCS, FORMES EXEC/SHELL
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const DOCKERFILE_FLAGS = {
+  FROM: ['platform'],
+  RUN: ['mount', 'network', 'security'],
+  COPY: ['from', 'chown', 'chmod', 'link', 'parents', 'exclude'],
+  ADD: ['chown', 'chmod', 'checksum', 'keep-git-dir', 'link', 'exclude'],
+  HEALTHCHECK: ['interval', 'timeout', 'start-period', 'start-interval', 'retries']
+};
+
+const HEREDOC_INSTRUCTIONS = ['RUN', 'COPY', 'ADD'];
+
+// Instructions dont les arguments subissent la substitution $VAR (RUN/CMD: laissée au shell)
+const EXPANDABLE_INSTRUCTIONS = ['FROM', 'ADD', 'COPY', 'ENV', 'EXPOSE', 'LABEL', 'STOPSIGNAL', 'USER', 'VOLUME', 'WORKDIR', 'ARG'];
+
+// Build args acceptés sans ARG correspondant (jamais enregistrés dans l'historique)
+const PROXY_BUILD_ARGS = ['HTTP_PROXY', 'HTTPS_PROXY', 'FTP_PROXY', 'NO_PROXY', 'ALL_PROXY']
+  .flatMap(name => [name, name.toLowerCase()]);
+
+const dockerfileParser = {
+  syntaxError(line, message) {
+    return Object.assign(new Error(`Dockerfile parse error on line ${line}: ${message}`), { line });
+  },
+  
+  // Directives: uniquement en tête de fichier, avant tout commentaire ou ligne vide
+  parseDirectives(lines) {
+    const directives = { escape: '\\' };
+    let index = 0;
+    
+    for (; index < lines.length; index++) {
+      const match = lines[index].match(/^#\s*([a-zA-Z][a-zA-Z0-9]*)\s*=\s*(.*?)\s*$/);
+      if (!match || !['syntax', 'escape', 'check'].includes(match[1].toLowerCase())) break;
+      
+      const key = match[1].toLowerCase();
+      if (key in directives && key !== 'escape') {
+        throw dockerfileParser.syntaxError(index + 1, `only one ${key} parser directive can be used`);
+      }
+      if (key === 'escape' && !['\\', '`'].includes(match[2])) {
+        throw dockerfileParser.syntaxError(index + 1, `invalid escape token '${match[2]}' does not match ` + '` or \\');
+      }
+      directives[key] = match[2];
+    }
+    
+    return directives;
+  },
+  
+  parse(content) {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const directives = dockerfileParser.parseDirectives(lines);
+    const { escape } = directives;
+    const instructions = [];
+    
+    const isSkippable = (line) => !line.trim() || line.trimStart().startsWith('#');
+    const continues = (line) => line.trimEnd().endsWith(escape);
+    
+    let index = 0;
+    while (index < lines.length) {
+      if (isSkippable(lines[index])) { index++; continue; }
+      
+      const startLine = index + 1;
+      const physical = [lines[index]];
+      let logical = lines[index];
+      let endLine = startLine;
+      
+      // Continuations: commentaires et lignes vides intermédiaires ignorés
+      while (continues(logical)) {
+        logical = logical.trimEnd().slice(0, -1);
+        index++;
+        while (index < lines.length && isSkippable(lines[index])) index++;
+        if (index >= lines.length) break;
+        physical.push(lines[index]);
+        logical += lines[index];
+        endLine = index + 1;
+      }
+      index++;
+      
+      const match = logical.trim().match(/^(\S+)\s*([\s\S]*)$/);
+      const command = match[1].toUpperCase();
+      let rest = match[2].trim();
+      
+      // Heredocs: corps lus sur les lignes suivantes jusqu'au délimiteur
+      const heredocs = [];
+      if (HEREDOC_INSTRUCTIONS.includes(command)) {
+        let words = [];
+        try {
+          words = dockerfileParser.shellWords(rest, escape, startLine);
+        } catch {
+          // Guillemets non fermés: laissés au shell, pas de heredoc possible
+        }
+        
+        for (const word of words) {
+          const heredoc = word.raw.match(/^<<(-?)(["']?)([A-Za-z_][A-Za-z0-9_]*)\2$/);
+          if (!heredoc) continue;
+          
+          const [, chomp, quote, name] = heredoc;
+          const body = [];
+          while (true) {
+            if (index >= lines.length) {
+              throw dockerfileParser.syntaxError(startLine, `unterminated heredoc ${name}`);
+            }
+            const line = chomp ? lines[index].replace(/^\t+/, '') : lines[index];
+            physical.push(lines[index]);
+            index++;
+            endLine = index;
+            if (line === name) break;
+            body.push(line);
+          }
+          heredocs.push({ name, content: body.length ? body.join('\n') + '\n' : '', chomp: !!chomp, expand: !quote });
+        }
+      }
+      
+      instructions.push(dockerfileParser.parseInstruction(command, rest, {
+        line: startLine,
+        endLine,
+        original: physical.join('\n').trim(),
+        escape,
+        heredocs
+      }));
+    }
+    
+    return { directives, instructions };
+  },
+  
+  // Découpe en mots en respectant guillemets et caractère d'échappement
+  shellWords(text, escape = '\\', line = 0) {
+    const words = [];
+    let word = '';
+    let raw = '';
+    let quote = null;
+    let inWord = false;
+    
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      
+      if (!quote && /\s/.test(ch)) {
+        if (inWord) words.push({ raw, value: word });
+        word = '';
+        raw = '';
+        inWord = false;
+        continue;
+      }
+      
+      inWord = true;
+      raw += ch;
+      
+      if (ch === escape && quote !== "'" && i + 1 < text.length) {
+        const next = text[++i];
+        raw += next;
+        // Entre guillemets doubles, seuls " $ et l'échappement sont échappables
+        if (quote === '"' && !['"', '$', escape].includes(next)) word += ch;
+        word += next;
+        continue;
+      }
+      
+      if (quote) {
+        if (ch === quote) quote = null;
+        else word += ch;
+        continue;
+      }
+      
+      if (ch === '"' || ch === "'") {
+        quote = ch;
+        continue;
+      }
+      
+      word += ch;
+    }
+    
+    if (quote) {
+      throw dockerfileParser.syntaxError(line, `unmatched ${quote} quote`);
+    }
+    if (inWord) words.push({ raw, value: word });
+    
+    return words;
+  },
+  
+  parseFlags(command, rest, line) {
+    const flags = {};
+    const allowed = DOCKERFILE_FLAGS[command] || [];
+    
+    while (rest.startsWith('--')) {
+      const match = rest.match(/^--([a-zA-Z][a-zA-Z0-9-]*)(?:=(\S*))?\s*([\s\S]*)$/);
+      if (!match) {
+        throw dockerfileParser.syntaxError(line, `invalid flag syntax: ${rest.split(/\s/)[0]}`);
+      }
+      
+      const [, name, value, remaining] = match;
+      if (!allowed.includes(name)) {
+        throw dockerfileParser.syntaxError(line, `unknown flag: --${name} for ${command}`);
+      }
+      
+      const parsed = value === undefined ? true : value;
+      // Flags répétables (--mount, --exclude) accumulés en tableau
+      flags[name] = name in flags ? [].concat(flags[name], parsed) : parsed;
+      rest = remaining;
+    }
+    
+    return { flags, rest };
+  },
+  
+  // Forme exec ["a", "b"] si JSON valide, sinon forme shell
+  parseCommandForm(rest) {
+    if (rest.startsWith('[')) {
+      try {
+        const parsed = JSON.parse(rest);
+        if (Array.isArray(parsed) && parsed.every(item => typeof item === 'string')) {
+          return { form: 'exec', cmd: parsed };
+        }
+      } catch {
+        // Pas du JSON: forme shell
+      }
+    }
+    return { form: 'shell', cmd: rest };
+  },
+  
+  parsePairs(command, rest, meta) {
+    const words = dockerfileParser.shellWords(rest, meta.escape, meta.line);
+    
+    // Forme historique: ENV key value avec espaces
+    if (command === 'ENV' && words.length > 0 && !words[0].raw.includes('=')) {
+      if (words.length < 2) {
+        throw dockerfileParser.syntaxError(meta.line, 'ENV must have two arguments');
+      }
+      const value = rest.substring(rest.indexOf(words[0].raw) + words[0].raw.length).trim();
+      return [{ key: words[0].value, value: dockerfileParser.unquote(value, meta.escape), raw: value }];
+    }
+    
+    return words.map(word => {
+      const equals = word.raw.indexOf('=');
+      if (equals === -1) {
+        if (command === 'ARG') return { key: word.value, value: null, raw: null };
+        throw dockerfileParser.syntaxError(meta.line, `${command} names can not be blank or missing a value: ${word.raw}`);
+      }
+      const key = word.raw.substring(0, equals);
+      const raw = word.raw.substring(equals + 1);
+      if (!key) {
+        throw dockerfileParser.syntaxError(meta.line, `${command} names can not be blank`);
+      }
+      return { key: dockerfileParser.unquote(key, meta.escape), value: dockerfileParser.unquote(raw, meta.escape), raw };
+    });
+  },
+  
+  unquote(text, escape) {
+    return dockerfileParser.shellWords(text, escape).map(word => word.value).join(' ');
+  },
+  
+  // Substitution $VAR, ${VAR}, ${VAR:-x}, ${VAR:+x}... sur le texte brut.
+  // Les valeurs sont échappées pour rester un seul mot au re-parse; verbatim: sans guillemets ni échappement
+  expand(text, vars, escape = '\\', line = 0, verbatim = false) {
+    let result = '';
+    let quote = null;
+    
+    const protect = (value) => verbatim ? value : Array.from(value).map(ch => {
+      const special = quote === '"' ? ch === '"' || ch === escape : /[\s"'$]/.test(ch) || ch === escape;
+      return special ? escape + ch : ch;
+    }).join('');
+    
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      
+      if (ch === escape && quote !== "'" && i + 1 < text.length) {
+        const next = text[++i];
+        result += verbatim && next === '$' ? next : ch + next;
+        continue;
+      }
+      
+      if (!verbatim) {
+        if (quote && ch === quote) quote = null;
+        else if (!quote && (ch === '"' || ch === "'")) quote = ch;
+      }
+      
+      if (ch === '$' && quote !== "'") {
+        const { value, end } = dockerfileParser.substitute(text, i, vars, escape, line);
+        result += protect(value);
+        i = end;
+        continue;
+      }
+      
+      result += ch;
+    }
+    
+    return result;
+  },
+  
+  // Une référence de variable à la position index; end = dernier caractère consommé
+  substitute(text, index, vars, escape, line) {
+    const lookup = (name) => Object.hasOwn(vars, name) ? vars[name] : null;
+    
+    if (text[index + 1] !== '{') {
+      const name = text.substring(index + 1).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      if (!name) return { value: '$', end: index };
+      return { value: lookup(name[0]) ?? '', end: index + name[0].length };
+    }
+    
+    // Accolade fermante correspondante (les modificateurs peuvent imbriquer ${...})
+    let depth = 0;
+    let close = -1;
+    for (let i = index + 1; i < text.length && close === -1; i++) {
+      if (text[i] === escape) i++;
+      else if (text[i] === '{') depth++;
+      else if (text[i] === '}' && --depth === 0) close = i;
+    }
+    if (close === -1) {
+      throw dockerfileParser.syntaxError(line, `missing '}' in variable substitution: ${text.substring(index)}`);
+    }
+    
+    const body = text.substring(index + 2, close);
+    const match = body.match(/^([A-Za-z_][A-Za-z0-9_]*)(?:(:?[-+?])([\s\S]*))?$/);
+    if (!match) {
+      throw dockerfileParser.syntaxError(line, `bad substitution: \${${body}}`);
+    }
+    
+    const [, name, modifier, word = ''] = match;
+    const value = lookup(name);
+    const isSet = modifier?.startsWith(':') ? !!value : value !== null;
+    const alternative = () => dockerfileParser.expand(word, vars, escape, line, true);
+    
+    let result;
+    switch (modifier?.replace(':', '')) {
+      case '-':
+        result = isSet ? value : alternative();
+        break;
+      case '+':
+        result = isSet ? alternative() : '';
+        break;
+      case '?':
+        if (!isSet) {
+          throw dockerfileParser.syntaxError(line, `${name}: ${alternative() || 'parameter not set or null'}`);
+        }
+        result = value;
+        break;
+      default:
+        result = value ?? '';
+    }
+    
+    return { value: result, end: close };
+  },
+  
+  // Durées Go (1m30s, 500ms) -> nanosecondes comme dans la config Docker
+  parseDuration(value, line) {
+    const units = { ns: 1, us: 1e3, µs: 1e3, ms: 1e6, s: 1e9, m: 60e9, h: 3600e9 };
+    const parts = String(value).match(/(\d+(?:\.\d+)?)(ns|us|µs|ms|s|m|h)/g);
+    
+    if (!parts || parts.join('') !== String(value)) {
+      throw dockerfileParser.syntaxError(line, `invalid duration: ${value}`);
+    }
+    return parts.reduce((total, part) => {
+      const [, amount, unit] = part.match(/(\d+(?:\.\d+)?)(\D+)/);
+      return total + parseFloat(amount) * units[unit];
+    }, 0);
+  },
+  
+  parseInstruction(command, rest, meta) {
+    const { line, escape } = meta;
+    const { flags, rest: body } = dockerfileParser.parseFlags(command, rest, line);
+    const instruction = {
+      command,
+      args: rest,
+      original: meta.original ?? `${command} ${rest}`,
+      line,
+      endLine: meta.endLine ?? line,
+      escape,
+      flags,
+      heredocs: meta.heredocs || []
+    };
+    
+    const words = () => dockerfileParser.shellWords(body, escape, line).map(word => word.value);
+    const requireArgs = () => {
+      if (!body) throw dockerfileParser.syntaxError(line, `${command} requires at least one argument`);
+    };
+    
+    switch (command) {
+      case 'FROM': {
+        const parts = words();
+        if (parts.length !== 1 && !(parts.length === 3 && parts[1].toLowerCase() === 'as')) {
+          throw dockerfileParser.syntaxError(line, 'FROM requires either one or three arguments');
+        }
+        return { ...instruction, image: parts[0], stage: parts[2] ? parts[2].toLowerCase() : null };
+      }
+        
+      case 'RUN':
+      case 'CMD':
+      case 'ENTRYPOINT':
+        if (command === 'RUN') requireArgs();
+        return { ...instruction, ...dockerfileParser.parseCommandForm(body) };
+        
+      case 'SHELL': {
+        const { form, cmd } = dockerfileParser.parseCommandForm(body);
+        if (form !== 'exec' || cmd.length === 0) {
+          throw dockerfileParser.syntaxError(line, 'SHELL requires the arguments to be in JSON form');
+        }
+        return { ...instruction, form, cmd };
+      }
+        
+      case 'COPY':
+      case 'ADD': {
+        requireArgs();
+        const { form, cmd } = dockerfileParser.parseCommandForm(body);
+        const paths = form === 'exec' ? cmd : words();
+        if (paths.length < 2) {
+          throw dockerfileParser.syntaxError(line, `${command} requires at least two arguments, but got ${paths.length}`);
+        }
+        return { ...instruction, form, sources: paths.slice(0, -1), destination: paths[paths.length - 1] };
+      }
+        
+      case 'ENV':
+      case 'LABEL':
+      case 'ARG':
+        requireArgs();
+        return { ...instruction, pairs: dockerfileParser.parsePairs(command, body, meta) };
+        
+      case 'EXPOSE':
+        requireArgs();
+        return {
+          ...instruction,
+          ports: words().map(port => {
+            if (!/^\d+(-\d+)?(\/(tcp|udp|sctp))?$/i.test(port) && !port.includes('$')) {
+              throw dockerfileParser.syntaxError(line, `invalid containerPort: ${port}`);
+            }
+            return port.includes('/') ? port.toLowerCase() : `${port}/tcp`;
+          })
+        };
+        
+      case 'WORKDIR':
+        requireArgs();
+        return { ...instruction, path: dockerfileParser.unquote(body, escape) };
+        
+      case 'USER': {
+        requireArgs();
+        const [user, group = null] = words()[0].split(':');
+        return { ...instruction, user, group };
+      }
+        
+      case 'VOLUME': {
+        requireArgs();
+        const { form, cmd } = dockerfileParser.parseCommandForm(body);
+        return { ...instruction, form, paths: form === 'exec' ? cmd : words() };
+      }
+        
+      case 'STOPSIGNAL':
+        requireArgs();
+        return { ...instruction, signal: words()[0] };
+        
+      case 'MAINTAINER':
+        requireArgs();
+        return { ...instruction, maintainer: dockerfileParser.unquote(body, escape) };
+        
+      case 'HEALTHCHECK': {
+        requireArgs();
+        const [type, ...remaining] = body.split(/\s+/);
+        
+        if (type.toUpperCase() === 'NONE') {
+          if (remaining.length || Object.keys(flags).length) {
+            throw dockerfileParser.syntaxError(line, 'HEALTHCHECK NONE takes no arguments');
+          }
+          return { ...instruction, healthcheck: { Test: ['NONE'] } };
+        }
+        if (type.toUpperCase() !== 'CMD') {
+          throw dockerfileParser.syntaxError(line, `Unknown type "${type}" in HEALTHCHECK (try CMD)`);
+        }
+        
+        const { form, cmd } = dockerfileParser.parseCommandForm(body.substring(type.length).trim());
+        const healthcheck = { Test: form === 'exec' ? ['CMD', ...cmd] : ['CMD-SHELL', cmd] };
+        
+        if (flags.interval) healthcheck.Interval = dockerfileParser.parseDuration(flags.interval, line);
+        if (flags.timeout) healthcheck.Timeout = dockerfileParser.parseDuration(flags.timeout, line);
+        if (flags['start-period']) healthcheck.StartPeriod = dockerfileParser.parseDuration(flags['start-period'], line);
+        if (flags['start-interval']) healthcheck.StartInterval = dockerfileParser.parseDuration(flags['start-interval'], line);
+        if (flags.retries !== undefined) {
+          healthcheck.Retries = parseInt(flags.retries, 10);
+          if (!(healthcheck.Retries > 0)) {
+            throw dockerfileParser.syntaxError(line, '--retries must be at least 1');
+          }
+        }
+        return { ...instruction, form, healthcheck };
+      }
+        
+      case 'ONBUILD': {
+        requireArgs();
+        const match = body.match(/^(\S+)\s*([\s\S]*)$/);
+        const triggerCommand = match[1].toUpperCase();
+        if (['ONBUILD', 'FROM', 'MAINTAINER'].includes(triggerCommand)) {
+          throw dockerfileParser.syntaxError(line, `${triggerCommand} isn't allowed as an ONBUILD trigger`);
+        }
+        return {
+          ...instruction,
+          trigger: dockerfileParser.parseInstruction(triggerCommand, match[2].trim(), { line, escape })
+        };
+      }
+        
+      default:
+        // Instruction inconnue: conservée, le build la rejettera avec son numéro de ligne
+        return { ...instruction, unknown: true };
+    }
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🧹 DOCKERFILE LINT - RÈGLES SUR LES INSTRUCTIONS PARSÉES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const LINT_SEVERITIES = ['error', 'warning', 'info'];
+
+// Fichier de configuration cherché à côté du Dockerfile: { "ignore": ["DN002", "apt-lists-cleanup"] }
+const LINT_CONFIG_FILE = '.nexus-lint.json';
+
+// Variables d'environnement présentes dans pratiquement toutes les images de base
+const COMMON_ENV = ['PATH', 'HOME', 'HOSTNAME', 'TERM', 'LANG', 'USER', 'SHELL', 'PWD'];
+
+const LINT_RULES = [
+  { id: 'DN000', name: 'parse-error', severity: 'error', description: 'The Dockerfile cannot be parsed' },
+  { id: 'DN001', name: 'from-missing-tag', severity: 'warning', description: 'Always tag the base image (FROM image:tag or image@digest)' },
+  { id: 'DN002', name: 'from-latest', severity: 'warning', description: 'Do not use the latest tag for base images' },
+  { id: 'DN003', name: 'apt-no-install-recommends', severity: 'info', description: 'Use apt-get install --no-install-recommends to avoid extra packages' },
+  { id: 'DN004', name: 'apt-lists-cleanup', severity: 'info', description: 'Remove /var/lib/apt/lists in the RUN that installs packages' },
+  { id: 'DN005', name: 'multiple-cmd', severity: 'warning', description: 'Only the last CMD of a stage takes effect' },
+  { id: 'DN006', name: 'relative-workdir', severity: 'warning', description: 'Use absolute WORKDIR paths' },
+  { id: 'DN007', name: 'entrypoint-shell-form', severity: 'warning', description: 'Use the exec (JSON) form of ENTRYPOINT so signals reach the process' },
+  { id: 'DN008', name: 'add-instead-of-copy', severity: 'info', description: 'Use COPY for local files; ADD is for URLs and archives' },
+  { id: 'DN009', name: 'unknown-instruction', severity: 'error', description: 'Unknown Dockerfile instruction' },
+  { id: 'DN010', name: 'undefined-arg', severity: 'warning', description: 'Variable used without a matching ARG or ENV' }
+];
+
+const dockerfileLinter = {
+  rule(key) {
+    return LINT_RULES.find(rule => rule.id === key.toUpperCase() || rule.name === key.toLowerCase());
+  },
+  
+  // IDs ou noms de règles -> IDs; un nom inconnu est une erreur de configuration
+  resolveRules(keys, source) {
+    return keys.map(key => {
+      const rule = dockerfileLinter.rule(String(key).trim());
+      if (!rule) throw new Error(`Unknown lint rule "${key}" in ${source}`);
+      return rule.id;
+    });
+  },
+  
+  // "# nexus-lint ignore=DN001,from-latest" vise l'instruction suivante, "# nexus-lint disable=..." tout le fichier
+  inlineRules(content) {
+    const ignores = [];
+    const disabled = [];
+    
+    content.split(/\r?\n/).forEach((text, index) => {
+      const match = text.match(/^\s*#\s*nexus-lint\s+(ignore|disable)=(\S+)\s*$/);
+      if (!match) return;
+      const rules = dockerfileLinter.resolveRules(match[2].split(','), `comment on line ${index + 1}`);
+      if (match[1] === 'disable') disabled.push(...rules);
+      else ignores.push({ line: index + 1, rules });
+    });
+    
+    return { ignores, disabled };
+  },
+  
+  // Variables référencées ($VAR, ${VAR}); celles avec une valeur par défaut (${VAR:-x}, ${VAR:+x}) sont ignorées
+  references(text, escape = '\\') {
+    const names = [];
+    const pattern = /\$(?:\{([A-Za-z_][A-Za-z0-9_]*)([^}]*)\}|([A-Za-z_][A-Za-z0-9_]*))/g;
+    const unescaped = text.split(`${escape}$`).join('');
+    let match;
+    
+    while ((match = pattern.exec(unescaped)) !== null) {
+      if (match[1] && /^:?[-+]/.test(match[2])) continue;
+      names.push(match[1] || match[3]);
+    }
+    return names;
+  },
+  
+  // Texte des commandes d'un RUN: forme shell, forme exec et heredocs
+  runText(instruction) {
+    return [
+      Array.isArray(instruction.cmd) ? instruction.cmd.join(' ') : instruction.cmd,
+      ...instruction.heredocs.map(heredoc => heredoc.content)
+    ].join('\n');
+  },
+  
+  checkFrom(instruction, { stageNames, globalVars }, report) {
+    const missing = dockerfileLinter.references(instruction.image, instruction.escape).filter(name => !Object.hasOwn(globalVars, name));
+    if (missing.length) {
+      missing.forEach(name => report('DN010', instruction, `$${name} is not defined by a global ARG (before the first FROM)`));
+      return;
+    }
+    
+    const image = dockerfileParser.expand(instruction.image, globalVars, instruction.escape, instruction.line, true);
+    if (!image || image.includes('$') || image === 'scratch' || stageNames.has(image.toLowerCase())) return;
+    
+    if (image.includes('@')) return;
+    const lastComponent = image.substring(image.lastIndexOf('/') + 1);
+    if (!lastComponent.includes(':')) {
+      report('DN001', instruction, `FROM ${image} has no tag; pin a version (e.g. ${image}:<version>)`);
+    } else if (lastComponent.endsWith(':latest')) {
+      report('DN002', instruction, `FROM ${image} uses the latest tag; pin a version`);
+    }
+  },
+  
+  checkRun(instruction, report) {
+    const text = dockerfileLinter.runText(instruction);
+    if (!/\bapt(-get)?\s+(?:-\S+\s+)*install\b/.test(text)) return;
+    
+    if (!/--no-install-recommends\b/.test(text)) {
+      report('DN003', instruction, 'apt-get install without --no-install-recommends');
+    }
+    
+    // Un cache monté sur /var/lib/apt ne finit pas dans le layer: pas de nettoyage nécessaire
+    const mounts = [].concat(instruction.flags.mount || []);
+    const cached = mounts.some(mount => /type=cache/.test(mount) && /target=\/var\/(lib|cache)\/apt/.test(mount));
+    if (!cached && !/rm\s+(-\S+\s+)*\/var\/lib\/apt\/lists/.test(text)) {
+      report('DN004', instruction, 'apt-get install without "rm -rf /var/lib/apt/lists/*" in the same RUN');
+    }
+  },
+  
+  checkAdd(instruction, report) {
+    if (instruction.heredocs.length || instruction.flags.checksum || instruction.flags['keep-git-dir']) return;
+    
+    const remote = (source) => /^(https?:\/\/|git@)/.test(source) || /\.git(#.*)?$/.test(source);
+    const archive = (source) => /\.(tar|tar\.gz|tgz|tar\.bz2|tbz2?|tar\.xz|txz|tar\.zst)$/i.test(source);
+    if (!instruction.sources.some(source => remote(source) || archive(source) || source.includes('$'))) {
+      report('DN008', instruction, `ADD ${instruction.sources.join(' ')}: use COPY for local files`);
+    }
+  },
+  
+  // Portée des variables: ARG globaux (FROM uniquement, ou redéclarés), puis ARG et ENV du stage
+  checkVariables(instruction, defined, report) {
+    if (!EXPANDABLE_INSTRUCTIONS.includes(instruction.command)) return;
+    
+    // Vérifié avant d'enregistrer les définitions de l'instruction: dans ENV A=$A, $A doit déjà exister
+    const undefinedNames = dockerfileLinter.references(instruction.args, instruction.escape)
+      .filter(name => !defined.has(name) && !COMMON_ENV.includes(name));
+    for (const name of new Set(undefinedNames)) {
+      report('DN010', instruction, `$${name} is not defined by an ARG or ENV in this stage`);
+    }
+  },
+  
+  lint({ instructions, content, predefined = {}, ignore = [] }) {
+    const findings = [];
+    const { ignores, disabled } = dockerfileLinter.inlineRules(content);
+    const skipped = new Set([...ignore, ...disabled]);
+    
+    const report = (id, instruction, message) => {
+      if (skipped.has(id)) return;
+      // Un commentaire ignore= s'applique à la première instruction qui le suit
+      const comment = ignores.filter(entry => entry.line < instruction.line).pop();
+      const previous = instructions.filter(other => other.line < instruction.line).pop();
+      if (comment && (!previous || comment.line > previous.endLine) && comment.rules.includes(id)) return;
+      
+      const { name, severity } = LINT_RULES.find(rule => rule.id === id);
+      findings.push({ rule: id, name, severity, line: instruction.line, endLine: instruction.endLine, message });
+    };
+    
+    const globalVars = { ...predefined };
+    const stageNames = new Set();
+    const stageVars = new Map();
+    let stage = null;
+    
+    for (const instruction of instructions) {
+      if (instruction.command === 'FROM') {
+        dockerfileLinter.checkFrom(instruction, { stageNames, globalVars }, report);
+        
+        // Un stage construit sur un stage précédent hérite de ses ARG et ENV
+        stage = { defined: new Set(stageVars.get(instruction.image.toLowerCase()) || []), cmd: 0 };
+        if (instruction.stage) {
+          stageNames.add(instruction.stage);
+          stageVars.set(instruction.stage, stage.defined);
+        }
+        continue;
+      }
+      
+      if (!stage) {
+        // Avant le premier FROM: seuls les ARG globaux (le build refuse le reste)
+        if (instruction.command === 'ARG') {
+          instruction.pairs.forEach(({ key, value }) => { globalVars[key] = value ?? ''; });
+        }
+        continue;
+      }
+      
+      dockerfileLinter.checkVariables(instruction, stage.defined, report);
+      
+      switch (instruction.command) {
+        case 'ARG':
+        case 'ENV':
+          instruction.pairs.forEach(({ key }) => stage.defined.add(key));
+          break;
+          
+        case 'RUN':
+          dockerfileLinter.checkRun(instruction, report);
+          break;
+          
+        case 'CMD':
+          if (++stage.cmd > 1) {
+            report('DN005', instruction, 'multiple CMD instructions in this stage; only the last one takes effect');
+          }
+          break;
+          
+        case 'WORKDIR':
+          if (!instruction.path.startsWith('/') && !instruction.path.startsWith('$')) {
+            report('DN006', instruction, `WORKDIR ${instruction.path} is relative; use an absolute path`);
+          }
+          break;
+          
+        case 'ENTRYPOINT':
+          if (instruction.form === 'shell') {
+            report('DN007', instruction, 'ENTRYPOINT in shell form runs under /bin/sh -c and does not receive signals');
+          }
+          break;
+          
+        case 'ADD':
+          dockerfileLinter.checkAdd(instruction, report);
+          break;
+          
+        default:
+          if (instruction.unknown) {
+            report('DN009', instruction, `unknown instruction: ${instruction.command}`);
+          }
+      }
+    }
+    
+    return findings.sort((a, b) => a.line - b.line || a.rule.localeCompare(b.rule));
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🏃 BUILD EXECUTORS - EXÉCUTION DES RUN (ESSENCES: LINUX + GO)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Interface commune: run({ argv, rootfs, cwd (chemin hôte), workdir (chemin du container), env, user }) -> { exitCode }
+class BuildExecutor {
+  constructor(name) {
+    this.name = name;
+  }
+  
+  async run(step) {
+    throw new Error(`Build executor ${this.name} does not implement run()`);
+  }
+}
+
+// Opt-in explicite (--executor host): commande lancée sur l'hôte, sans confinement, répertoire courant = rootfs + WORKDIR
+class HostExecutor extends BuildExecutor {
+  constructor(name = 'host') {
+    super(name);
+  }
+  
+  async run({ argv, cwd, env, user }) {
+    await fs.mkdir(cwd, { recursive: true });
+    return this.execute(argv[0], argv.slice(1), { cwd, env, uid: user?.uid, gid: user?.gid });
+  }
+  
+  execute(command, args, options) {
+    return new Promise((resolvePromise, reject) => {
+      const child = spawn(command, args, { ...options, stdio: ['ignore', 'pipe', 'pipe'] });
+      
+      // Sortie relayée ligne par ligne dans la sortie du build
+      const relay = (stream, color) => {
+        let pending = '';
+        stream.on('data', (chunk) => {
+          const lines = (pending + chunk).split('\n');
+          pending = lines.pop();
+          lines.forEach(line => console.log(color(`  │ ${line}`)));
+        });
+        stream.on('end', () => {
+          if (pending) console.log(color(`  │ ${pending}`));
+        });
+      };
+      relay(child.stdout, chalk.gray);
+      relay(child.stderr, chalk.yellow);
+      
+      child.on('error', (error) => reject(new Error(`failed to run ${command}: ${error.message}`)));
+      child.on('close', (code, signal) => {
+        resolvePromise({ exitCode: code ?? 128 + (os.constants.signals[signal] || 0) });
+      });
+    });
+  }
+}
+
+// Défaut: le rootfs assemblé devient la racine de la commande (unshare, comme le runtime process);
+// un rootfs sans shell fait échouer le RUN au lieu d'utiliser celui de l'hôte
+class HostSandboxExecutor extends HostExecutor {
+  constructor() {
+    super('host-sandbox');
+  }
+  
+  async run({ argv, rootfs, cwd, workdir, env, user }) {
+    if (!confinementAvailable()) {
+      throw new Error('RUN steps need root and util-linux (unshare, mount) to run confined in the rootfs; use --executor dry-run, or --executor host for unconfined host execution');
+    }
+    await fs.mkdir(cwd, { recursive: true });
+    
+    // /dev et /proc ne sont que des points de montage: absents de l'image, ils ne doivent pas entrer dans le layer
+    const mountpoints = await Promise.all(['/dev', '/proc'].map(path => layerfs.scopedPath(rootfs, path, true)));
+    const missing = (await Promise.all(mountpoints.map(path => fs.lstat(path).catch(() => null))))
+      .map((stats, index) => stats ? null : mountpoints[index])
+      .filter(Boolean);
+    
+    try {
+      const [command, args] = await containerCommand(rootfs, { argv, cwd: workdir, user, isolation: 'unshare' });
+      return await this.execute(command, args, { env });
+    } finally {
+      await Promise.all(missing.map(path => fs.rmdir(path).catch(() => {})));
+    }
+  }
+}
+
+// Comportement simulé historique: rien n'est exécuté, le layer est vide
+class DryRunExecutor extends BuildExecutor {
+  constructor() {
+    super('dry-run');
+  }
+  
+  async run({ argv }) {
+    console.log(chalk.gray(`  │ (dry-run) ${argv.join(' ')}`));
+    return { exitCode: 0 };
+  }
+}
+
+const BUILD_EXECUTORS = {
+  'host-sandbox': HostSandboxExecutor,
+  host: HostExecutor,
+  'dry-run': DryRunExecutor
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📦 MODULE IMAGE - ESSENCES: RUST + GO + LINUX
+// ═══════════════════════════════════════════════════════════════════════════════
+
+class ImageModule extends DockerModule {
+  constructor(store = new StateStore()) {
+    super('Image');
+    this.store = store;
+    this.blobs = new BlobStore(store);
+    
+    // Images par ID (digest de la config), index multi-plateformes par digest, références name:tag -> ID ou digest d'index
+    const saved = this.store.load('images', { images: [], references: [] });
+    this.images = new Map();
+    this.indexes = new Map(saved.indexes || []);
+    this.references = new Map();
+    
+    if (Array.isArray(saved)) {
+      // Ancien format: une entrée par name:tag, l'image complète en valeur
+      saved.forEach(([key, { name, tag, ...image }]) => {
+        this.images.set(image.id, image);
+        if (!key.startsWith('<none>@')) this.setReference(`${name}:${tag}`, image.id);
+      });
+    } else {
+      saved.images.forEach(([id, image]) => this.images.set(id, image));
+      saved.references.forEach(([reference, id]) => this.setReference(reference, id));
+    }
+    
+    this.buildCache = new Map(this.store.load('buildcache', []));
+    this.layers = new Map();
+    this.registry = new RegistryClient(store, this.blobs);
+    this.trust = new TrustStore(store, this.blobs);
+    this.advisories = new AdvisoryDatabase(store);
+  }
+  
+  async _handleOperation(operation, data, options) {
+    switch (operation) {
+      case 'build_image':
+        return await this.buildImage(data.name, data.dockerfile, data.context, data.options);
+        
+      case 'pull_image':
+        return await this.pullImage(data.reference, data.options);
+        
+      case 'push_image':
+        return await this.pushImage(data.reference);
+        
+      case 'registry_login':
+        return await this.login(data.server, data.username, data.password);
+        
+      case 'registry_logout':
+        return await this.logout(data.server);
+        
+      case 'sign_image':
+        return await this.signImage(data.reference, data.key);
+        
+      case 'verify_image':
+        return await this.verifyImage(data.reference, data.platform ? ociPlatform.parse(data.platform) : null);
+        
+      case 'inspect_trust':
+        return await this.inspectTrust(data.reference);
+        
+      case 'trust_keys':
+        return await this.trustKeys(data.action, data.name, data.file);
+        
+      case 'image_sbom':
+        return await this.imageSbom(data.reference, data.options);
+        
+      case 'lint_dockerfile':
+        return await this.lintDockerfile(data.dockerfile, data.options);
+        
+      case 'scan_image':
+        return await this.scanImage(data.reference, data.options);
+        
+      case 'scan_db':
+        return await this.scanDatabase(data.action, data.path);
+        
+      case 'list_images':
+        return await this.listImages();
+        
+      case 'remove_image':
+        return await this.removeImage(data.reference, data.options);
+        
+      case 'extract_image':
+        return await this.extractImage(data.reference, data.destination, data.platform ? ociPlatform.parse(data.platform) : null);
+        
+      case 'inspect_image':
+        return await this.inspectImage(data.reference, data.platform ? ociPlatform.parse(data.platform) : null);
+        
+      case 'tag_image':
+        return await this.tagImage(data.source, data.target);
+        
+      case 'image_history':
+        return await this.imageHistory(data.reference);
+        
+      case 'prune_build_cache':
+        return await this.pruneBuildCache(data.options);
+        
+      case 'save_image':
+        return await this.saveImages(data.references, data.output);
+        
+      case 'load_image':
+        return await this.loadImages(data.input);
+        
+      default:
+        throw new Error(`Unknown image operation: ${operation}`);
+    }
+  }
+  
+  async buildImage(reference, dockerfile, contextPath = '.', options = {}) {
+    console.log(chalk.blue(`🔨 Building image ${reference} from ${dockerfile}`));
+    
+    try {
+      const { name, tag, digest } = imageReference.parse(reference);
+      if (digest) {
+        throw new Error(`invalid tag "${reference}": a build tag cannot contain a digest`);
+      }
+      
+      // Parse Dockerfile
+      const dockerfileContent = await fs.readFile(dockerfile, 'utf8');
+      const instructions = this.parseDockerfile(dockerfileContent);
+      const buildArgs = options.buildArgs || {};
+      const consumedArgs = new Set();
+      
+      // --platform a,b: une image par plateforme, réunies dans un index
+      const platforms = options.platform
+        ? [...new Map(String(options.platform).split(',').map(text => ociPlatform.parse(text))
+          .map(platform => [ociPlatform.format(platform), platform])).values()]
+        : [ociPlatform.host()];
+      
+      const executorName = options.executor || process.env.DOCKER_NEXUS_BUILD_EXECUTOR || 'host-sandbox';
+      if (!BUILD_EXECUTORS[executorName]) {
+        throw new Error(`Unknown build executor "${executorName}" (available: ${Object.keys(BUILD_EXECUTORS).join(', ')})`);
+      }
+      const output = options.output ? this.parseBuildOutput(options.output) : null;
+      
+      // Contexte lu une seule fois, .dockerignore appliqué: ni les COPY ni le cache ne voient les exclus
+      const buildContext = await this.readBuildContext(resolve(contextPath), resolve(dockerfile));
+      console.log(chalk.blue(`📦 Build context: ${this.formatSize(buildContext.size)} (${buildContext.files} files${buildContext.ignoreFile ? `, ${buildContext.rules} rules from ${basename(buildContext.ignoreFile)}` : ''})`));
+      
+      const built = [];
+      for (const platform of platforms) {
+        if (platforms.length > 1) {
+          console.log(chalk.blue(`🖥️  Platform ${ociPlatform.format(platform)}`));
+        }
+        
+        const context = await this.buildPlatform({
+          name,
+          instructions,
+          platform,
+          buildArgs,
+          consumedArgs,
+          executorName,
+          buildContext,
+          contextPath: resolve(contextPath),
+          options
+        });
+        
+        // --output: le résultat est exporté, aucune image n'est enregistrée
+        if (output) {
+          built.push({ platform, context });
+          continue;
+        }
+        
+        // Seule une plateforme unique porte directement le tag
+        const image = await this.storeImage(platforms.length === 1 ? `${name}:${tag}` : null, context);
+        built.push({ platform, image });
+      }
+      
+      const unused = Object.keys(buildArgs).filter(key => !consumedArgs.has(key) && !PROXY_BUILD_ARGS.includes(key));
+      if (unused.length > 0) {
+        console.log(chalk.yellow(`⚠️  One or more build-args [${unused.join(' ')}] were not consumed`));
+      }
+      
+      if (output) {
+        return rust.result(await this.exportBuild(output, `${name}:${tag}`, built));
+      }
+      
+      if (built.length === 1) {
+        const [{ image }] = built;
+        console.log(chalk.green(`🎉 Successfully built ${imageReference.familiar(`${name}:${tag}`)} (${image.id.substring(0, 12)})`));
+        
+        return rust.result({
+          imageId: image.id,
+          name: imageReference.familiar(name),
+          tag,
+          digest: image.digest,
+          layers: image.layers.length,
+          size: image.size
+        });
+      }
+      
+      const index = await this.storeIndex(`${name}:${tag}`, built);
+      console.log(chalk.green(`🎉 Successfully built ${imageReference.familiar(`${name}:${tag}`)} (${index.digest.substring(7, 19)}, ${built.length} platforms)`));
+      
+      return rust.result({
+        imageId: index.digest.substring(7),
+        name: imageReference.familiar(name),
+        tag,
+        digest: index.digest,
+        platforms: built.map(({ platform, image }) => ({ platform: ociPlatform.format(platform), imageId: image.id })),
+        layers: built.reduce((sum, { image }) => sum + image.layers.length, 0),
+        size: built.reduce((sum, { image }) => sum + image.size, 0)
+      });
+      
+    } catch (error) {
+      console.error(chalk.red(`❌ Build failed: ${error.message}`));
+      return rust.result(null, error.message);
+    }
+  }
+  
+  // --output type=local|tar|oci,dest=<chemin>; un chemin seul vaut type=local
+  parseBuildOutput(spec) {
+    const fields = spec.includes('=')
+      ? Object.fromEntries(spec.split(',').map(part => {
+        const equals = part.indexOf('=');
+        return equals === -1 ? [part.trim(), ''] : [part.substring(0, equals).trim(), part.substring(equals + 1).trim()];
+      }))
+      : { type: 'local', dest: spec };
+    const type = fields.type || 'local';
+    
+    if (!['local', 'tar', 'oci'].includes(type)) {
+      throw new Error(`unsupported output type "${type}" (available: local, tar, oci)`);
+    }
+    if (!fields.dest || fields.dest === '-') {
+      throw new Error(`output type=${type} requires dest=<path>`);
+    }
+    return { type, dest: resolve(fields.dest) };
+  }
+  
+  // Export du stage final: filesystem fusionné (local, tar) ou image OCI; un sous-répertoire par plateforme si plusieurs
+  async exportBuild({ type, dest }, reference, built) {
+    const directory = (platform) => built.length > 1 ? ociPlatform.format(platform).replace(/\//g, '_') : '';
+    
+    if (type === 'oci') {
+      const blobs = new Map();
+      const manifests = [];
+      
+      for (const { platform, context } of built) {
+        const configBuffer = this.imageConfigBuffer(context);
+        const manifestBuffer = this.imageManifest(configBuffer, context.layers);
+        for (const layer of context.layers) {
+          blobs.set(layer.digest, await this.blobs.get(layer.digest));
+        }
+        blobs.set(digestOf(configBuffer), configBuffer);
+        blobs.set(digestOf(manifestBuffer), manifestBuffer);
+        manifests.push({ mediaType: MEDIA_TYPES.manifest, digest: digestOf(manifestBuffer), size: manifestBuffer.length, platform: ociPlatform.normalize(platform) });
+      }
+      
+      // Plusieurs plateformes: index imbriqué, comme un push multi-plateforme
+      let descriptor = manifests[0];
+      if (manifests.length > 1) {
+        const indexBuffer = Buffer.from(JSON.stringify({ schemaVersion: 2, mediaType: MEDIA_TYPES.index, manifests }));
+        blobs.set(digestOf(indexBuffer), indexBuffer);
+        descriptor = { mediaType: MEDIA_TYPES.index, digest: digestOf(indexBuffer), size: indexBuffer.length };
+      }
+      
+      const annotations = {
+        'io.containerd.image.name': reference,
+        'org.opencontainers.image.ref.name': reference.substring(reference.lastIndexOf(':') + 1)
+      };
+      const data = await this.writeOciArchive(dest, blobs, { schemaVersion: 2, mediaType: MEDIA_TYPES.index, manifests: [{ ...descriptor, annotations }] });
+      
+      console.log(chalk.green(`📤 Exported ${imageReference.familiar(reference)} as an OCI archive to ${dest}`));
+      return { output: type, dest, digest: descriptor.digest, platforms: built.map(({ platform }) => ociPlatform.format(platform)), size: data.length };
+    }
+    
+    // local: écrit directement dans dest; tar: rootfs temporaire archivé (propriétaires conservés)
+    const root = type === 'local' ? dest : this.store.path('tmp', `export-${randomBytes(6).toString('hex')}`);
+    const owners = new Map();
+    
+    try {
+      for (const { platform, context } of built) {
+        const prefix = directory(platform);
+        const layerOwners = new Map();
+        for (const layer of context.layers) {
+          await layerfs.apply(join(root, prefix), await this.blobs.get(layer.digest), layerOwners);
+        }
+        layerOwners.forEach((owner, path) => owners.set([prefix, path.replace(/\/$/, '')].filter(Boolean).join('/'), owner));
+      }
+      
+      let size = 0;
+      if (type === 'tar') {
+        const entries = await layerfs.walk(root);
+        const archive = await layerfs.pack(root, { changed: entries.map(entry => entry.path), deleted: [] }, owners);
+        const data = /\.(t?gz)$/.test(dest) ? gzipSync(archive) : archive;
+        await this.store.writeAtomic(dest, data);
+        size = data.length;
+      } else {
+        size = (await layerfs.walk(root)).reduce((sum, entry) => sum + (entry.type === 'file' ? entry.stats.size : 0), 0);
+      }
+      
+      console.log(chalk.green(`📤 Exported the ${built.length > 1 ? `${built.length} platform filesystems` : 'filesystem'} of ${imageReference.familiar(reference)} to ${dest}${type === 'tar' ? ' (tar)' : ''}`));
+      return { output: type, dest, platforms: built.map(({ platform }) => ociPlatform.format(platform)), size };
+    } finally {
+      if (type === 'tar') {
+        await fs.rm(root, { recursive: true, force: true });
+      }
+    }
+  }
+  
+  // Build complet pour une plateforme cible; renvoie le contexte du stage final
+  async buildPlatform({ name, instructions, platform, buildArgs, consumedArgs, executorName, buildContext, contextPath, options }) {
+    let buildResource = null;
+    
+    try {
+      const stages = this.splitStages(instructions);
+      
+      // ARG globaux (avant le premier FROM): visibles par les FROM, et par les stages qui les redéclarent
+      const globalArgs = this.platformArgs(platform);
+      for (const instruction of stages.globalArgs) {
+        const { pairs } = this.expandInstruction(instruction, globalArgs);
+        pairs.forEach(({ key, value }) => {
+          if (Object.hasOwn(buildArgs, key)) consumedArgs.add(key);
+          globalArgs[key] = Object.hasOwn(buildArgs, key) ? buildArgs[key] : value;
+        });
+      }
+      stages.forEach(stage => {
+        stage.from = stage.instructions[0] = this.expandInstruction(stage.from, globalArgs);
+      });
+      
+      const targetIndex = options.target
+        ? stages.findIndex(stage => stage.name === options.target.toLowerCase())
+        : stages.length - 1;
+      if (targetIndex === -1) {
+        throw new Error(`Target stage "${options.target}" could not be found`);
+      }
+      const required = this.requiredStages(stages, targetIndex);
+      
+      // Architecture étrangère: les RUN ne peuvent pas s'exécuter sur l'hôte
+      let executor = new BUILD_EXECUTORS[executorName]();
+      if (!ociPlatform.matches(platform, ociPlatform.host()) && !(executor instanceof DryRunExecutor)) {
+        console.log(chalk.yellow(`⚠️  ${ociPlatform.format(platform)} differs from the host platform ${ociPlatform.format(ociPlatform.host())}: RUN steps use the dry-run executor`));
+        executor = new DryRunExecutor();
+      }
+      
+      // Rust Essence: Sécurité dans la construction
+      buildResource = rust.own({
+        name,
+        stages,
+        platform,
+        contexts: new Map(),
+        buildArgs,
+        consumedArgs,
+        globalArgs,
+        contextPath,
+        sourceTrees: new Map([[contextPath, buildContext.entries]]),
+        noCache: !!options.noCache,
+        executor,
+        root: this.store.path('tmp', `build-${randomBytes(6).toString('hex')}`),
+        created: new Date(tar.epoch() ? tar.epoch() * 1000 : Date.now()).toISOString(),
+        imageRoots: new Map()
+      }, 'build_lifetime');
+      
+      const build = buildResource.borrow();
+      const total = required.reduce((sum, index) => sum + stages[index].instructions.length, 0);
+      let step = 0;
+      
+      console.log(chalk.yellow(`📋 Processing ${total} instructions in ${required.length} stage(s)...`));
+      
+      for (const stage of stages.slice(0, targetIndex + 1)) {
+        if (!required.includes(stage.index)) {
+          console.log(chalk.gray(`⏭️  Skipping stage ${stage.name || stage.index} (not needed for target)`));
+          continue;
+        }
         
-      case 'RUN':
+        console.log(chalk.blue(`🧱 Stage ${stage.index}${stage.name ? ` (${stage.name})` : ''}`));
+        const context = await this.createStageContext(build, stage);
+        
+        // Go Essence: Construction parallèle des layers
+        const layerTasks = stage.instructions.map((instruction, index) => 
+          () => this.buildStep(instruction, index, context)
+        );
+        
+        // Build séquentiel pour respecter l'ordre Dockerfile
+        for (let i = 0; i < layerTasks.length; i++) {
+          await layerTasks[i]();
+          console.log(chalk.green(`✅ Step ${++step}/${total} completed`));
+        }
+      }
+      
+      // Seuls les layers du stage final entrent dans l'image
+      const context = build.contexts.get(targetIndex);
+      
+      // Date de l'image = étape la plus récente: un build entièrement en cache est identique
+      context.metadata.created = context.history
+        .map(entry => entry.created)
+        .reduce((latest, created) => created > latest ? created : latest, context.history[0]?.created || context.metadata.created);
+      
+      return context;
+      
+    } finally {
+      if (buildResource) {
+        await this.store.save('buildcache', Array.from(this.buildCache.entries()));
+        await fs.rm(buildResource.view().root, { recursive: true, force: true });
+        buildResource.drop();
+      }
+    }
+  }
+  
+  // ARG prédéfinis: plateforme cible (--platform) et plateforme de build (l'hôte)
+  platformArgs(target = ociPlatform.host()) {
+    const build = ociPlatform.host();
+    
+    return {
+      TARGETPLATFORM: ociPlatform.format(target),
+      TARGETOS: target.os,
+      TARGETARCH: target.architecture,
+      TARGETVARIANT: target.variant || '',
+      BUILDPLATFORM: ociPlatform.format(build),
+      BUILDOS: build.os,
+      BUILDARCH: build.architecture,
+      BUILDVARIANT: build.variant || ''
+    };
+  }
+  
+  // Valeur d'un ARG de stage: --build-arg, puis défaut, puis ARG global ou prédéfini du même nom
+  resolveArg(context, key, defaultValue) {
+    const { buildArgs, consumedArgs, globalArgs } = context.build;
+    
+    if (Object.hasOwn(buildArgs, key)) {
+      consumedArgs.add(key);
+      return buildArgs[key];
+    }
+    if (defaultValue !== null) return defaultValue;
+    return Object.hasOwn(globalArgs, key) ? globalArgs[key] : null;
+  }
+  
+  // Variables visibles dans un stage: ARG déclarés, ENV prioritaires
+  substitutionVars(context) {
+    const vars = { ...context.args };
+    
+    for (const entry of context.config.Env || []) {
+      const equals = entry.indexOf('=');
+      vars[equals === -1 ? entry : entry.substring(0, equals)] = equals === -1 ? '' : entry.substring(equals + 1);
+    }
+    return vars;
+  }
+  
+  // Substitution puis re-parse: une valeur substituée reste un seul mot
+  expandInstruction(instruction, vars) {
+    const { command, escape, line } = instruction;
+    if (!EXPANDABLE_INSTRUCTIONS.includes(command)) return instruction;
+    
+    return dockerfileParser.parseInstruction(command, dockerfileParser.expand(instruction.args, vars, escape, line), {
+      line,
+      endLine: instruction.endLine,
+      original: instruction.original,
+      escape,
+      heredocs: instruction.heredocs.map(heredoc => heredoc.expand
+        ? { ...heredoc, content: dockerfileParser.expand(heredoc.content, vars, escape, line, true) }
+        : heredoc)
+    });
+  }
+  
+  // Un stage par FROM; seuls des ARG peuvent précéder le premier FROM
+  splitStages(instructions) {
+    const stages = [];
+    const globalArgs = [];
+    
+    for (const instruction of instructions) {
+      if (instruction.command === 'FROM') {
+        const name = instruction.stage;
+        if (name && stages.some(stage => stage.name === name)) {
+          throw new Error(`Duplicate stage name "${name}" (line ${instruction.line})`);
+        }
+        stages.push({ index: stages.length, name, from: instruction, instructions: [instruction] });
+      } else if (stages.length === 0) {
+        if (instruction.command !== 'ARG') {
+          throw new Error(`No build stage in current context: ${instruction.command} before FROM (line ${instruction.line})`);
+        }
+        globalArgs.push(instruction);
+      } else {
+        stages[stages.length - 1].instructions.push(instruction);
+      }
+    }
+    
+    if (stages.length === 0) {
+      throw new Error('Dockerfile has no FROM instruction');
+    }
+    
+    stages.globalArgs = globalArgs;
+    return stages;
+  }
+  
+  // Référence vers un stage antérieur: nom (insensible à la casse) ou index pour --from
+  findStage(stages, reference, beforeIndex) {
+    if (!reference) return null;
+    
+    const lower = String(reference).toLowerCase();
+    const stage = /^\d+$/.test(lower)
+      ? stages[parseInt(lower, 10)]
+      : stages.find(candidate => candidate.name === lower);
+    
+    return stage && stage.index < beforeIndex ? stage : null;
+  }
+  
+  // Stages dont dépend la cible (FROM <stage> et COPY --from=<stage>)
+  requiredStages(stages, targetIndex) {
+    const required = new Set();
+    const visit = (index) => {
+      if (required.has(index)) return;
+      required.add(index);
+      
+      const stage = stages[index];
+      const fromStage = this.findStage(stages, stage.from.image, index);
+      if (fromStage && !/^\d+$/.test(stage.from.image)) visit(fromStage.index);
+      
+      stage.instructions
+        .filter(instruction => instruction.command === 'COPY' && instruction.flags.from)
+        .forEach(instruction => {
+          const dependency = this.findStage(stages, instruction.flags.from, index);
+          if (dependency) visit(dependency.index);
+        });
+    };
+    
+    visit(targetIndex);
+    return Array.from(required).sort((a, b) => a - b);
+  }
+  
+  async createStageContext(build, stage) {
+    const context = {
+      build,
+      stage,
+      name: build.name,
+      contextPath: build.contextPath,
+      noCache: build.noCache,
+      cacheKey: null,
+      rootfs: join(build.root, `stage-${stage.index}`),
+      snapshot: new Map(),
+      owners: new Map(),
+      args: {},
+      layers: [],
+      history: [],
+      config: {},
+      metadata: {
+        created: build.created,
+        author: 'docker-nexus',
+        ...build.platform
+      }
+    };
+    
+    await fs.mkdir(context.rootfs, { recursive: true });
+    build.contexts.set(stage.index, context);
+    
+    return context;
+  }
+  
+  // Image locale ou pull à la demande, pour la plateforme cible du build
+  async ensureImage(reference, platform = null) {
+    const found = this.lookupReference(reference, platform);
+    if (found) return found.image;
+    
+    await this.pullImage(reference, { platform: platform && ociPlatform.format(platform) });
+    return this.resolveImage(reference, platform);
+  }
+  
+  // Racine des sources d'un COPY: contexte, rootfs d'un stage ou image extraite
+  async copySourceRoot(instruction, context) {
+    const from = instruction.flags.from;
+    if (!from) return context.contextPath;
+    
+    const { build, stage } = context;
+    const source = this.findStage(build.stages, from, stage.index);
+    
+    if (source) {
+      const sourceContext = build.contexts.get(source.index);
+      if (!sourceContext) {
+        throw new Error(`Stage ${from} was not built (line ${instruction.line})`);
+      }
+      return sourceContext.rootfs;
+    }
+    
+    const image = await this.ensureImage(from, build.platform);
+    if (!build.imageRoots.has(image.id)) {
+      const root = join(build.root, `image-${image.id.substring(0, 12)}`);
+      for (const layer of image.layers) {
+        await layerfs.apply(root, await this.blobs.get(layer.digest));
+      }
+      build.imageRoots.set(image.id, root);
+    }
+    return build.imageRoots.get(image.id);
+  }
+  
+  parseDockerfile(content) {
+    return dockerfileParser.parse(content).instructions;
+  }
+  
+  // Lint: règles ignorées par --ignore, par le fichier de configuration ou par commentaires dans le Dockerfile
+  async lintDockerfile(dockerfile = 'Dockerfile', { ignore = [], config = null } = {}) {
+    const file = resolve(dockerfile);
+    const content = await fs.readFile(file, 'utf8');
+    const configFile = config ? resolve(config) : join(dirname(file), LINT_CONFIG_FILE);
+    
+    let settings = {};
+    try {
+      settings = JSON.parse(await fs.readFile(configFile, 'utf8'));
+    } catch (error) {
+      if (config || error.code !== 'ENOENT') {
+        throw new Error(`${configFile}: ${error.message}`);
+      }
+    }
+    const skipped = [
+      ...dockerfileLinter.resolveRules(settings.ignore || [], configFile),
+      ...dockerfileLinter.resolveRules(ignore, '--ignore')
+    ];
+    
+    let findings;
+    try {
+      findings = dockerfileLinter.lint({
+        instructions: this.parseDockerfile(content),
+        content,
+        predefined: this.platformArgs(),
+        ignore: skipped
+      });
+    } catch (error) {
+      if (error.line === undefined) throw error;
+      findings = [{ rule: 'DN000', name: 'parse-error', severity: 'error', line: error.line, endLine: error.line, message: error.message }];
+    }
+    
+    return rust.result({
+      file: dockerfile,
+      config: Object.keys(settings).length ? configFile : null,
+      findings,
+      summary: Object.fromEntries(LINT_SEVERITIES.map(level => [level, findings.filter(finding => finding.severity === level).length]))
+    });
+  }
+  
+  async buildLayer(instruction, index, context) {
+    const { command, args } = instruction;
+    const createdBy = `${command} ${args}`;
+    const { config } = context;
+    
+    switch (command) {
+      case 'FROM':
+        return await this.applyBaseImage(instruction.image, context, instruction.flags.platform);
+        
+      case 'RUN': {
         console.log(chalk.cyan(`  🏃 Running: ${args}`));
+        const argv = this.shellCommand(instruction, config);
+        const { exitCode } = await context.build.executor.run({
+          argv,
+          rootfs: context.rootfs,
+          cwd: await layerfs.scopedPath(context.rootfs, config.WorkingDir || '/', true),
+          workdir: config.WorkingDir || '/',
+          env: this.runEnvironment(context),
+          user: await this.runUser(context)
+        });
+        if (exitCode !== 0) {
+          throw new Error(`The command '${argv.join(' ')}' returned a non-zero code: ${exitCode} (line ${instruction.line})`);
+        }
+        
+        // Comme Docker: les build args visibles par RUN figurent dans l'historique (|N KEY=VAL ...)
+        const buildArgs = Object.entries(context.args).filter(([, value]) => value !== null);
+        const history = buildArgs.length
+          ? `RUN |${buildArgs.length} ${buildArgs.map(([key, value]) => `${key}=${value}`).join(' ')} ${args}`
+          : createdBy;
         return {
           type: 'run',
-          instruction: `${command} ${args}`,
-          command: args,
-          size: Math.random() * 50 * 1024 * 1024 // Random size
+          instruction: createdBy,
+          command: argv,
+          ...await this.commitLayer(context, history)
+        };
+      }
+        
+      case 'COPY':
+      case 'ADD':
+        await this.copyFiles(instruction, context, await this.copySourceRoot(instruction, context));
+        return {
+          type: 'copy',
+          instruction: createdBy,
+          source: instruction.sources,
+          destination: instruction.destination,
+          ...await this.commitLayer(context, createdBy)
+        };
+        
+      case 'ENV':
+        instruction.pairs.forEach(({ key, value }) => {
+          config.Env = [...(config.Env || []).filter(entry => !entry.startsWith(`${key}=`)), `${key}=${value}`];
+        });
+        return {
+          type: 'env',
+          instruction: createdBy,
+          variables: instruction.pairs.map(({ key, value }) => ({ key, value })),
+          ...this.recordHistory(context, createdBy)
+        };
+        
+      case 'EXPOSE':
+        instruction.ports.forEach(port => {
+          config.ExposedPorts = { ...config.ExposedPorts, [port]: {} };
+        });
+        return {
+          type: 'expose',
+          instruction: createdBy,
+          ports: instruction.ports,
+          ...this.recordHistory(context, createdBy)
+        };
+        
+      case 'CMD':
+      case 'ENTRYPOINT':
+        if (command === 'CMD') {
+          config.Cmd = this.shellCommand(instruction, config);
+          context.cmdSet = true;
+        } else {
+          config.Entrypoint = this.shellCommand(instruction, config);
+          // Un ENTRYPOINT annule le CMD hérité de l'image de base
+          if (!context.cmdSet) config.Cmd = null;
+        }
+        return {
+          type: 'entrypoint',
+          instruction: createdBy,
+          command: config[command === 'CMD' ? 'Cmd' : 'Entrypoint'],
+          ...this.recordHistory(context, createdBy)
+        };
+        
+      case 'WORKDIR': {
+        config.WorkingDir = posix.resolve(config.WorkingDir || '/', instruction.path);
+        // Les symlinks du rootfs sont résolus dans le rootfs, jamais sur l'hôte
+        const target = await layerfs.scopedPath(context.rootfs, config.WorkingDir, true);
+        
+        if (await fs.lstat(target).catch(() => null)) {
+          return { type: 'workdir', instruction: createdBy, ...this.recordHistory(context, createdBy) };
+        }
+        await fs.mkdir(target, { recursive: true });
+        return { type: 'workdir', instruction: createdBy, ...await this.commitLayer(context, createdBy) };
+      }
+        
+      case 'ARG':
+      case 'LABEL':
+      case 'USER':
+      case 'VOLUME':
+      case 'HEALTHCHECK':
+      case 'SHELL':
+      case 'STOPSIGNAL':
+      case 'ONBUILD':
+      case 'MAINTAINER':
+        this.applyMetadata(instruction, context);
+        return {
+          type: 'metadata',
+          instruction: createdBy,
+          ...this.recordHistory(context, createdBy)
         };
         
-      case 'COPY':
-      case 'ADD':
-        const [src, dst] = args.split(' ');
-        return {
-          type: 'copy',
-          instruction: `${command} ${args}`,
-          source: src,
-          destination: dst,
-          size: Math.random() * 10 * 1024 * 1024
-        };
+      default:
+        throw new Error(`Unknown instruction: ${command} (line ${instruction.line})`);
+    }
+  }
+  
+  // Instructions qui ne modifient que la config de l'image
+  applyMetadata(instruction, context) {
+    const { config } = context;
+    
+    switch (instruction.command) {
+      case 'ARG':
+        instruction.pairs.forEach(({ key, value }) => { context.args[key] = this.resolveArg(context, key, value); });
+        break;
+      case 'LABEL':
+        instruction.pairs.forEach(({ key, value }) => { config.Labels = { ...config.Labels, [key]: value }; });
+        break;
+      case 'USER':
+        config.User = instruction.group ? `${instruction.user}:${instruction.group}` : instruction.user;
+        break;
+      case 'VOLUME':
+        instruction.paths.forEach(path => { config.Volumes = { ...config.Volumes, [path]: {} }; });
+        break;
+      case 'HEALTHCHECK':
+        config.Healthcheck = instruction.healthcheck;
+        break;
+      case 'SHELL':
+        config.Shell = instruction.cmd;
+        break;
+      case 'STOPSIGNAL':
+        config.StopSignal = instruction.signal;
+        break;
+      case 'ONBUILD':
+        config.OnBuild = [...(config.OnBuild || []), instruction.args];
+        break;
+      case 'MAINTAINER':
+        context.metadata.author = instruction.maintainer;
+        break;
+    }
+  }
+  
+  // COPY / ADD: sources du contexte de build vers le rootfs en cours de construction
+  async copyFiles(instruction, context, sourceRoot) {
+    const { command, flags, sources, heredocs } = instruction;
+    const destination = posix.resolve(context.config.WorkingDir || '/', instruction.destination);
+    
+    if (flags.chmod && !/^[0-7]{3,4}$/.test(flags.chmod)) {
+      throw new Error(`${command} failed: invalid --chmod=${flags.chmod} (line ${instruction.line})`);
+    }
+    const mode = flags.chmod ? parseInt(flags.chmod, 8) : null;
+    const owner = flags.chown ? await this.resolveChown(flags.chown, context.rootfs) : null;
+    
+    // Résolution des sources: heredocs, URLs (ADD), chemins et globs du contexte
+    const matches = [];
+    for (const source of sources) {
+      const heredoc = heredocs.find(doc => new RegExp(`^<<-?["']?${doc.name}["']?$`).test(source));
+      
+      if (heredoc) {
+        matches.push({ heredoc });
+      } else if (command === 'ADD' && /^https?:\/\//.test(source)) {
+        matches.push({ url: source });
+      } else {
+        const found = await this.matchSources(sourceRoot, source, context);
+        if (found.length === 0) {
+          throw new Error(`${command} failed: file not found in build context or excluded by .dockerignore: ${source} (line ${instruction.line})`);
+        }
+        matches.push(...found);
+      }
+    }
+    
+    // Sémantique Docker: "dest/" ou répertoire existant => copie dedans
+    const existing = await fs.stat(await layerfs.scopedPath(context.rootfs, destination, true)).catch(() => null);
+    const intoDirectory = /\/\.?$/.test(instruction.destination) || !!existing?.isDirectory();
+    
+    if (matches.length > 1 && !intoDirectory) {
+      throw new Error(`When using ${command} with more than one source file, the destination must be a directory and end with a / (line ${instruction.line})`);
+    }
+    
+    const options = { mode, owner, owners: context.owners };
+    const target = (name) => intoDirectory ? posix.join(destination, name) : destination;
+    let files = 0;
+    
+    for (const match of matches) {
+      if (match.heredoc) {
+        await this.writeIntoRootfs(context, target(match.heredoc.name), Buffer.from(match.heredoc.content), mode ?? 0o644, owner);
+        files++;
+      } else if (match.url) {
+        const content = await this.downloadSource(match.url, flags.checksum);
+        const name = posix.basename(new URL(match.url).pathname) || 'index.html';
+        await this.writeIntoRootfs(context, target(name), content, mode ?? 0o600, owner);
+        files++;
+      } else {
+        const archive = command === 'ADD' && match.stats.isFile() ? await this.readLocalArchive(match.host) : null;
+        
+        if (archive) {
+          // ADD d'une archive locale: extraction dans la destination, résolue depuis la racine de l'image
+          const extracted = new Map();
+          const prefix = posix.relative(context.rootfs, await layerfs.scopedPath(context.rootfs, destination, true));
+          files += await layerfs.apply(context.rootfs, archive, extracted, `/${prefix}`);
+          extracted.forEach((ids, path) => context.owners.set(glob.clean(posix.join(destination, path)), ids));
+        } else {
+          const path = match.stats.isDirectory() ? destination : target(posix.basename(match.name));
+          files += (await layerfs.copy(match.host, context.rootfs, path, { ...options, entries: match.entries })).length;
+        }
+      }
+    }
+    
+    console.log(chalk.cyan(`  📁 ${command} ${sources.join(' ')} → ${destination} (${files} file${files === 1 ? '' : 's'})`));
+    
+    return files;
+  }
+  
+  // Sources d'un COPY: chemin exact ou motif glob, toujours confinés à la racine source
+  async matchSources(sourceRoot, source, context) {
+    const pattern = glob.clean(source);
+    const tree = await this.sourceTree(sourceRoot, context);
+    
+    // Un répertoire retenu est copié avec ses descendants, ceux de l'arbre (déjà filtré)
+    const below = (dir) => dir
+      ? tree.filter(entry => entry.path.startsWith(`${dir}/`)).map(entry => ({ ...entry, path: entry.path.substring(dir.length + 1) }))
+      : tree;
+    const toMatch = (name, path, stats) => ({
+      name,
+      host: join(sourceRoot, path),
+      stats,
+      entries: stats.isDirectory() ? below(path) : []
+    });
+    
+    if (!glob.hasMagic(pattern)) {
+      const host = await layerfs.scopedPath(sourceRoot, pattern, true);
+      const path = host === sourceRoot ? '' : host.substring(sourceRoot.length + 1);
+      const stats = await fs.lstat(host).catch(() => null);
+      
+      // Exclu par .dockerignore: absent de l'arbre (sauf s'il contient des exceptions)
+      const listed = !path || tree.some(entry => entry.path === path || entry.path.startsWith(`${path}/`));
+      return stats && listed ? [toMatch(pattern || '.', path, stats)] : [];
+    }
+    
+    const regex = glob.toRegExp(pattern);
+    const matched = tree.filter(entry => regex.test(entry.path));
+    const directories = matched.filter(entry => entry.type === 'directory').map(entry => `${entry.path}/`);
+    
+    // Un répertoire retenu englobe déjà ses enfants
+    return matched
+      .filter(entry => !directories.some(dir => entry.path.startsWith(dir)))
+      .map(entry => toMatch(entry.path, entry.path, entry.stats));
+  }
+  
+  // Arbre d'une racine source, parcouru une fois par build (le contexte est pré-filtré)
+  async sourceTree(sourceRoot, context) {
+    const { sourceTrees } = context.build;
+    
+    if (!sourceTrees.has(sourceRoot)) {
+      sourceTrees.set(sourceRoot, await layerfs.walk(sourceRoot));
+    }
+    return sourceTrees.get(sourceRoot);
+  }
+  
+  // Contexte de build filtré par .dockerignore (<Dockerfile>.dockerignore prioritaire)
+  async readBuildContext(contextPath, dockerfile) {
+    let rules = [];
+    let ignoreFile = null;
+    
+    for (const file of [`${dockerfile}.dockerignore`, join(contextPath, '.dockerignore')]) {
+      const content = await fs.readFile(file, 'utf8').catch(() => null);
+      if (content !== null) {
+        rules = glob.parseIgnore(content);
+        ignoreFile = file;
+        break;
+      }
+    }
+    
+    // Sans exception, un répertoire exclu n'est même pas parcouru (node_modules, .git)
+    const hasExceptions = rules.some(rule => rule.exception);
+    const entries = (await layerfs.walk(contextPath, '', path => !hasExceptions && glob.isIgnored(rules, path)))
+      .filter(entry => !glob.isIgnored(rules, entry.path));
+    
+    const files = entries.filter(entry => entry.type !== 'directory');
+    const size = files.reduce((sum, entry) => sum + entry.stats.size, 0);
+    
+    return { entries, files: files.length, size, ignoreFile, rules: rules.length };
+  }
+  
+  async writeIntoRootfs(context, path, content, mode, owner) {
+    const target = await layerfs.scopedPath(context.rootfs, path);
+    await fs.mkdir(dirname(target), { recursive: true });
+    await fs.rm(target, { recursive: true, force: true });
+    await fs.writeFile(target, content, { mode });
+    await fs.chmod(target, mode);
+    context.owners.set(glob.clean(path), owner || { uid: 0, gid: 0 });
+  }
+  
+  async downloadSource(url, checksum) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`ADD failed: ${url} returned HTTP ${response.status}`);
+    }
+    
+    const content = Buffer.from(await response.arrayBuffer());
+    if (checksum && digestOf(content) !== checksum) {
+      throw new Error(`ADD failed: checksum mismatch for ${url}: expected ${checksum}, got ${digestOf(content)}`);
+    }
+    return content;
+  }
+  
+  // tar, éventuellement gzip: reconnu par son contenu, pas son extension
+  async readLocalArchive(path) {
+    const content = await fs.readFile(path);
+    let data = content;
+    
+    if (tar.isGzip(content)) {
+      try { data = gunzipSync(content); } catch { return null; }
+    }
+    return data.length >= TAR_BLOCK && data.toString('ascii', 257, 262) === 'ustar' ? data : null;
+  }
+  
+  // --chown=user:group, numérique ou résolu via /etc/passwd et /etc/group du rootfs
+  async resolveChown(spec, rootfs) {
+    return layerfs.resolveUser(spec, rootfs);
+  }
+  
+  // Forme exec telle quelle, forme shell préfixée par le SHELL courant
+  shellCommand(instruction, config) {
+    if (instruction.form === 'exec') return instruction.cmd;
+    
+    const shell = config.Shell || ['/bin/sh', '-c'];
+    const { heredocs = [] } = instruction;
+    
+    if (heredocs.length === 0) return [...shell, instruction.cmd];
+    
+    // RUN <<EOF seul: le heredoc devient le script
+    if (heredocs.length === 1 && /^<<-?["']?\w+["']?$/.test(instruction.cmd.trim())) {
+      return [...shell, heredocs[0].content];
+    }
+    // Sinon le shell interprète lui-même les heredocs
+    return [...shell, [instruction.cmd, ...heredocs.map(heredoc => `${heredoc.content}${heredoc.name}`)].join('\n')];
+  }
+  
+  // Environnement d'un RUN: build args (et proxies) puis ENV, sans rien hériter de l'hôte
+  runEnvironment(context) {
+    const { buildArgs } = context.build;
+    const env = { PATH: '/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin' };
+    
+    PROXY_BUILD_ARGS.filter(key => Object.hasOwn(buildArgs, key)).forEach(key => { env[key] = buildArgs[key]; });
+    Object.entries(context.args).filter(([, value]) => value !== null).forEach(([key, value]) => { env[key] = value; });
+    
+    return { ...env, ...this.substitutionVars({ args: {}, config: context.config }) };
+  }
+  
+  // USER appliqué seulement si l'hôte peut changer d'identité (root)
+  async runUser(context) {
+    const { User } = context.config;
+    if (!User) return null;
+    
+    const user = await this.resolveChown(User, context.rootfs);
+    if (user.uid === 0) return null;
+    
+    if (process.getuid?.() !== 0) {
+      console.log(chalk.yellow(`  ⚠️  USER ${User} ignored: the host sandbox is not running as root`));
+      return null;
+    }
+    return user;
+  }
+  
+  // Build cache: clé = clé parente + texte de l'instruction (+ contenu des sources COPY/ADD)
+  async buildStep(instruction, index, context) {
+    if (instruction.command === 'FROM') {
+      const result = await this.buildLayer(instruction, index, context);
+      context.cacheKey = result.cacheKey || digestOf(`FROM\0${result.imageId || `${result.baseImage}\0${ociPlatform.format(context.build.platform)}`}`);
+      return result;
+    }
+    
+    instruction = this.expandInstruction(instruction, this.substitutionVars(context));
+    const key = await this.cacheKeyFor(instruction, context);
+    const cached = key && !context.noCache ? this.buildCache.get(key) : null;
+    
+    if (cached && (!cached.layer || this.blobs.has(cached.layer.digest))) {
+      await this.restoreCachedStep(cached, context);
+      cached.lastUsed = new Date().toISOString();
+      context.cacheKey = key;
+      console.log(chalk.gray(`  ⚡ CACHED ${instruction.command} ${instruction.args}`));
+      return { type: 'cached', instruction: `${instruction.command} ${instruction.args}`, cached: true };
+    }
+    
+    const layerCount = context.layers.length;
+    const result = await this.buildLayer(instruction, index, context);
+    
+    if (key) {
+      const now = new Date().toISOString();
+      this.buildCache.set(key, {
+        layer: context.layers.length > layerCount ? context.layers[context.layers.length - 1] : null,
+        history: context.history[context.history.length - 1],
+        state: structuredClone({
+          config: context.config,
+          args: context.args,
+          cmdSet: !!context.cmdSet,
+          author: context.metadata.author
+        }),
+        created: now,
+        lastUsed: now
+      });
+    }
+    
+    // Étape non cachable: les suivantes ne peuvent plus être réutilisées
+    context.cacheKey = key || digestOf(randomBytes(32));
+    return result;
+  }
+  
+  async cacheKeyFor(instruction, context) {
+    const { command, args, heredocs } = instruction;
+    const parts = [context.cacheKey, command, args, ...heredocs.map(heredoc => heredoc.content)];
+    
+    // Un RUN simulé ne produit pas le même layer qu'un RUN exécuté
+    if (command === 'RUN') {
+      parts.push(context.build.executor.name);
+    }
+    
+    // La valeur effective d'un ARG dépend des --build-arg, pas seulement du texte
+    if (command === 'ARG') {
+      parts.push(JSON.stringify(instruction.pairs.map(({ key, value }) => [key, this.resolveArg(context, key, value)])));
+    }
+    
+    if (command === 'COPY' || command === 'ADD') {
+      // Le contenu d'une URL n'est connu qu'au téléchargement
+      if (command === 'ADD' && instruction.sources.some(source => /^https?:\/\//.test(source))) {
+        return null;
+      }
+      parts.push(await this.sourcesDigest(instruction, context, await this.copySourceRoot(instruction, context)));
+    }
+    
+    return digestOf(parts.join('\0'));
+  }
+  
+  // Empreinte du contenu des sources: chemins, types, modes et octets
+  async sourcesDigest(instruction, context, sourceRoot) {
+    const hash = createHash('sha256');
+    const typeOf = (stats) => stats.isDirectory() ? 'directory' : stats.isSymbolicLink() ? 'symlink' : 'file';
+    
+    for (const source of instruction.sources) {
+      for (const match of await this.matchSources(sourceRoot, source, context)) {
+        const entries = match.stats.isDirectory()
+          ? match.entries.map(entry => ({ ...entry, host: join(match.host, entry.path) }))
+          : [{ path: '', type: typeOf(match.stats), stats: match.stats, host: match.host }];
+        
+        hash.update(`${match.name}\0`);
+        for (const entry of entries) {
+          hash.update(`${entry.path}\0${entry.type}\0${entry.stats.mode & 0o7777}\0`);
+          if (entry.type === 'file') hash.update(await fs.readFile(entry.host));
+          if (entry.type === 'symlink') hash.update(await fs.readlink(entry.host));
+        }
+      }
+    }
+    
+    return hash.digest('hex');
+  }
+  
+  async restoreCachedStep(cached, context) {
+    if (cached.layer) {
+      await layerfs.apply(context.rootfs, await this.blobs.get(cached.layer.digest), context.owners);
+      context.layers.push(cached.layer);
+      context.snapshot = await layerfs.snapshot(context.rootfs);
+    }
+    
+    const state = structuredClone(cached.state);
+    context.history.push(cached.history);
+    context.config = state.config;
+    context.args = state.args;
+    context.cmdSet = state.cmdSet;
+    context.metadata.author = state.author;
+  }
+  
+  async pruneBuildCache(options = {}) {
+    let cutoff = Infinity;
+    
+    if (options.until) {
+      try {
+        cutoff = Date.now() - dockerfileParser.parseDuration(options.until, 0) / 1e6;
+      } catch {
+        throw new Error(`Invalid filter until=${options.until} (expected a duration such as 24h)`);
+      }
+    }
+    
+    let entries = 0;
+    for (const [key, entry] of this.buildCache) {
+      if (Date.parse(entry.lastUsed) < cutoff) {
+        this.buildCache.delete(key);
+        entries++;
+      }
+    }
+    
+    await this.store.save('buildcache', Array.from(this.buildCache.entries()));
+    const reclaimed = await this.collectGarbage();
+    
+    console.log(chalk.green(`🧹 Removed ${entries} build cache entries, reclaimed ${this.formatSize(reclaimed)}`));
+    
+    return rust.result({ entries, reclaimed });
+  }
+  
+  // Blobs orphelins: référencés ni par une image ni par le cache de build
+  async collectGarbage() {
+    const referenced = new Set();
+    
+    for (const image of this.images.values()) {
+      [image.digest, image.configDigest, ...image.layers.map(layer => layer.digest)].forEach(digest => referenced.add(digest));
+    }
+    for (const digest of this.indexes.keys()) referenced.add(digest);
+    this.trust.referencedBlobs().forEach(digest => referenced.add(digest));
+    for (const record of [...this.images.values(), ...this.indexes.values()]) {
+      (record.attachments || []).flatMap(({ digest }) => this.blobs.manifestBlobs(digest)).forEach(digest => referenced.add(digest));
+    }
+    for (const entry of this.buildCache.values()) {
+      if (entry.layer) referenced.add(entry.layer.digest);
+    }
+    // Blobs servis par le registry intégré (même blob store)
+    const registry = this.store.load('registry', { repositories: {} });
+    for (const repository of Object.values(registry.repositories)) {
+      [...repository.blobs, ...Object.keys(repository.manifests)].forEach(digest => referenced.add(digest));
+    }
+    
+    let reclaimed = 0;
+    for (const digest of await this.blobs.list()) {
+      if (referenced.has(digest)) continue;
+      reclaimed += (await fs.stat(this.blobs.path(digest))).size;
+      await this.blobs.delete(digest);
+    }
+    
+    return reclaimed;
+  }
+  
+  // Instruction sans changement de filesystem: historique seulement
+  recordHistory(context, createdBy) {
+    context.history.push({ created: context.metadata.created, created_by: createdBy, empty_layer: true });
+    return { size: 0, empty: true };
+  }
+  
+  // Linux Essence: diff du rootfs depuis le dernier snapshot -> layer tar
+  async commitLayer(context, createdBy) {
+    const snapshot = await layerfs.snapshot(context.rootfs);
+    const changes = layerfs.diff(context.snapshot, snapshot);
+    const archive = await layerfs.pack(context.rootfs, changes, context.owners);
+    const { digest, size, existed } = await this.blobs.put(archive);
+    
+    const layer = { digest, diffId: digest, size, mediaType: MEDIA_TYPES.layer, createdBy };
+    context.layers.push(layer);
+    context.history.push({ created: context.metadata.created, created_by: createdBy });
+    context.snapshot = snapshot;
+    
+    console.log(chalk.gray(`  📼 Layer ${digest.substring(7, 19)} ${this.formatSize(size)}${existed ? ' (already exists)' : ''}`));
+    
+    return { digest, size, files: changes.changed.length, deleted: changes.deleted.length };
+  }
+  
+  async applyBaseImage(reference, context, platform = null) {
+    const createdBy = `FROM ${reference}`;
+    
+    if (reference === 'scratch') {
+      return { type: 'base', instruction: createdBy, baseImage: reference, size: 0 };
+    }
+    
+    // FROM <stage>: on repart de l'état d'un stage précédent
+    const { build, stage } = context;
+    const parent = /^\d+$/.test(reference) ? null : this.findStage(build.stages, reference, stage.index);
+    
+    if (parent) {
+      const parentContext = build.contexts.get(parent.index);
+      await fs.cp(parentContext.rootfs, context.rootfs, { recursive: true, verbatimSymlinks: true });
+      
+      context.layers.push(...parentContext.layers);
+      context.history.push(...parentContext.history);
+      context.config = structuredClone(parentContext.config);
+      context.owners = new Map(parentContext.owners);
+      context.snapshot = await layerfs.snapshot(context.rootfs);
+      
+      return {
+        type: 'base',
+        instruction: createdBy,
+        baseImage: reference,
+        cacheKey: parentContext.cacheKey,
+        size: parentContext.layers.reduce((sum, layer) => sum + layer.size, 0)
+      };
+    }
+    
+    // FROM --platform=$BUILDPLATFORM: image de base d'une autre plateforme que la cible
+    const base = await this.ensureImage(reference, platform ? ociPlatform.parse(platform) : build.platform);
+    
+    // Les layers de base sont appliqués dans l'ordre sur le rootfs de build
+    for (const layer of base.layers) {
+      await layerfs.apply(context.rootfs, await this.blobs.get(layer.digest), context.owners);
+    }
+    
+    context.layers.push(...base.layers);
+    context.history.push(...(base.history || []));
+    context.config = structuredClone(base.config || {});
+    context.snapshot = await layerfs.snapshot(context.rootfs);
+    
+    // Les triggers ONBUILD de l'image de base s'exécutent juste après FROM
+    const triggers = context.config.OnBuild || [];
+    delete context.config.OnBuild;
+    
+    for (const trigger of triggers) {
+      console.log(chalk.cyan(`  ⚙️  Executing ONBUILD trigger: ${trigger}`));
+      const [triggerInstruction] = this.parseDockerfile(trigger);
+      await this.buildLayer(this.expandInstruction(triggerInstruction, this.substitutionVars(context)), -1, context);
+    }
+    
+    return {
+      type: 'base',
+      instruction: createdBy,
+      baseImage: reference,
+      imageId: base.id,
+      size: base.size
+    };
+  }
+  
+  // Écrit config + manifest OCI dans le blob store et enregistre l'image
+  async storeImage(reference, context) {
+    return this.registerImage(reference, this.imageConfigBuffer(context), context.layers);
+  }
+  
+  // Config OCI d'un stage construit; ses octets exacts donnent l'ID de l'image
+  imageConfigBuffer({ layers, history, config, metadata }) {
+    const imageConfig = {
+      created: metadata.created,
+      author: metadata.author,
+      architecture: OCI_ARCH[metadata.architecture] || metadata.architecture,
+      ...(metadata.variant ? { variant: metadata.variant } : {}),
+      os: metadata.os === 'win32' ? 'windows' : metadata.os,
+      config,
+      rootfs: { type: 'layers', diff_ids: layers.map(layer => layer.diffId) },
+      history
+    };
+    
+    return Buffer.from(JSON.stringify(imageConfig));
+  }
+  
+  imageManifest(configBuffer, layers) {
+    return Buffer.from(JSON.stringify({
+      schemaVersion: 2,
+      mediaType: MEDIA_TYPES.manifest,
+      config: { mediaType: MEDIA_TYPES.config, digest: digestOf(configBuffer), size: configBuffer.length },
+      layers: layers.map(layer => ({ mediaType: layer.mediaType, digest: layer.digest, size: layer.size }))
+    }));
+  }
+  
+  // Enregistre une image à partir des octets exacts de sa config (l'ID en dépend); reference null = sans tag
+  async registerImage(reference, configBuffer, layers, manifestBuffer = null) {
+    const imageConfig = JSON.parse(configBuffer.toString('utf8'));
+    const configBlob = await this.blobs.put(configBuffer);
+    
+    if (!manifestBuffer) {
+      manifestBuffer = this.imageManifest(configBuffer, layers);
+    }
+    const manifestBlob = await this.blobs.put(manifestBuffer);
+    
+    const image = {
+      id: configBlob.digest.substring(7),
+      digest: manifestBlob.digest,
+      configDigest: configBlob.digest,
+      layers,
+      history: imageConfig.history || [],
+      config: imageConfig.config || {},
+      metadata: {
+        created: imageConfig.created,
+        author: imageConfig.author,
+        architecture: imageConfig.architecture,
+        variant: imageConfig.variant,
+        os: imageConfig.os
+      },
+      size: layers.reduce((sum, layer) => sum + layer.size, 0)
+    };
+    const previous = this.images.get(image.id);
+    if (previous?.repositories) image.repositories = previous.repositories;
+    if (previous?.attachments && previous.digest === image.digest) image.attachments = previous.attachments;
+    
+    this.images.set(image.id, image);
+    if (reference) this.setReference(reference, image.id);
+    await this.persist();
+    
+    return image;
+  }
+  
+  async pullImage(reference, { platform = null } = {}) {
+    const target = imageReference.parse(reference);
+    const { name, tag, digest } = target;
+    const familiar = imageReference.familiar(imageReference.format({ name, tag, digest }));
+    const wanted = platform ? ociPlatform.parse(platform) : null;
+    
+    // Un digest désigne un contenu immuable: inutile de retourner au registre
+    if (digest) {
+      const found = this.lookupReference(reference, wanted);
+      if (found) {
+        await this.trust.enforce(name, [digest]);
+        return rust.result({ imageId: found.image.id, name: imageReference.familiar(name), tag, digest, size: found.image.size, pulled: false });
+      }
+    }
+    
+    console.log(chalk.blue(`⬇️  Pulling ${familiar}...`));
+    
+    // Dépôt refusé par la politique: inutile d'interroger le registre
+    if (this.trust.ruleFor(name).require === 'reject') await this.trust.enforce(name, []);
+    
+    let { buffer, manifest, mediaType, digest: sourceDigest } = await this.registry.getManifest(target, digest || tag);
+    
+    // Politique de confiance vérifiée avant de télécharger le moindre layer
+    await this.fetchSignatures(target, sourceDigest);
+    const { signatures } = await this.trust.enforce(name, [sourceDigest]);
+    signatures.forEach(signature => {
+      console.log(chalk.green(`  🔏 Signature verified: ${signature.signer} (${signature.keyId})`));
+    });
+    
+    // Manifest list / index OCI: plateforme demandée, sinon celle de l'hôte
+    if (Array.isArray(manifest.manifests)) {
+      const child = this.selectPlatformManifest(manifest.manifests, wanted);
+      if (!child) {
+        throw new Error(`no matching manifest for ${ociPlatform.format(wanted)} in the manifest list entries of ${familiar}`);
+      }
+      ({ buffer, manifest, mediaType } = await this.registry.getManifest(target, child.digest));
+    }
+    if (!manifest.config || !Array.isArray(manifest.layers)) {
+      throw new Error(`unsupported manifest for ${familiar}: ${mediaType}`);
+    }
+    
+    await this.registry.fetchBlob(target, manifest.config);
+    const configBuffer = await this.blobs.get(manifest.config.digest);
+    const imageConfig = JSON.parse(configBuffer.toString('utf8'));
+    const history = (imageConfig.history || []).filter(entry => !entry.empty_layer);
+    const diffIds = imageConfig.rootfs?.diff_ids || [];
+    
+    if (wanted && !ociPlatform.matches(imageConfig, wanted)) {
+      throw new Error(`image ${familiar} does not match the specified platform: wanted ${ociPlatform.format(wanted)}, actual: ${ociPlatform.format(imageConfig)}`);
+    }
+    
+    const layers = [];
+    for (const [i, descriptor] of manifest.layers.entries()) {
+      const { existed } = await this.registry.fetchBlob(target, descriptor);
+      console.log(chalk.gray(`  ${descriptor.digest.substring(7, 19)}: ${existed ? 'Already exists' : 'Pull complete'}`));
+      
+      const layer = await this.archiveLayer(await this.blobs.get(descriptor.digest), descriptor.mediaType, history[i]?.created_by || null);
+      if (diffIds[i] && diffIds[i] !== layer.diffId) {
+        throw new Error(`Layer ${descriptor.digest} does not match config diff_id ${diffIds[i]}`);
+      }
+      layers.push(layer);
+    }
+    
+    const image = await this.registerImage(digest ? null : `${name}:${tag}`, configBuffer, layers, buffer);
+    // Tiré via un index: c'est le digest de l'index qui porte les signatures
+    if (sourceDigest !== image.digest) image.sourceIndex = sourceDigest;
+    await this.recordRepository(image, name);
+    
+    console.log(chalk.gray(`  Digest: ${image.digest}`));
+    console.log(chalk.green(`✅ Pull complete: ${familiar}`));
+    
+    return rust.result({
+      imageId: image.id,
+      name: imageReference.familiar(name),
+      tag,
+      digest: image.digest,
+      size: image.size,
+      pulled: true
+    });
+  }
+  
+  // Envoie les blobs manquants puis le manifest tel qu'il est stocké (même digest qu'en local)
+  async pushImage(reference) {
+    const target = imageReference.parse(reference);
+    if (target.digest) {
+      throw new Error(`cannot push a digest reference: ${reference}`);
+    }
+    
+    const key = `${target.name}:${target.tag}`;
+    const id = this.references.get(key);
+    if (!id) {
+      throw new Error(`An image does not exist locally with the tag: ${imageReference.familiar(target.name)}`);
+    }
+    const familiar = imageReference.familiar(key);
+    
+    console.log(chalk.blue(`⬆️  Pushing ${familiar}...`));
+    
+    // Index: chaque plateforme est poussée par digest, puis l'index sous le tag
+    const index = this.indexes.get(id);
+    const images = index ? index.manifests.map(entry => this.images.get(entry.imageId)) : [this.images.get(id)];
+    
+    for (const image of images) {
+      await this.pushManifest(target, image, index ? image.digest : target.tag);
+    }
+    
+    const record = index || images[0];
+    const manifestBuffer = await this.blobs.get(record.digest);
+    let digest = record.digest;
+    if (index) {
+      digest = await this.registry.putManifest(target, target.tag, manifestBuffer, MEDIA_TYPES.index);
+    }
+    await this.recordRepository(record, target.name);
+    
+    // Les signatures et les SBOM attachés suivent l'image, comme artefacts referrers
+    for (const subject of new Set([record.digest, ...images.map(image => image.digest)])) {
+      for (const artifact of this.trust.artifactsFor(subject)) {
+        await this.registry.pushReferrer(target, await this.blobs.get(artifact));
+        console.log(chalk.gray(`  🔏 Signature ${artifact.substring(7, 19)}: Pushed`));
+      }
+    }
+    for (const attached of new Set([record, ...images])) {
+      for (const { artifactType, digest: artifact } of attached.attachments || []) {
+        await this.registry.pushReferrer(target, await this.blobs.get(artifact));
+        console.log(chalk.gray(`  📋 ${artifactType} ${artifact.substring(7, 19)}: Pushed`));
+      }
+    }
+    
+    console.log(chalk.green(`✅ ${target.tag}: digest: ${digest} size: ${manifestBuffer.length}`));
+    
+    return rust.result({
+      name: imageReference.familiar(target.name),
+      tag: target.tag,
+      digest,
+      size: images.reduce((sum, image) => sum + image.size, 0)
+    });
+  }
+  
+  async pushManifest(target, image, reference) {
+    for (const layer of image.layers) {
+      const { existed } = await this.registry.pushBlob(target, layer.digest);
+      console.log(chalk.gray(`  ${layer.digest.substring(7, 19)}: ${existed ? 'Layer already exists' : 'Pushed'}`));
+    }
+    await this.registry.pushBlob(target, image.configDigest);
+    
+    const manifestBuffer = await this.blobs.get(image.digest);
+    const { mediaType = MEDIA_TYPES.manifest } = JSON.parse(manifestBuffer.toString('utf8'));
+    return this.registry.putManifest(target, reference, manifestBuffer, mediaType);
+  }
+  
+  // Dépôts connus du registre pour cette image ou cet index (RepoDigests, lookup name@digest)
+  async recordRepository(record, name) {
+    record.repositories = [...new Set([...(record.repositories || []), name])];
+    await this.persist();
+  }
+  
+  async login(server, username, password) {
+    const domain = this.registryDomain(server);
+    const result = await this.registry.login(domain, username, password);
+    return rust.result(result);
+  }
+  
+  async logout(server) {
+    return rust.result(await this.registry.logout(this.registryDomain(server)));
+  }
+  
+  // Adresse de registre telle que saisie (https://index.docker.io/v1/, localhost:5000...)
+  registryDomain(server) {
+    if (!server) return DEFAULT_REGISTRY;
+    
+    const domain = server.replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+    if (!REFERENCE_PATTERNS.domain.test(domain)) {
+      throw new Error(`invalid registry address: ${server}`);
+    }
+    return domain === 'index.docker.io' || domain === 'registry-1.docker.io' ? DEFAULT_REGISTRY : domain;
+  }
+  
+  // Signatures publiées pour ce manifest, importées si la politique en exige une
+  async fetchSignatures(target, subjectDigest) {
+    if (this.trust.ruleFor(target.name).require !== 'signed') return;
+    
+    for (const descriptor of await this.registry.listReferrers(target, subjectDigest, SIGNATURE_ARTIFACT_TYPE)) {
+      if (this.trust.artifactsFor(subjectDigest).includes(descriptor.digest)) continue;
+      
+      const artifact = await this.registry.getManifest(target, descriptor.digest);
+      try {
+        this.trust.checkArtifact(artifact.manifest);
+        for (const blob of [artifact.manifest.config, ...artifact.manifest.layers]) {
+          await this.registry.fetchBlob(target, blob);
+        }
+        await this.trust.importArtifact(artifact.buffer);
+      } catch (error) {
+        // Un référent malformé ne bloque pas les autres signatures publiées
+        console.log(chalk.yellow(`  ⚠️  Skipping signature ${descriptor.digest.substring(0, 19)}: ${error.message}`));
+      }
+    }
+  }
+  
+  // Ce qu'on signe: l'index s'il y en a un, sinon le manifest de l'image
+  signingSubject(reference) {
+    const target = this.lookupTarget(reference);
+    if (!target) {
+      throw new Error(`No such image: ${reference}`);
+    }
+    
+    const index = this.indexes.get(target.id);
+    const record = index || this.images.get(target.id);
+    const key = target.key || this.repoTags(target.id)[0] || null;
+    
+    return { record, index, name: key ? imageReference.parse(key).name : null };
+  }
+  
+  async signImage(reference, keyName = 'default') {
+    const { record, index, name } = this.signingSubject(reference);
+    if (!name) {
+      throw new Error(`cannot sign ${reference}: the image has no repository name`);
+    }
+    
+    const keys = await this.trust.listKeys();
+    if (!keys.some(key => key.name === keyName && key.signing)) {
+      if (keyName !== 'default') {
+        throw new Error(`no private key "${keyName}" (create one with: trust key generate ${keyName})`);
+      }
+      const generated = await this.trust.generateKey(keyName);
+      console.log(chalk.yellow(`🔑 Generated signing key "${keyName}" (${generated.keyId})`));
+    }
+    
+    const manifestBuffer = await this.blobs.get(record.digest);
+    const subject = {
+      mediaType: index ? MEDIA_TYPES.index : (JSON.parse(manifestBuffer.toString('utf8')).mediaType || MEDIA_TYPES.manifest),
+      digest: record.digest,
+      size: manifestBuffer.length
+    };
+    const signature = await this.trust.sign(subject, name, keyName);
+    
+    console.log(chalk.green(`🔏 Signed ${imageReference.familiar(name)}@${record.digest} with key ${keyName} (${signature.keyId})`));
+    
+    return rust.result({ ...signature, name: imageReference.familiar(name), key: keyName });
+  }
+  
+  // Avant un run: la politique s'applique au nom demandé, sur les signatures locales
+  async verifyImage(reference, platform = null) {
+    let name = null;
+    try {
+      name = imageReference.parse(reference).name;
+    } catch {
+      // Un ID: la politique s'applique au premier dépôt de l'image
+    }
+    
+    const found = this.lookupReference(reference, platform);
+    const image = found?.image;
+    if (!name && image) {
+      const [key] = this.repoTags(image.id);
+      name = key ? imageReference.parse(key).name : null;
+    }
+    
+    const digests = image
+      ? [image.digest, image.sourceIndex, found.index?.digest, ...this.indexesOf(image.id).map(index => index.digest)].filter(Boolean)
+      : [];
+    const { rule, signatures } = await this.trust.enforce(name, [...new Set(digests)]);
+    
+    return rust.result({ name: name && imageReference.familiar(name), require: rule.require, scope: rule.scope, signatures });
+  }
+  
+  async inspectTrust(reference) {
+    const { record, index, name } = this.signingSubject(reference);
+    const digests = [record.digest, ...(index ? index.manifests.map(entry => entry.digest) : [])];
+    const rule = this.trust.ruleFor(name);
+    
+    return rust.result({
+      name: name && imageReference.familiar(name),
+      digest: record.digest,
+      policy: { scope: rule.scope, require: rule.require, keys: rule.keys || null },
+      signatures: await this.trust.verify(digests, name, rule.keys || null)
+    });
+  }
+  
+  // Paquets détectés dans le filesystem fusionné de l'image (extrait le temps du parcours)
+  async imageInventory(image) {
+    const [key] = this.repoTags(image.id);
+    const subject = { name: key ? imageReference.familiar(key) : `sha256:${image.id}`, digest: image.digest };
+    const root = this.store.path('tmp', `sbom-${randomBytes(6).toString('hex')}`);
+    
+    try {
+      for (const layer of image.layers) {
+        await layerfs.apply(root, await this.blobs.get(layer.digest));
+      }
+      return { subject, inventory: await sbom.scan(root) };
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  }
+  
+  // Rootfs d'un container: layers appliqués, propriétaires restaurés quand on est root
+  async extractImage(reference, destination, platform = null) {
+    const image = this.resolveImage(reference, platform);
+    const owners = new Map();
+    
+    try {
+      for (const layer of image.layers) {
+        await layerfs.apply(destination, await this.blobs.get(layer.digest), owners);
+      }
+      if (process.getuid?.() === 0) {
+        for (const [path, { uid, gid }] of owners) {
+          await fs.lchown(await layerfs.scopedPath(destination, path.replace(/\/$/, '')), uid, gid).catch(() => {});
+        }
+      }
+      
+      const config = image.config || {};
+      return rust.result({
+        id: image.id,
+        config,
+        user: config.User ? await this.resolveChown(config.User, destination) : null
+      });
+    } catch (error) {
+      await fs.rm(destination, { recursive: true, force: true });
+      throw error;
+    }
+  }
+  
+  // Inventaire des paquets du filesystem fusionné de l'image; --attach le garde comme artefact referrer
+  async imageSbom(reference, { format = 'spdx', attach = false, platform = null } = {}) {
+    if (!SBOM_FORMATS[format]) {
+      throw new Error(`Unknown SBOM format "${format}" (available: ${Object.keys(SBOM_FORMATS).join(', ')})`);
+    }
+    
+    const image = this.resolveImage(reference, platform);
+    const { subject, inventory } = await this.imageInventory(image);
+    const document = sbom[format](subject, inventory, SBOM_TOOL);
+    let attached = null;
+    
+    if (attach) {
+      const content = await this.blobs.putJSON(document);
+      await this.blobs.put(Buffer.from('{}'));
+      const manifestBuffer = await this.blobs.get(image.digest);
+      const artifact = await this.blobs.putJSON({
+        schemaVersion: 2,
+        mediaType: MEDIA_TYPES.manifest,
+        artifactType: SBOM_FORMATS[format],
+        config: EMPTY_DESCRIPTOR,
+        layers: [{ mediaType: SBOM_FORMATS[format], digest: content.digest, size: content.size }],
+        subject: { mediaType: MEDIA_TYPES.manifest, digest: image.digest, size: manifestBuffer.length },
+        annotations: { 'org.opencontainers.image.created': new Date().toISOString() }
+      });
+      
+      // Un SBOM par format: le nouveau remplace l'ancien
+      image.attachments = [
+        ...(image.attachments || []).filter(entry => entry.artifactType !== SBOM_FORMATS[format]),
+        { artifactType: SBOM_FORMATS[format], digest: artifact.digest }
+      ];
+      await this.persist();
+      attached = artifact.digest;
+    }
+    
+    return rust.result({
+      format,
+      subject,
+      os: inventory.os,
+      packages: inventory.packages.length,
+      attached,
+      document
+    });
+  }
+  
+  // Scan hors ligne: l'inventaire SBOM confronté à la base OSV importée
+  async scanImage(reference, { platform = null, severity = null } = {}) {
+    const wanted = severity ? severity.map(level => level.toUpperCase()) : SEVERITIES;
+    const unknown = wanted.filter(level => !SEVERITIES.includes(level));
+    if (unknown.length) {
+      throw new Error(`Unknown severity ${unknown.join(', ')} (available: ${SEVERITIES.join(', ')})`);
+    }
+    
+    const { advisories, updated } = this.advisories.info();
+    if (advisories === 0) {
+      throw new Error('No advisory database: import one with "scan db import <path>"');
+    }
+    
+    const image = this.resolveImage(reference, platform);
+    const { subject, inventory } = await this.imageInventory(image);
+    const findings = this.advisories.match(inventory).filter(finding => wanted.includes(finding.severity));
+    const summary = Object.fromEntries(SEVERITIES.map(level => [level, findings.filter(finding => finding.severity === level).length]));
+    
+    return rust.result({
+      subject,
+      os: inventory.os,
+      packages: inventory.packages.length,
+      database: { advisories, updated },
+      summary,
+      findings
+    });
+  }
+  
+  async scanDatabase(action, path) {
+    switch (action) {
+      case 'import':
+        return rust.result(await this.advisories.import(path));
+        
+      case 'info':
+        return rust.result(this.advisories.info());
         
-      case 'ENV':
-        const [key, value] = args.split('=');
-        return {
-          type: 'env',
-          instruction: `${command} ${args}`,
-          variable: key,
-          value: value || '',
-          size: 1024 // Minimal
-        };
+      default:
+        throw new Error(`Unknown scan db action: ${action}`);
+    }
+  }
+  
+  async trustKeys(action, name, file) {
+    switch (action) {
+      case 'generate':
+        return rust.result(await this.trust.generateKey(name));
         
-      case 'EXPOSE':
-        return {
-          type: 'expose',
-          instruction: `${command} ${args}`,
-          port: parseInt(args),
-          size: 1024
-        };
+      case 'add':
+        return rust.result(await this.trust.addKey(name, await fs.readFile(file)));
         
-      case 'CMD':
-      case 'ENTRYPOINT':
-        return {
-          type: 'entrypoint',
-          instruction: `${command} ${args}`,
-          command: args,
-          size: 1024
-        };
+      case 'list':
+        return rust.result((await this.trust.listKeys()).map(({ name, keyId, signing }) => ({ name, keyId, signing })));
         
       default:
-        return {
-          type: 'unknown',
-          instruction: `${command} ${args}`,
-          size: 1024
-        };
+        throw new Error(`Unknown trust key action: ${action}`);
+    }
+  }
+  
+  normalizeReference(reference) {
+    const { name, tag } = imageReference.parse(reference);
+    return `${name}:${tag}`;
+  }
+  
+  // Clé normalisée name:tag (docker.io/library/alpine:latest); clé illisible (ancien état) gardée telle quelle
+  setReference(reference, id) {
+    let key = reference;
+    try {
+      const { name, tag } = imageReference.parse(reference);
+      key = `${name}:${tag}`;
+    } catch {
+      // Référence invalide héritée d'un ancien état: conservée pour rester supprimable
+    }
+    const previous = this.references.get(key);
+    this.references.set(key, id);
+    
+    // Un index qui perd sa dernière référence disparaît; ses images restent, sans tag
+    if (previous && previous !== id && this.indexes.has(previous) && this.repoTags(previous).length === 0) {
+      this.indexes.delete(previous);
+    }
+    return key;
+  }
+  
+  // Référence name:tag ou name@digest, sinon ID (complet, sha256:..., ou préfixe non ambigu)
+  // Cible brute: ID d'image, ou digest d'un index multi-plateformes
+  lookupTarget(reference) {
+    let parsed = null;
+    try {
+      parsed = imageReference.parse(reference);
+    } catch {
+      // Pas un nom valide: peut encore être un ID
+    }
+    
+    if (parsed?.digest) {
+      // name@digest: le manifest doit appartenir à ce dépôt
+      const inRepository = (record, id) => (record.repositories || []).includes(parsed.name) ||
+        this.repoTags(id).some(key => key.startsWith(`${parsed.name}:`));
+      
+      const index = this.indexes.get(parsed.digest);
+      if (index && inRepository(index, index.digest)) return { id: index.digest, key: null };
+      
+      const image = Array.from(this.images.values()).find(img => img.digest === parsed.digest && inRepository(img, img.id));
+      if (image) return { id: image.id, key: null };
+    } else if (parsed) {
+      const key = `${parsed.name}:${parsed.tag}`;
+      const id = this.references.get(key);
+      if (id) return { id, key };
+    }
+    if (this.references.has(reference)) {
+      return { id: this.references.get(reference), key: reference };
+    }
+    
+    const prefix = reference.replace(/^sha256:/, '');
+    if (!/^[0-9a-f]+$/.test(prefix)) return null;
+    
+    const matches = Array.from(this.images.values()).filter(img => img.id.startsWith(prefix));
+    if (matches.length > 1) {
+      throw new Error(`Ambiguous image ID ${reference}: matches ${matches.length} images`);
     }
+    return matches.length ? { id: matches[0].id, key: null } : null;
   }
   
-  generateImageId(name, layers) {
-    const content = `${name}:${JSON.stringify(layers)}:${Date.now()}`;
-    return createHash('sha256').update(content).digest('hex');
+  // Image concrète: un index est résolu vers la plateforme demandée (celle de l'hôte par défaut)
+  lookupReference(reference, platform = null) {
+    const target = this.lookupTarget(reference);
+    if (!target) return null;
+    
+    const index = this.indexes.get(target.id);
+    if (!index) {
+      const image = this.images.get(target.id);
+      if (platform && !ociPlatform.matches(this.imagePlatform(image), platform)) return null;
+      return { image, key: target.key };
+    }
+    
+    const entry = this.selectPlatformManifest(index.manifests, platform);
+    return entry ? { image: this.images.get(entry.imageId), key: target.key, index } : null;
   }
   
-  async pullImage(name, tag = 'latest') {
-    console.log(chalk.blue(`⬇️  Pulling ${name}:${tag}...`));
+  resolveImage(reference, platform = null) {
+    const found = this.lookupReference(reference, platform);
     
-    // Simulation du pull
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    if (!found) {
+      if (platform && this.lookupTarget(reference)) {
+        throw new Error(`image ${reference} was found but does not provide platform ${ociPlatform.format(platform)}`);
+      }
+      throw new Error(`No such image: ${reference}`);
+    }
+    return found.image;
+  }
+  
+  // Clés normalisées des références d'une image
+  repoTags(id) {
+    return Array.from(this.references.entries())
+      .filter(([, target]) => target === id)
+      .map(([reference]) => reference);
+  }
+  
+  // Un tag vers un index reste multi-plateformes
+  async tagImage(source, target) {
+    const found = this.lookupTarget(source);
+    if (!found) {
+      throw new Error(`No such image: ${source}`);
+    }
+    const { name, tag, digest } = imageReference.parse(target);
     
-    const image = {
-      id: this.generateImageId(name, []),
-      name,
-      tag,
-      layers: [
-        { type: 'base', size: 200 * 1024 * 1024, digest: 'sha256:' + randomBytes(32).toString('hex') }
-      ],
-      metadata: {
-        created: new Date().toISOString(),
-        author: 'docker.io',
-        architecture: process.arch
+    if (digest) {
+      throw new Error(`refusing to create a tag with a digest reference: ${target}`);
+    }
+    
+    const key = this.setReference(`${name}:${tag}`, found.id);
+    await this.persist();
+    
+    const id = found.id.replace(/^sha256:/, '');
+    console.log(chalk.green(`🏷️  Tagged ${id.substring(0, 12)} as ${imageReference.familiar(key)}`));
+    
+    return rust.result({ imageId: id, reference: imageReference.familiar(key) });
+  }
+  
+  // Sémantique `docker rmi`: un tag parmi d'autres est seulement retiré, l'image reste
+  async removeImage(reference, { force = false, containers = [] } = {}) {
+    const target = this.lookupTarget(reference);
+    if (!target) {
+      throw new Error(`No such image: ${reference}`);
+    }
+    if (this.indexes.has(target.id)) {
+      return this.removeIndex(target, reference, { force, containers });
+    }
+    
+    const found = { image: this.images.get(target.id), key: target.key };
+    const { image } = found;
+    const tags = this.repoTags(image.id);
+    const byTag = found.key !== null;
+    const untagged = [];
+    
+    const untag = (references) => references.forEach(ref => {
+      this.references.delete(ref);
+      untagged.push(imageReference.familiar(ref));
+    });
+    
+    if (byTag && tags.length > 1) {
+      untag([found.key]);
+      await this.persist();
+      return rust.result({ untagged, deleted: [] });
+    }
+    
+    if (!byTag && tags.length > 1 && !force) {
+      throw new Error(`conflict: unable to delete ${image.id.substring(0, 12)} (must be forced) - image is referenced in multiple repositories`);
+    }
+    
+    const users = containers.filter(container => {
+      if (container.imageId) return container.imageId === image.id;
+      try { return this.lookupReference(container.image)?.image.id === image.id; } catch { return false; }
+    });
+    
+    if (users.length > 0) {
+      const running = users.find(container => container.status === 'running');
+      if (!force) {
+        throw new Error(`conflict: unable to remove ${byTag ? `repository reference "${reference}"` : image.id.substring(0, 12)} (must force) - ${running ? 'running ' : ''}container ${users[0].id.substring(0, 12)} is using its referenced image ${image.id.substring(0, 12)}`);
+      }
+      // -f: seules les références disparaissent, l'image reste pour ses containers
+      untag(tags);
+      await this.persist();
+      return rust.result({ untagged, deleted: [] });
+    }
+    
+    // Une image de plateforme appartient à son index: -f la retire aussi de l'index
+    const parents = this.indexesOf(image.id);
+    if (parents.length > 0 && !force) {
+      throw new Error(`conflict: unable to delete ${image.id.substring(0, 12)} (must be forced) - image is part of manifest list ${parents[0].digest.substring(7, 19)}`);
+    }
+    const deleted = [];
+    for (const index of parents) {
+      deleted.push(await this.removeFromIndex(index, image.id, untag));
+    }
+    
+    untag(tags);
+    this.images.delete(image.id);
+    await this.persist();
+    const reclaimed = await this.collectGarbage();
+    
+    return rust.result({ untagged, deleted: [`sha256:${image.id}`, ...deleted], reclaimed });
+  }
+  
+  // Le blob d'un index est immuable: il est réécrit sans l'image (nouveau digest, non poussé ni signé)
+  // et ses références suivent; un index vidé disparaît avec elles. Retourne l'ancien digest
+  async removeFromIndex(index, id, untag) {
+    const remaining = index.manifests.filter(entry => entry.imageId !== id);
+    const references = Array.from(this.references.entries())
+      .filter(([, target]) => target === index.digest)
+      .map(([reference]) => reference);
+    this.indexes.delete(index.digest);
+    
+    if (remaining.length === 0) {
+      untag(references);
+    } else {
+      const rewritten = await this.storeIndex(null, remaining.map(entry => ({ platform: entry.platform, image: this.images.get(entry.imageId) })));
+      references.forEach(reference => this.references.set(reference, rewritten.digest));
+    }
+    return index.digest;
+  }
+  
+  // rmi d'un index: mêmes règles qu'une image, et ses images de plateforme sans autre référence partent avec lui
+  async removeIndex(target, reference, { force, containers }) {
+    const index = this.indexes.get(target.id);
+    const tags = this.repoTags(index.digest);
+    const short = index.digest.substring(7, 19);
+    const untagged = [];
+    
+    const untag = (references) => references.forEach(ref => {
+      this.references.delete(ref);
+      untagged.push(imageReference.familiar(ref));
+    });
+    
+    if (target.key && tags.length > 1) {
+      untag([target.key]);
+      await this.persist();
+      return rust.result({ untagged, deleted: [] });
+    }
+    if (!target.key && tags.length > 1 && !force) {
+      throw new Error(`conflict: unable to delete ${short} (must be forced) - image is referenced in multiple repositories`);
+    }
+    
+    const children = new Set(index.manifests.map(entry => entry.imageId));
+    const users = containers.filter(container => children.has(container.imageId));
+    if (users.length > 0) {
+      if (!force) {
+        throw new Error(`conflict: unable to remove ${target.key ? `repository reference "${reference}"` : short} (must force) - container ${users[0].id.substring(0, 12)} is using its referenced image ${users[0].imageId.substring(0, 12)}`);
+      }
+      // Les images restent pour leurs containers, l'index sans référence disparaît
+      untag(tags);
+      this.indexes.delete(index.digest);
+      await this.persist();
+      return rust.result({ untagged, deleted: [] });
+    }
+    
+    untag(tags);
+    this.indexes.delete(index.digest);
+    const deleted = [index.digest];
+    
+    for (const id of children) {
+      if (this.repoTags(id).length > 0 || this.indexesOf(id).length > 0) continue;
+      this.images.delete(id);
+      deleted.push(`sha256:${id}`);
+    }
+    
+    await this.persist();
+    const reclaimed = await this.collectGarbage();
+    
+    return rust.result({ untagged, deleted, reclaimed });
+  }
+  
+  // Équivalent de `docker image inspect`
+  // Via un index: l'image de la plateforme, avec les tags et le digest de l'index
+  async inspectImage(reference, platform = null) {
+    const image = this.resolveImage(reference, platform);
+    const record = this.lookupReference(reference, platform).index || image;
+    const repoTags = this.repoTags(record.id || record.digest).map(key => imageReference.familiar(key));
+    const repositories = [...new Set([
+      ...repoTags.map(ref => ref.substring(0, ref.lastIndexOf(':'))),
+      ...(record.repositories || []).map(name => imageReference.familiar(name))
+    ])];
+    
+    return rust.result({
+      Id: `sha256:${image.id}`,
+      RepoTags: repoTags,
+      RepoDigests: repositories.map(repository => `${repository}@${record.digest}`),
+      Parent: '',
+      Comment: '',
+      Created: image.metadata.created,
+      Author: image.metadata.author || '',
+      Config: image.config,
+      Architecture: image.metadata.architecture,
+      ...(image.metadata.variant ? { Variant: image.metadata.variant } : {}),
+      Os: image.metadata.os,
+      Size: image.size,
+      RootFS: {
+        Type: 'layers',
+        Layers: image.layers.map(layer => layer.diffId)
+      },
+      Descriptor: {
+        mediaType: MEDIA_TYPES.manifest,
+        digest: image.digest,
+        size: (await this.blobs.get(image.digest)).length
       },
-      size: 200 * 1024 * 1024
+      Layers: image.layers.map(layer => ({
+        MediaType: layer.mediaType,
+        Digest: layer.digest,
+        DiffId: layer.diffId,
+        Size: layer.size
+      }))
+    });
+  }
+  
+  // Historique du plus récent au plus ancien; chaque entrée non vide correspond au layer suivant
+  async imageHistory(reference) {
+    const image = this.resolveImage(reference);
+    const layers = [...image.layers];
+    
+    const entries = image.history.map(entry => ({
+      createdBy: entry.created_by || '',
+      created: entry.created,
+      comment: entry.comment || '',
+      size: entry.empty_layer ? 0 : (layers.shift()?.size || 0)
+    })).reverse();
+    
+    return rust.result(entries.map((entry, index) => ({
+      id: index === 0 ? image.id : '<missing>',
+      ...entry
+    })));
+  }
+  
+  // Export au format OCI image-layout (+ manifest.json compatible `docker load`)
+  async saveImages(references, output) {
+    const blobs = new Map();
+    const index = { schemaVersion: 2, mediaType: MEDIA_TYPES.index, manifests: [] };
+    const dockerManifest = [];
+    
+    for (const reference of references) {
+      const { image, key } = this.lookupReference(reference) || { image: this.resolveImage(reference), key: null };
+      const repoTag = key ? imageReference.familiar(key) : null;
+      const tag = key ? key.substring(key.lastIndexOf(':') + 1) : null;
+      const digests = [image.digest, image.configDigest, ...image.layers.map(layer => layer.digest)];
+      
+      for (const digest of digests) {
+        if (!blobs.has(digest)) blobs.set(digest, await this.blobs.get(digest));
+      }
+      
+      index.manifests.push({
+        mediaType: MEDIA_TYPES.manifest,
+        digest: image.digest,
+        size: blobs.get(image.digest).length,
+        annotations: repoTag ? {
+          'io.containerd.image.name': key,
+          'org.opencontainers.image.ref.name': tag
+        } : {}
+      });
+      
+      dockerManifest.push({
+        Config: `blobs/sha256/${image.configDigest.substring(7)}`,
+        RepoTags: repoTag ? [repoTag] : [],
+        Layers: image.layers.map(layer => `blobs/sha256/${layer.digest.substring(7)}`)
+      });
+    }
+    
+    const data = await this.writeOciArchive(output, blobs, index, { 'manifest.json': JSON.stringify(dockerManifest) });
+    
+    console.log(chalk.green(`💾 Saved ${references.length} image(s) to ${output}`));
+    
+    return rust.result({ output, images: references, size: data.length });
+  }
+  
+  // OCI image-layout en tar (gzip selon l'extension); extra: fichiers ajoutés à la racine
+  async writeOciArchive(output, blobs, index, extra = {}) {
+    const file = (name, content) => ({ name, type: 'file', mode: 0o644, content: Buffer.from(content) });
+    const entries = [
+      { name: 'blobs', type: 'directory' },
+      { name: 'blobs/sha256', type: 'directory' },
+      ...Array.from(blobs.entries()).map(([digest, content]) => file(`blobs/sha256/${digest.substring(7)}`, content)),
+      file('index.json', JSON.stringify(index)),
+      ...Object.entries(extra).map(([name, content]) => file(name, content)),
+      file('oci-layout', JSON.stringify({ imageLayoutVersion: '1.0.0' }))
+    ];
+    
+    const archive = tar.pack(entries);
+    const data = /\.(t?gz)$/.test(output) ? gzipSync(archive) : archive;
+    await this.store.writeAtomic(resolve(output), data);
+    
+    return data;
+  }
+  
+  // Import d'un OCI image-layout ou d'une archive `docker save`
+  async loadImages(input) {
+    const archive = input ? await fs.readFile(input) : await this.readStdin();
+    const files = new Map(tar.unpack(archive)
+      .filter(entry => entry.type === 'file')
+      .map(entry => [entry.name, entry.content]));
+    
+    const loaded = files.has('index.json') && files.has('oci-layout')
+      ? await this.loadOciLayout(files)
+      : files.has('manifest.json')
+        ? await this.loadDockerArchive(files)
+        : null;
+    
+    if (!loaded) {
+      throw new Error('Unrecognized archive: expected an OCI image layout or a docker-archive (manifest.json)');
+    }
+    
+    return rust.result(loaded.map(image => ({
+      imageId: image.id,
+      reference: image.reference,
+      digest: image.digest,
+      size: image.size
+    })));
+  }
+  
+  async readStdin() {
+    if (process.stdin.isTTY) {
+      throw new Error('Refusing to read an image archive from a terminal, use --input');
+    }
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+  
+  // Lecture d'un blob de l'archive avec vérification du digest
+  readArchiveBlob(files, path, expectedDigest = null) {
+    const content = files.get(path);
+    if (!content) {
+      throw new Error(`Archive is missing ${path}`);
+    }
+    if (expectedDigest && digestOf(content) !== expectedDigest) {
+      throw new Error(`Digest mismatch for ${path}: expected ${expectedDigest}`);
+    }
+    return content;
+  }
+  
+  async archiveLayer(content, mediaType, createdBy = null) {
+    const diffId = tar.isGzip(content) ? digestOf(gunzipSync(content)) : digestOf(content);
+    const { digest, size } = await this.blobs.put(content);
+    
+    return {
+      digest,
+      diffId,
+      size,
+      mediaType: mediaType || (tar.isGzip(content) ? MEDIA_TYPES.layerGzip : MEDIA_TYPES.layer),
+      createdBy
+    };
+  }
+  
+  async loadOciLayout(files) {
+    const blobPath = (digest) => `blobs/${digest.replace(':', '/')}`;
+    const index = JSON.parse(files.get('index.json').toString('utf8'));
+    const images = [];
+    
+    const loadManifest = async (descriptor, annotations) => {
+      const manifestBuffer = this.readArchiveBlob(files, blobPath(descriptor.digest), descriptor.digest);
+      const manifest = JSON.parse(manifestBuffer.toString('utf8'));
+      
+      // Index imbriqué: on retient la plateforme de l'hôte
+      if (manifest.manifests) {
+        const child = this.selectPlatformManifest(manifest.manifests);
+        return loadManifest(child, annotations);
+      }
+      
+      const configBuffer = this.readArchiveBlob(files, blobPath(manifest.config.digest), manifest.config.digest);
+      const imageConfig = JSON.parse(configBuffer.toString('utf8'));
+      const history = (imageConfig.history || []).filter(entry => !entry.empty_layer);
+      
+      const layers = [];
+      for (const [i, descriptor] of manifest.layers.entries()) {
+        const content = this.readArchiveBlob(files, blobPath(descriptor.digest), descriptor.digest);
+        layers.push(await this.archiveLayer(content, descriptor.mediaType, history[i]?.created_by || null));
+      }
+      
+      const reference = annotations['io.containerd.image.name'] || annotations['org.opencontainers.image.ref.name'];
+      // ref.name seul peut n'être qu'un tag ("latest"): pas de référence dans ce cas
+      const key = reference && /[:/]/.test(reference) ? this.normalizeReference(reference) : null;
+      
+      return { ...await this.registerImage(key, configBuffer, layers, manifestBuffer), reference: key && imageReference.familiar(key) };
+    };
+    
+    for (const descriptor of index.manifests || []) {
+      images.push(await loadManifest(descriptor, descriptor.annotations || {}));
+    }
+    
+    return images;
+  }
+  
+  async loadDockerArchive(files) {
+    const manifest = JSON.parse(files.get('manifest.json').toString('utf8'));
+    const images = [];
+    
+    for (const entry of manifest) {
+      const configBuffer = this.readArchiveBlob(files, entry.Config);
+      const imageConfig = JSON.parse(configBuffer.toString('utf8'));
+      const diffIds = imageConfig.rootfs?.diff_ids || [];
+      const history = (imageConfig.history || []).filter(step => !step.empty_layer);
+      
+      const layers = [];
+      for (const [i, path] of entry.Layers.entries()) {
+        const layer = await this.archiveLayer(this.readArchiveBlob(files, path), null, history[i]?.created_by || null);
+        
+        if (diffIds[i] && diffIds[i] !== layer.diffId) {
+          throw new Error(`Layer ${path} does not match config diff_id ${diffIds[i]}`);
+        }
+        layers.push(layer);
+      }
+      
+      const repoTags = entry.RepoTags?.length ? entry.RepoTags : [null];
+      for (const repoTag of repoTags) {
+        const key = repoTag ? this.normalizeReference(repoTag) : null;
+        images.push({ ...await this.registerImage(key, configBuffer, layers), reference: key && imageReference.familiar(key) });
+      }
+    }
+    
+    return images;
+  }
+  
+  // Plateforme demandée: correspondance exacte; sinon celle de l'hôte, à défaut la première réelle (pas d'attestation)
+  selectPlatformManifest(manifests, platform = null) {
+    if (platform) return manifests.find(m => ociPlatform.matches(m.platform, platform)) || null;
+    
+    return manifests.find(m => ociPlatform.matches(m.platform, ociPlatform.host())) ||
+      manifests.find(m => m.platform?.os !== 'unknown') ||
+      manifests[0];
+  }
+  
+  imagePlatform(image) {
+    const { os, architecture, variant } = image.metadata;
+    return ociPlatform.normalize({ os: os === 'win32' ? 'windows' : os, architecture, variant });
+  }
+  
+  // Index (multi-plateformes) qui référencent une image
+  indexesOf(id) {
+    return Array.from(this.indexes.values()).filter(index => index.manifests.some(entry => entry.imageId === id));
+  }
+  
+  // Index OCI: un manifest par plateforme, sous une seule référence
+  async storeIndex(reference, entries) {
+    const manifests = [];
+    for (const { platform, image } of entries) {
+      manifests.push({
+        mediaType: MEDIA_TYPES.manifest,
+        digest: image.digest,
+        size: await this.blobs.size(image.digest),
+        platform: ociPlatform.normalize(platform)
+      });
+    }
+    
+    const { digest } = await this.blobs.putJSON({ schemaVersion: 2, mediaType: MEDIA_TYPES.index, manifests });
+    const index = {
+      digest,
+      manifests: manifests.map((descriptor, i) => ({
+        digest: descriptor.digest,
+        imageId: entries[i].image.id,
+        platform: descriptor.platform
+      })),
+      repositories: this.indexes.get(digest)?.repositories
     };
     
-    this.images.set(`${name}:${tag}`, image);
+    this.indexes.set(digest, index);
+    if (reference) this.setReference(reference, digest);
+    await this.persist();
+    
+    return index;
+  }
+  
+  async persist() {
+    return this.store.save('images', {
+      images: Array.from(this.images.entries()),
+      indexes: Array.from(this.indexes.entries()),
+      references: Array.from(this.references.entries())
+    });
+  }
+  
+  async listImages() {
+    const row = (img, name, tag, platform = this.imagePlatform(img)) => ({
+      repository: name,
+      tag,
+      imageId: img.id.substring(0, 12),
+      platform: ociPlatform.format(platform),
+      created: img.metadata.created,
+      size: this.formatSize(img.size)
+    });
+    
+    // Une ligne par référence (par plateforme pour un index), plus les images sans tag (<none>)
+    const images = [
+      ...Array.from(this.references.entries())
+        .flatMap(([reference, id]) => {
+          const familiar = imageReference.familiar(reference);
+          const colon = familiar.lastIndexOf(':');
+          const [name, tag] = [familiar.substring(0, colon), familiar.substring(colon + 1)];
+          
+          const index = this.indexes.get(id);
+          return index
+            ? index.manifests.map(entry => row(this.images.get(entry.imageId), name, tag, entry.platform))
+            : [row(this.images.get(id), name, tag)];
+        }),
+      ...Array.from(this.images.values())
+        .filter(img => this.repoTags(img.id).length === 0 &&
+          !this.indexesOf(img.id).some(index => this.repoTags(index.digest).length > 0))
+        .map(img => row(img, '<none>', '<none>'))
+    ];
+    
+    return rust.result(images);
+  }
+  
+  formatSize(bytes) {
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    if (bytes === 0) return '0 B';
+    const i = Math.floor(Math.log(bytes) / Math.log(1024));
+    return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
+  }
+  
+  getCapabilities() {
+    return [
+      'build_image',
+      'pull_image',
+      'push_image',
+      'registry_login',
+      'registry_logout',
+      'sign_image',
+      'verify_image',
+      'extract_image',
+      'inspect_trust',
+      'trust_keys',
+      'image_sbom',
+      'lint_dockerfile',
+      'scan_image',
+      'scan_db',
+      'list_images',
+      'remove_image',
+      'inspect_image',
+      'tag_image',
+      'image_history',
+      'save_image',
+      'load_image',
+      'prune_build_cache'
+    ];
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🧫 CONTAINER BACKENDS - PROCESSUS RÉELS (SHIM) OU SIMULATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Argument interne: app.js relancé comme shim d'un container (voir containerShim)
+const CONTAINER_SHIM_ARG = '__container-shim';
+
+// Fichiers d'un container: rootfs/, spec.json (écrit par le runtime), state.json et container.log (écrits par le shim)
+const containerFiles = (directory) => ({
+  rootfs: join(directory, 'rootfs'),
+  spec: join(directory, 'spec.json'),
+  state: join(directory, 'state.json'),
+  log: join(directory, 'container.log')
+});
+
+// Socket d'attachement du shim, relatif à son répertoire courant (joint via /proc/<shim>/cwd, sans limite de longueur)
+const ATTACH_SOCKET = 'attach.sock';
+
+// Délai maximal d'attente du premier attachement (run -i/-t) avant de lancer le processus quand même
+const ATTACH_WAIT = 10000;
+
+// Séquence de détachement: comme Docker, ctrl-<lettre> ou caractères isolés séparés par des virgules
+const DEFAULT_DETACH_KEYS = 'ctrl-p,ctrl-q';
+
+const parseDetachKeys = (spec) => spec.split(',').map(key => {
+  const control = /^ctrl-(.)$/i.exec(key);
+  if (control) {
+    const code = '@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_'.indexOf(control[1].toUpperCase());
+    if (code >= 0) return code;
+  } else if (key.length === 1) {
+    return key.charCodeAt(0);
+  }
+  throw new Error(`Invalid detach keys (${spec}): expected ctrl-<value> or single characters separated by commas`);
+});
+
+const processAlive = (pid) => {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+// Interface commune: start(container, directory, spec) -> état { status, pid, startedAt, exitCode, error }
+class ContainerBackend {
+  constructor(name) {
+    this.name = name;
+  }
+  
+  async start(container, directory, spec) {
+    throw new Error(`Container backend ${this.name} does not implement start()`);
+  }
+  
+  // Signal livré au processus du container; retourne le nouvel état s'il est connu immédiatement
+  async signal(container, directory, signal) {
+    throw new Error(`Container backend ${this.name} does not implement signal()`);
+  }
+  
+  // Processus supplémentaire dans le contexte du container: retourne le ChildProcess lancé
+  async exec(container, directory, spec, options) {
+    throw new Error(`exec is not supported by the ${this.name} runtime`);
+  }
+  
+  // Flux du processus principal relié au terminal: résout { exitCode } ou { detached: true }
+  async attach(container, directory, options) {
+    throw new Error(`attach is not supported by the ${this.name} runtime`);
+  }
+  
+  // État courant tel que le backend le voit (null: rien de plus que l'enregistrement)
+  async status(container, directory) {
+    return null;
+  }
+}
+
+// Processus réel surveillé par un shim détaché: le container survit à la commande qui l'a lancé.
+// Le rootfs devient la racine du processus (namespaces mount et IPC): sans root ni unshare, refus de démarrer
+class ProcessBackend extends ContainerBackend {
+  constructor(name = 'process') {
+    super(name);
+  }
+  
+  isolation() {
+    if (!confinementAvailable()) {
+      throw new Error(`the ${this.name} runtime needs root and util-linux (unshare, mount) to confine the container; use --runtime host to run it as an unconfined host process`);
+    }
+    return 'unshare';
+  }
+  
+  async start(container, directory, spec) {
+    const files = containerFiles(directory);
+    await fs.rm(files.state, { force: true });
+    await fs.writeFile(files.spec, JSON.stringify({ ...spec, isolation: this.isolation() }, null, 2));
+    
+    const shim = spawn(process.execPath, [fileURLToPath(import.meta.url), CONTAINER_SHIM_ARG, directory], {
+      detached: true,
+      stdio: 'ignore'
+    });
+    shim.unref();
+    
+    // Le shim publie l'état dès que le processus est lancé (ou a échoué à se lancer)
+    const deadline = Date.now() + 10000;
+    while (Date.now() < deadline) {
+      const state = await fs.readFile(files.state, 'utf8').then(JSON.parse).catch(() => null);
+      if (state) return state;
+      if (!processAlive(shim.pid)) break;
+      await new Promise(resolvePromise => setTimeout(resolvePromise, 50));
+    }
+    throw new Error(`container shim did not start (pid ${shim.pid})`);
+  }
+  
+  // Shim disparu sans écrire la fin (kill -9, reboot): le container est considéré arrêté
+  async status(container, directory) {
+    const state = await fs.readFile(containerFiles(directory).state, 'utf8').then(JSON.parse).catch(() => null);
+    if (state?.status === 'running' && !processAlive(state.shimPid)) {
+      return { ...state, status: 'exited', pid: null, exitCode: 255, error: 'container shim disappeared', finishedAt: state.finishedAt || new Date().toISOString() };
+    }
+    return state;
+  }
+  
+  async signal(container, directory, signal) {
+    const state = await this.status(container, directory);
+    const pid = state?.status === 'running' ? state.pid || state.shimPid : null;
+    if (!processAlive(pid)) {
+      throw new Error(`container ${container.id.substring(0, 12)} has no running process`);
+    }
+    
+    process.kill(pid, signal);
+    return null;
+  }
+  
+  // Container lancé avec unshare: nsenter rejoint ses namespaces et sa racine; sinon processus hôte dans le rootfs
+  async exec(container, directory, spec, { interactive = false, tty = false } = {}) {
+    const files = containerFiles(directory);
+    const { isolation } = JSON.parse(await fs.readFile(files.spec, 'utf8'));
+    const state = await this.status(container, directory);
+    
+    const [command, args, options] = await containerCommand(files.rootfs, {
+      ...spec,
+      isolation: isolation === 'unshare' ? 'nsenter' : 'host',
+      target: state?.pid
+    });
+    const [file, argv] = tty ? ptyCommand(command, args) : [command, args];
+    
+    return spawn(file, argv, { ...options, env: envObject(spec.env), stdio: [interactive ? 'inherit' : 'ignore', 'pipe', 'pipe'] });
+  }
+  // Client du socket du shim: plusieurs attachements peuvent coexister, leurs entrées sont fusionnées.
+  // La séquence de détachement est retenue tant qu'elle est partielle, puis relâchée si elle ne se complète pas
+  async attach(container, directory, { stdin = true, tty = false, detachKeys = DEFAULT_DETACH_KEYS } = {}) {
+    const state = await this.status(container, directory);
+    if (state?.status !== 'running' || !processAlive(state.shimPid)) {
+      throw new Error(`container ${container.id.substring(0, 12)} has no running process`);
+    }
+    const sequence = parseDetachKeys(detachKeys);
+    
+    const socket = net.connect(`/proc/${state.shimPid}/cwd/${ATTACH_SOCKET}`);
+    await new Promise((resolvePromise, reject) => {
+      socket.once('connect', resolvePromise);
+      socket.once('error', (error) => reject(new Error(`cannot attach to container ${container.id.substring(0, 12)}: ${error.message}`)));
+    });
+    
+    const send = (message) => socket.writable && socket.write(`${JSON.stringify(message)}\n`);
+    const raw = tty && stdin && process.stdin.isTTY;
+    const resize = () => process.stdout.isTTY && send({ resize: { rows: process.stdout.rows, cols: process.stdout.columns } });
     
-    console.log(chalk.green(`✅ Pull complete: ${name}:${tag}`));
+    return new Promise((resolvePromise) => {
+      let matched = 0;
+      let outcome = null;
+      
+      const forward = (chunk) => {
+        const bytes = [];
+        for (const byte of chunk) {
+          if (byte === sequence[matched]) {
+            matched++;
+            if (matched === sequence.length) {
+              // Ce qui précède la séquence dans le même bloc part avant le détachement
+              if (bytes.length) send({ stdin: Buffer.from(bytes).toString('base64') });
+              outcome = { detached: true };
+              socket.end();
+              return;
+            }
+            continue;
+          }
+          bytes.push(...sequence.slice(0, matched));
+          matched = 0;
+          if (byte === sequence[0]) matched = 1;
+          else bytes.push(byte);
+        }
+        if (bytes.length) send({ stdin: Buffer.from(bytes).toString('base64') });
+      };
+      // Fin de l'entrée: une séquence restée partielle est relâchée avant la fermeture
+      const finish = () => {
+        if (matched) send({ stdin: Buffer.from(sequence.slice(0, matched)).toString('base64') });
+        matched = 0;
+        send({ eof: true });
+      };
+      
+      if (stdin) {
+        if (raw) process.stdin.setRawMode(true);
+        process.stdin.on('data', forward);
+        process.stdin.on('end', finish);
+        process.stdin.resume();
+      }
+      if (tty) {
+        resize();
+        process.stdout.on('resize', resize);
+      }
+      
+      let pending = '';
+      socket.on('data', (chunk) => {
+        const lines = (pending + chunk).split('\n');
+        pending = lines.pop();
+        lines.filter(Boolean).forEach(line => {
+          const message = JSON.parse(line);
+          if (message.data) (message.stream === 'stderr' ? process.stderr : process.stdout).write(Buffer.from(message.data, 'base64'));
+          if (message.exit !== undefined) outcome = { exitCode: message.exit };
+        });
+      });
+      socket.on('error', () => socket.destroy());
+      socket.on('close', () => {
+        if (stdin) {
+          process.stdin.off('data', forward);
+          process.stdin.off('end', finish);
+          if (raw) process.stdin.setRawMode(false);
+          process.stdin.pause();
+        }
+        process.stdout.off('resize', resize);
+        resolvePromise(outcome || { exitCode: null });
+      });
+    });
+  }
+}
+
+// Opt-in explicite: processus hôte non confiné, répertoire courant dans le rootfs (exécutables du rootfs uniquement)
+class HostBackend extends ProcessBackend {
+  constructor() {
+    super('host');
+  }
+  
+  isolation() {
+    return 'host';
+  }
+}
+
+// Comportement historique, gardé pour les tests: PID inventé et logs de démonstration, rien n'est exécuté
+class SimulatedBackend extends ContainerBackend {
+  constructor() {
+    super('simulated');
+  }
+  
+  async start(container, directory, spec) {
+    const messages = [
+      'Container initialization complete',
+      'Starting application...',
+      'Application is ready to accept connections',
+      'Listening on port 8080'
+    ];
+    const now = Date.now();
+    const lines = messages.map((log, index) =>
+      JSON.stringify({ time: new Date(now + (index + 1) * 1000).toISOString(), stream: 'stdout', log: `${log}\n` }));
+    await fs.appendFile(containerFiles(directory).log, `${lines.join('\n')}\n`);
     
-    return rust.result({
-      imageId: image.id,
-      name,
-      tag,
-      size: image.size,
-      pulled: true
-    });
+    return { status: 'running', pid: Math.floor(Math.random() * 30000) + 1000, startedAt: new Date(now).toISOString(), exitCode: null };
   }
   
-  async listImages() {
-    const images = Array.from(this.images.values()).map(img => ({
-      repository: img.name,
-      tag: img.tag,
-      imageId: img.id.substring(0, 12),
-      created: img.metadata.created,
-      size: this.formatSize(img.size)
-    }));
+  // Pas de processus: tout signal fatal arrête le container sur-le-champ
+  async signal(container, directory, signal) {
+    if (['SIGSTOP', 'SIGCONT', 'SIGWINCH', 'SIGCHLD', 'SIGURG'].includes(signal)) return null;
     
-    return rust.result(images);
+    return { status: 'exited', pid: null, exitCode: 128 + os.constants.signals[signal], finishedAt: new Date().toISOString() };
   }
+}
+
+const CONTAINER_BACKENDS = {
+  process: ProcessBackend,
+  host: HostBackend,
+  simulated: SimulatedBackend
+};
+
+const UNSHARE = '/usr/bin/unshare';
+const NSENTER = '/usr/bin/nsenter';
+
+const confinementAvailable = () => process.getuid?.() === 0 && [UNSHARE, '/usr/bin/mount'].every(path => existsSync(path));
+
+// Préparation du namespace mount avant l'entrée dans le rootfs: /dev minimal (tmpfs + nœuds de l'hôte) et /proc.
+// Arguments: dev proc rootfs workdir gid uid commande...
+const CONTAINER_INIT_SCRIPT = `set -e
+dev=$1 proc=$2 root=$3 wd=$4 gid=$5 uid=$6
+shift 6
+path=$PATH
+PATH=/usr/sbin:/usr/bin:/sbin:/bin
+mount -t tmpfs -o nosuid,noexec,mode=755 tmpfs "$dev"
+for node in null zero full random urandom tty; do
+  touch "$dev/$node"
+  mount --bind "/dev/$node" "$dev/$node"
+done
+mkdir "$dev/pts" "$dev/shm"
+ln -s /proc/self/fd "$dev/fd"
+ln -s /proc/self/fd/0 "$dev/stdin"
+ln -s /proc/self/fd/1 "$dev/stdout"
+ln -s /proc/self/fd/2 "$dev/stderr"
+mount -t proc -o nosuid,nodev,noexec proc "$proc"
+if [ -n "$uid" ]; then set -- --setgid "$gid" --setuid "$uid" -- "$@"; else set -- -- "$@"; fi
+PATH=$path
+exec ${UNSHARE} --root="$root" --wd="$wd" "$@"`;
+
+// Points de montage /dev et /proc, résolus dans le rootfs et créés au besoin; retourne ceux qui ont été créés
+async function containerMountpoints(rootfs) {
+  const paths = {};
+  const created = [];
   
-  formatSize(bytes) {
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    if (bytes === 0) return '0 B';
-    const i = Math.floor(Math.log(bytes) / Math.log(1024));
-    return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
+  for (const name of ['dev', 'proc']) {
+    paths[name] = await layerfs.scopedPath(rootfs, `/${name}`, true);
+    if (!await fs.lstat(paths[name]).catch(() => null)) created.push(paths[name]);
+    await fs.mkdir(paths[name], { recursive: true });
+  }
+  return { ...paths, created };
+}
+
+// Pseudo-terminal via script(1) quand il est présent: le processus voit un vrai TTY, taille comprise
+const PTY_HELPER = '/usr/bin/script';
+
+const shellQuote = (word) => /^[\w@%+=:,./-]+$/.test(word) ? word : `'${word.replace(/'/g, `'\\''`)}'`;
+
+const ptyCommand = (command, args) => existsSync(PTY_HELPER)
+  ? [PTY_HELPER, ['-qfec', [command, ...args].map(shellQuote).join(' '), '/dev/null']]
+  : [command, args];
+
+// Processus lancé par script(1): celui qui doit recevoir les signaux du container
+async function ptyChild(pid) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const children = await fs.readFile(`/proc/${pid}/task/${pid}/children`, 'utf8').catch(() => '');
+    const [child] = children.split(' ').filter(Boolean).map(Number);
+    if (child) return child;
+    if (!processAlive(pid)) break;
+    await new Promise(resolvePromise => setTimeout(resolvePromise, 10));
   }
+  return pid;
+}
+
+// Taille du pty du processus (son stdin): le noyau envoie SIGWINCH au groupe au premier plan
+async function resizePty(pid, { rows, cols }) {
+  const tty = pid && await fs.readlink(`/proc/${pid}/fd/0`).catch(() => null);
+  if (!tty?.startsWith('/dev/pts/') || !(rows > 0) || !(cols > 0)) return;
   
-  getCapabilities() {
-    return [
-      'build_image',
-      'pull_image',
-      'push_image',
-      'list_images',
-      'remove_image',
-      'inspect_image'
-    ];
+  spawn('stty', ['-F', tty, 'rows', String(rows), 'cols', String(cols)], { stdio: 'ignore' }).on('error', () => {});
+}
+
+const envObject = (env) => Object.fromEntries(env.map(entry => [entry.substring(0, entry.indexOf('=')), entry.substring(entry.indexOf('=') + 1)]));
+
+// Une entrée par ligne, comme le driver json-file de Docker; echo reçoit la sortie brute (exec au premier plan)
+const captureOutput = (stream, name, log, echo = null) => {
+  let pending = '';
+  stream.on('data', (chunk) => {
+    echo?.write(chunk);
+    const lines = (pending + chunk).split('\n');
+    pending = lines.pop();
+    lines.forEach(line => log.write(`${JSON.stringify({ time: new Date().toISOString(), stream: name, log: `${line}\n` })}\n`));
+  });
+  stream.on('end', () => {
+    if (pending) log.write(`${JSON.stringify({ time: new Date().toISOString(), stream: name, log: pending })}\n`);
+  });
+};
+
+// Mode hôte: l'exécutable est cherché dans le rootfs seulement (chemin absolu ou PATH du container);
+// introuvable, le chemin retourné n'existe pas et le lancement échoue (127) plutôt que d'exécuter un binaire de l'hôte
+async function containerExecutable(rootfs, { argv, env, cwd }) {
+  const [name] = argv;
+  const candidates = name.includes('/')
+    ? [posix.resolve(cwd || '/', name)]
+    : (env.find(entry => entry.startsWith('PATH='))?.substring(5) || '').split(':').filter(Boolean).map(dir => posix.join(dir, name));
+  
+  for (const candidate of candidates) {
+    const path = await layerfs.scopedPath(rootfs, candidate, true).catch(() => null);
+    const stats = path && await fs.stat(path).catch(() => null);
+    if (stats?.isFile()) return path;
+  }
+  return layerfs.scopedPath(rootfs, candidates[0] || posix.join('/', name), true);
+}
+
+// [commande, arguments, options de spawn] qui exécute spec.argv dans le contexte du container:
+// unshare (nouveau container), nsenter (exec dans un container lancé avec unshare) ou processus hôte
+async function containerCommand(rootfs, spec) {
+  const { user } = spec;
+  
+  switch (spec.isolation) {
+    case 'unshare': {
+      const { dev, proc } = await containerMountpoints(rootfs);
+      return [UNSHARE, [
+        '--mount', '--ipc', '--', '/bin/sh', '-c', CONTAINER_INIT_SCRIPT, 'container-init',
+        dev, proc, rootfs, spec.cwd, user ? String(user.gid) : '', user ? String(user.uid) : '',
+        ...spec.argv
+      ], {}];
+    }
+      
+    case 'nsenter':
+      return [NSENTER, [
+        '--target', String(spec.target), '--mount', '--ipc', '--root', `--wdns=${spec.cwd}`,
+        ...(user ? ['--setgid', String(user.gid), '--setuid', String(user.uid)] : []),
+        '--', ...spec.argv
+      ], {}];
+      
+    default:
+      return [await containerExecutable(rootfs, spec), spec.argv.slice(1), { cwd: await layerfs.scopedPath(rootfs, spec.cwd, true), uid: user?.uid, gid: user?.gid }];
+  }
+}
+
+// Shim: lance le processus du container, journalise stdout/stderr (JSON lines) et enregistre le code de sortie
+async function containerShim(directory) {
+  const files = containerFiles(directory);
+  const spec = JSON.parse(readFileSync(files.spec, 'utf8'));
+  const writer = new StateStore();
+  const log = createWriteStream(files.log, { flags: 'a' });
+  let state = { status: 'running', pid: null, shimPid: process.pid, startedAt: new Date().toISOString(), finishedAt: null, exitCode: null };
+  
+  // Écritures sérialisées: l'état de démarrage ne doit jamais écraser celui de fin
+  let published = Promise.resolve();
+  const publish = (changes) => {
+    state = { ...state, ...changes };
+    const content = JSON.stringify(state, null, 2);
+    published = published.then(() => writer.writeAtomic(files.state, content));
+    return published;
+  };
+  
+  const [command, args, options] = await containerCommand(files.rootfs, spec);
+  const [file, argv] = spec.tty ? ptyCommand(command, args) : [command, args];
+  
+  if (options.cwd) await fs.mkdir(options.cwd, { recursive: true });
+  // Chemin relatif au répertoire du container: la limite de longueur des sockets Unix ne porte que sur le nom
+  process.chdir(directory);
+  await fs.rm(ATTACH_SOCKET, { force: true });
+  
+  // Attachements: sortie diffusée à chaque client, entrées fusionnées vers stdin
+  const clients = new Set();
+  let child = null;
+  let attached = null;
+  const firstClient = new Promise(resolvePromise => { attached = resolvePromise; });
+  
+  const send = (message) => {
+    const line = `${JSON.stringify(message)}\n`;
+    clients.forEach(client => client.write(line));
+  };
+  const relay = (stream) => ({ write: (chunk) => send({ stream, data: chunk.toString('base64') }) });
+  
+  const receive = (message) => {
+    if (message.stdin && spec.interactive) child?.stdin?.write(Buffer.from(message.stdin, 'base64'));
+    if (message.eof && spec.interactive && !spec.tty) child?.stdin?.end();
+    if (message.resize && spec.tty) resizePty(state.pid, message.resize);
+  };
+  
+  const server = net.createServer(client => {
+    clients.add(client);
+    attached();
+    
+    let pending = '';
+    client.on('data', (chunk) => {
+      const lines = (pending + chunk).split('\n');
+      pending = lines.pop();
+      lines.filter(Boolean).forEach(line => {
+        try {
+          receive(JSON.parse(line));
+        } catch {
+          // Message illisible ignoré
+        }
+      });
+    });
+    client.on('close', () => clients.delete(client));
+    client.on('error', () => clients.delete(client));
+  });
+  server.listen(ATTACH_SOCKET);
+  
+  // 'error' et 'close' peuvent se suivre: seule la première fin compte
+  let finished = false;
+  const finish = async (changes) => {
+    if (finished) return;
+    finished = true;
+    send({ exit: changes.exitCode });
+    clients.forEach(client => client.end());
+    server.close();
+    await new Promise(resolvePromise => log.end(resolvePromise));
+    await publish({ status: 'exited', pid: null, finishedAt: new Date().toISOString(), ...changes });
+    process.exit(0);
+  };
+  
+  // Les signaux d'arrêt reçus par le shim sont transmis au container (arrêt direct s'il n'est pas encore lancé)
+  ['SIGTERM', 'SIGINT', 'SIGHUP'].forEach(signal => process.on(signal, () => {
+    if (child) child.kill(signal);
+    else finish({ exitCode: 128 + os.constants.signals[signal] });
+  }));
+  
+  // run -i/-t au premier plan: le processus n'est lancé qu'une fois le client attaché, aucune sortie n'est perdue
+  if (spec.waitForAttach) {
+    await publish({});
+    await Promise.race([firstClient, new Promise(resolvePromise => setTimeout(resolvePromise, ATTACH_WAIT))]);
+    if (finished) return;
   }
+  
+  // Groupe de processus propre au container: tout ce qu'il a lancé peut être arrêté avec lui.
+  // stdin reste ouvert avec -i (alimenté par les attachements) et avec -t (le pty ne doit pas recevoir EOF)
+  child = spawn(file, argv, {
+    ...options,
+    env: envObject(spec.env),
+    detached: true,
+    stdio: [spec.interactive || spec.tty ? 'pipe' : 'ignore', 'pipe', 'pipe']
+  });
+  child.stdin?.on('error', () => {});
+  
+  captureOutput(child.stdout, 'stdout', log, relay('stdout'));
+  captureOutput(child.stderr, 'stderr', log, relay('stderr'));
+  
+  // Avec -t, le processus du container est l'enfant de script(1), dans le pty
+  child.on('spawn', async () => publish({ pid: spec.tty ? await ptyChild(child.pid) : child.pid }));
+  child.on('error', (error) => finish({ exitCode: error.code === 'ENOENT' ? 127 : 126, error: `exec ${spec.argv[0]}: ${error.message}` }));
+  // Fin du processus principal = fin du container: les processus restants (qui gardent stdout ouvert) sont tués
+  child.on('exit', (code, signal) => {
+    state.exitCode = code ?? 128 + (os.constants.signals[signal] || 0);
+    try {
+      process.kill(-child.pid, 'SIGKILL');
+    } catch {
+      // Groupe déjà vide
+    }
+  });
+  child.on('close', () => finish({ exitCode: state.exitCode }));
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // 🚀 MODULE RUNTIME - ESSENCES: GO + LINUX + RUST
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// Cycle de vie: created → running ⇄ paused → exited (⇄ restarting) → removing → (supprimé | dead)
+const CONTAINER_STATES = ['created', 'running', 'paused', 'restarting', 'exited', 'removing', 'dead'];
+
+// États depuis lesquels chaque action est permise, et état atteint
+const CONTAINER_LIFECYCLE = {
+  start: { from: ['created', 'exited', 'restarting'], to: 'running' },
+  stop: { from: ['running', 'paused', 'restarting'], to: 'exited' },
+  restart: { from: ['created', 'running', 'paused', 'restarting', 'exited'], to: 'running' },
+  kill: { from: ['running', 'paused'], to: null },
+  exec: { from: ['running'], to: null },
+  attach: { from: ['running'], to: null },
+  pause: { from: ['running'], to: 'paused' },
+  unpause: { from: ['paused'], to: 'running' },
+  remove: { from: ['created', 'exited', 'dead'], to: 'removing' }
+};
+
+// run --restart, appliqué par le superviseur du daemon
+const RESTART_POLICIES = ['no', 'on-failure', 'always', 'unless-stopped'];
+
+// Attente avant relance: doublée à chaque sortie, plafonnée; repart du minimum après 10 s de fonctionnement
+const RESTART_BACKOFF = { initial: 100, max: 60000, reset: 10000 };
+
+// no | on-failure[:N] | always | unless-stopped
+const parseRestartPolicy = (spec = 'no') => {
+  const [name, count, ...extra] = String(spec).split(':');
+  if (!RESTART_POLICIES.includes(name) || extra.length) {
+    throw new Error(`invalid restart policy "${spec}" (expected ${RESTART_POLICIES.join(', ')})`);
+  }
+  if (count !== undefined && (name !== 'on-failure' || !/^\d+$/.test(count))) {
+    throw new Error(`invalid restart policy "${spec}": only on-failure accepts a maximum retry count`);
+  }
+  return { name, maximumRetryCount: count ? parseInt(count, 10) : 0 };
+};
+
+// Signal par nom (KILL, SIGKILL) ou numéro, comme docker kill -s
+const parseSignal = (value) => {
+  const text = String(value).trim().toUpperCase();
+  const name = /^\d+$/.test(text)
+    ? Object.keys(os.constants.signals).find(signal => os.constants.signals[signal] === parseInt(text, 10))
+    : text.startsWith('SIG') ? text : `SIG${text}`;
+  
+  if (!name || !(name in os.constants.signals)) {
+    throw new Error(`Invalid signal: ${value}`);
+  }
+  return name;
+};
+
 class RuntimeModule extends DockerModule {
-  constructor() {
+  constructor(store = new StateStore()) {
     super('Runtime');
-    this.containers = new Map();
+    this.goEssence = go;
+    this.store = store;
     this.processes = new Map();
-    this.networks = new Map();
+    this.pending = new Map();
+    this.load();
+  }
+  
+  // Relu par le superviseur: les commandes du CLI modifient l'état depuis d'autres processus
+  load() {
+    const saved = this.store.load('containers', { containers: [] });
+    this.containers = new Map(this.applyPending(saved.containers).map(container => [container.id, rust.own(container)]));
+  }
+  
+  // Changements de ce processus pas encore écrits: champs modifiés, ou null pour une suppression
+  track(containerId, changes, created = false) {
+    const pending = this.pending.get(containerId);
+    if (changes === null) {
+      this.pending.set(containerId, null);
+    } else {
+      this.pending.set(containerId, { created: created || !!pending?.created, changes: { ...pending?.changes, ...changes } });
+    }
+  }
+  
+  // Un container supprimé par un autre processus n'est jamais recréé par une simple mise à jour
+  applyPending(containers, pending = this.pending) {
+    const merged = new Map(containers.map(container => [container.id, container]));
+    for (const [id, entry] of pending) {
+      if (entry === null) {
+        merged.delete(id);
+      } else if (merged.has(id) || entry.created) {
+        merged.set(id, { ...merged.get(id), ...entry.changes });
+      }
+    }
+    return Array.from(merged.values());
   }
   
   async _handleOperation(operation, data, options) {
@@ -620,20 +6241,50 @@ class RuntimeModule extends DockerModule {
       case 'run_container':
         return await this.runContainer(data.image, data.command, data.options);
         
+      case 'create_container':
+        return await this.createContainer(data.image, data.command, data.options);
+        
       case 'start_container':
         return await this.startContainer(data.containerId);
         
       case 'stop_container':
-        return await this.stopContainer(data.containerId);
+        return await this.stopContainer(data.containerId, data.options);
+        
+      case 'restart_container':
+        return await this.restartContainer(data.containerId, data.options);
+        
+      case 'kill_container':
+        return await this.killContainer(data.containerId, data.signal);
+        
+      case 'pause_container':
+        return await this.pauseContainer(data.containerId, true);
+        
+      case 'unpause_container':
+        return await this.pauseContainer(data.containerId, false);
+        
+      case 'remove_container':
+        return await this.removeContainer(data.containerId, data.options);
+        
+      case 'supervise_containers':
+        return await this.superviseContainers(data.options);
+        
+      case 'inspect_container':
+        return await this.inspectContainer(data.containerId);
         
       case 'list_containers':
         return await this.listContainers(data.all);
         
       case 'exec_container':
-        return await this.execInContainer(data.containerId, data.command);
+        return await this.execContainer(data.containerId, data.command, data.options);
         
       case 'logs_container':
-        return await this.getContainerLogs(data.containerId);
+        return await this.getContainerLogs(data.containerId, data.options);
+        
+      case 'wait_container':
+        return await this.waitContainer(data.containerId, data.options);
+        
+      case 'attach_container':
+        return await this.attachToContainer(data.containerId, data.options);
         
       default:
         throw new Error(`Unknown runtime operation: ${operation}`);
@@ -641,66 +6292,558 @@ class RuntimeModule extends DockerModule {
   }
   
   async runContainer(imageName, command, options = {}) {
+    const created = await this.createContainer(imageName, command, options);
+    if (created.isErr) return created;
+    
+    const { containerId } = created.value;
+    const started = await this.startContainer(containerId, { waitForAttach: !!options.attach });
+    if (started.isErr) return started;
+    
+    const container = this.containers.get(containerId).view();
+    return rust.result({
+      containerId,
+      status: container.status,
+      image: imageName,
+      command: container.command,
+      ports: container.ports,
+      pid: container.pid,
+      runtime: container.runtime
+    });
+  }
+  
+  // Container prêt à démarrer: rootfs en place, processus pas encore lancé
+  async createContainer(imageName, command, options = {}) {
     const containerId = this.generateContainerId();
+    const runtime = options.runtime || process.env.DOCKER_NEXUS_RUNTIME || (process.platform === 'linux' ? 'process' : 'simulated');
+    if (!CONTAINER_BACKENDS[runtime]) {
+      return rust.result(null, `Unknown container runtime "${runtime}" (available: ${Object.keys(CONTAINER_BACKENDS).join(', ')})`);
+    }
+    
+    let restartPolicy;
+    try {
+      restartPolicy = parseRestartPolicy(options.restart);
+    } catch (error) {
+      return rust.result(null, error.message);
+    }
     
-    console.log(chalk.blue(`🚀 Starting container ${containerId.substring(0, 12)} from ${imageName}`));
+    const imageConfig = options.imageConfig || {};
+    const argv = this.containerArgv(command, imageConfig);
     
     // Rust Essence: Ownership sécurisé
     const containerResource = rust.own({
       id: containerId,
+      name: `nexus_${containerId.substring(0, 8)}`,
       image: imageName,
-      command: command || '/bin/sh',
+      imageId: options.imageId || null,
+      command: argv.join(' '),
+      path: argv[0],
+      args: argv.slice(1),
+      runtime,
       status: 'created',
       created: new Date().toISOString(),
       ports: options.ports || [],
-      environment: options.env || [],
+      environment: this.containerEnv(containerId, imageConfig.Env, options.env),
+      workingDir: imageConfig.WorkingDir || '/',
+      user: options.user || null,
       volumes: options.volumes || [],
+      anonymousVolumes: options.anonymousVolumes || [],
       interactive: options.interactive || false,
       tty: options.tty || false,
-      detached: options.detached !== false,
+      detached: !!options.detached,
+      restartPolicy,
+      restartCount: 0,
+      manuallyStopped: false,
       pid: null,
-      exitCode: null,
-      logs: []
+      exitCode: null
     });
     
     const container = containerResource.borrow();
+    const directory = this.containerDirectory(containerId);
     
     try {
+      // Rootfs préparé par le module image: il devient la couche inscriptible du container
+      await fs.mkdir(directory, { recursive: true });
+      if (options.rootfs) {
+        await fs.rename(options.rootfs, containerFiles(directory).rootfs);
+      } else {
+        await fs.mkdir(containerFiles(directory).rootfs, { recursive: true });
+      }
+      
       // Go Essence: Démarrage concurrent des services
       const startupTasks = [
         () => this.setupContainerNetwork(containerId, options),
-        () => this.setupContainerVolumes(containerId, options),
-        () => this.startContainerProcess(container)
+        () => this.setupContainerVolumes(containerId, options)
       ];
       
-      const results = await this.goEssence.concurrent(startupTasks);
+      const [network] = await this.goEssence.concurrent(startupTasks);
+      
+      this.containers.set(containerId, rust.own({ ...container, network }));
+      this.track(containerId, this.containers.get(containerId).view(), true);
+      await this.persist();
+      
+      console.log(chalk.blue(`📦 Container ${containerId.substring(0, 12)} created from ${imageName}`));
+      return rust.result({ containerId, status: container.status, image: imageName, command: container.command, runtime });
+      
+    } catch (error) {
+      await fs.rm(directory, { recursive: true, force: true });
+      return rust.result(null, error.message);
+    }
+  }
+  
+  // supervised: relance par la politique de redémarrage; un start manuel remet les compteurs à zéro.
+  // waitForAttach: le processus attend le premier attachement (run -i/-t au premier plan)
+  async startContainer(reference, { supervised = false, waitForAttach = false } = {}) {
+    const container = await this.lifecycle(reference, 'start');
+    const directory = this.containerDirectory(container.id);
+    
+    console.log(chalk.blue(`🚀 Starting container ${container.id.substring(0, 12)} from ${container.image}`));
+    
+    const state = await new CONTAINER_BACKENDS[container.runtime]().start(container, directory, {
+      argv: [container.path, ...container.args],
+      env: container.environment,
+      cwd: container.workingDir,
+      user: container.user,
+      interactive: container.interactive,
+      tty: container.tty,
+      waitForAttach
+    });
+    const started = await this.update(container.id, {
+      ...this.stateChanges(state),
+      finished: state.finishedAt || null,
+      error: state.error || null,
+      restartAt: null,
+      ...(supervised
+        ? { restartCount: (container.restartCount || 0) + 1 }
+        : { restartCount: 0, restartDelay: null, manuallyStopped: false })
+    });
+    
+    if (state.error) {
+      return rust.result(null, `failed to start container ${container.id.substring(0, 12)}: ${state.error}`);
+    }
+    
+    console.log(chalk.green(`✅ Container ${container.id.substring(0, 12)} started${started.detached ? ' in background' : ''}${started.pid ? ` (pid ${started.pid})` : ''}`));
+    return rust.result({ containerId: container.id, status: started.status, pid: started.pid });
+  }
+  
+  // SIGTERM puis SIGKILL passé le délai de grâce, comme docker stop -t
+  async stopContainer(reference, { timeout = 10 } = {}) {
+    const container = await this.lifecycle(reference, 'stop');
+    const backend = new CONTAINER_BACKENDS[container.runtime]();
+    const directory = this.containerDirectory(container.id);
+    
+    // Arrêt manuel enregistré avant le signal: le superviseur ne doit pas relancer le container
+    await this.update(container.id, { manuallyStopped: true });
+    if (container.status === 'restarting') {
+      await this.update(container.id, { status: 'exited', restartAt: null });
+      console.log(chalk.green(`✅ Container ${container.id.substring(0, 12)} will not be restarted`));
+      return rust.result({ containerId: container.id, status: 'exited', exitCode: container.exitCode });
+    }
+    
+    console.log(chalk.yellow(`🛑 Stopping container ${container.id.substring(0, 12)}...`));
+    
+    await this.deliver(container, 'SIGTERM');
+    // Un processus suspendu ne traite SIGTERM qu'une fois relancé
+    if (container.status === 'paused') await backend.signal(container, directory, 'SIGCONT');
+    
+    let stopped = await this.waitContainer(container.id, { timeout: timeout * 1000 });
+    if (stopped.value.status !== 'exited') {
+      console.log(chalk.yellow(`⏱️  Container ${container.id.substring(0, 12)} did not exit within ${timeout}s, sending SIGKILL`));
+      await this.deliver(container, 'SIGKILL');
+      stopped = await this.waitContainer(container.id, { timeout: 10000 });
+    }
+    if (stopped.value.status !== 'exited') {
+      return rust.result(null, `container ${container.id.substring(0, 12)} did not stop`);
+    }
+    
+    console.log(chalk.green(`✅ Container ${container.id.substring(0, 12)} stopped (exit code ${stopped.value.exitCode})`));
+    return rust.result({ containerId: container.id, status: 'exited', exitCode: stopped.value.exitCode });
+  }
+  
+  async restartContainer(reference, { timeout = 10 } = {}) {
+    const container = await this.lifecycle(reference, 'restart');
+    
+    if (CONTAINER_LIFECYCLE.stop.from.includes(container.status)) {
+      const stopped = await this.stopContainer(container.id, { timeout });
+      if (stopped.isErr) return stopped;
+    }
+    return this.startContainer(container.id);
+  }
+  
+  async killContainer(reference, signal = 'SIGKILL') {
+    const name = parseSignal(signal);
+    const container = await this.lifecycle(reference, 'kill');
+    
+    // Signal d'arrêt explicite = arrêt manuel; un signal de rechargement (HUP, USR1) ne l'est pas
+    if (['SIGKILL', 'SIGTERM', 'SIGINT'].includes(name)) {
+      await this.update(container.id, { manuallyStopped: true });
+    }
+    await this.deliver(container, name);
+    if (container.status === 'paused' && name !== 'SIGKILL') {
+      await new CONTAINER_BACKENDS[container.runtime]().signal(container, this.containerDirectory(container.id), 'SIGCONT');
+      await this.update(container.id, { status: 'running' });
+    }
+    
+    console.log(chalk.yellow(`⚡ Sent ${name} to container ${container.id.substring(0, 12)}`));
+    return rust.result({ containerId: container.id, signal: name });
+  }
+  
+  // SIGSTOP/SIGCONT: le processus reste en mémoire mais n'est plus ordonnancé
+  async pauseContainer(reference, pause) {
+    const container = await this.lifecycle(reference, pause ? 'pause' : 'unpause');
+    
+    await this.deliver(container, pause ? 'SIGSTOP' : 'SIGCONT');
+    await this.update(container.id, { status: pause ? 'paused' : 'running' });
+    
+    console.log(chalk.yellow(`${pause ? '⏸️  Paused' : '▶️  Unpaused'} container ${container.id.substring(0, 12)}`));
+    return rust.result({ containerId: container.id, status: pause ? 'paused' : 'running' });
+  }
+  
+  // Instance d'exec: ID propre, sortie relayée et journalisée, code de sortie gardé dans l'enregistrement du container
+  async execContainer(reference, command, { interactive = false, tty = false, env = [], workdir = null, user = null } = {}) {
+    const container = await this.lifecycle(reference, 'exec');
+    const backend = new CONTAINER_BACKENDS[container.runtime]();
+    const directory = this.containerDirectory(container.id);
+    const execId = this.generateContainerId();
+    
+    // -u nom[:groupe]: résolu dans le /etc/passwd et /etc/group du container
+    const spec = {
+      argv: command,
+      env: this.containerEnv(container.id, container.environment, env),
+      cwd: workdir || container.workingDir || '/',
+      user: user ? await layerfs.resolveUser(user, containerFiles(directory).rootfs) : container.user
+    };
+    const child = await backend.exec(container, directory, spec, { interactive, tty });
+    const exited = new Promise(resolvePromise => {
+      child.on('error', error => resolvePromise({ exitCode: error.code === 'ENOENT' ? 127 : 126, error: error.message }));
+      child.on('close', (code, signal) => resolvePromise({ exitCode: code ?? 128 + (os.constants.signals[signal] || 0) }));
+    });
+    
+    const logPath = join(directory, 'execs', `${execId}.log`);
+    await fs.mkdir(dirname(logPath), { recursive: true });
+    const log = createWriteStream(logPath, { flags: 'a' });
+    captureOutput(child.stdout, 'stdout', log, process.stdout);
+    captureOutput(child.stderr, 'stderr', log, process.stderr);
+    
+    const instance = {
+      id: execId,
+      command,
+      user: spec.user,
+      workingDir: spec.cwd,
+      interactive,
+      tty,
+      pid: child.pid,
+      running: true,
+      exitCode: null,
+      started: new Date().toISOString(),
+      finished: null,
+      logPath
+    };
+    await this.update(container.id, { execs: [...(container.execs || []), instance] });
+    
+    // Comme Docker: l'exec ne survit pas à l'arrêt du container
+    const watcher = setInterval(async () => {
+      const state = await backend.status(container, directory).catch(() => null);
+      if (state?.status === 'exited') child.kill('SIGKILL');
+    }, 500);
+    
+    const { exitCode, error } = await exited;
+    clearInterval(watcher);
+    await new Promise(resolvePromise => log.end(resolvePromise));
+    
+    // L'enregistrement a pu changer pendant l'exec (stop, autre exec): relu avant la mise à jour
+    this.load();
+    const current = this.containers.get(container.id)?.view();
+    if (current) {
+      await this.update(container.id, {
+        execs: (current.execs || []).map(entry => entry.id === execId
+          ? { ...entry, running: false, exitCode, error: error || null, finished: new Date().toISOString() }
+          : entry)
+      });
+    }
+    
+    return rust.result({ execId, containerId: container.id, exitCode, error: error || null });
+  }
+  
+  // Flux réels du processus principal; stdin n'est relié que si le container a été créé avec -i.
+  // Détaché: le container continue; sinon le code de sortie est celui enregistré par le shim
+  async attachToContainer(reference, { stdin = true, detachKeys = process.env.DOCKER_NEXUS_DETACH_KEYS || DEFAULT_DETACH_KEYS } = {}) {
+    const container = await this.lifecycle(reference, 'attach');
+    const backend = new CONTAINER_BACKENDS[container.runtime]();
+    
+    const outcome = await backend.attach(container, this.containerDirectory(container.id), {
+      stdin: stdin && container.interactive,
+      tty: container.tty,
+      detachKeys
+    });
+    if (outcome.detached) {
+      return rust.result({ containerId: container.id, detached: true, status: 'running' });
+    }
+    
+    const exited = await this.waitContainer(container.id, { timeout: 10000 });
+    return rust.result({
+      containerId: container.id,
+      detached: false,
+      status: exited.value.status,
+      exitCode: exited.value.exitCode ?? outcome.exitCode
+    });
+  }
+  
+  // force: le container en cours d'exécution est tué avant d'être supprimé
+  async removeContainer(reference, { force = false } = {}) {
+    let container = this.findContainer(reference).view();
+    await this.refresh();
+    container = this.containers.get(container.id).view();
+    
+    if (['running', 'paused', 'restarting'].includes(container.status) && !force) {
+      return rust.result(null, `You cannot remove a ${container.status} container ${container.id.substring(0, 12)}. Stop the container before attempting removal or force remove`);
+    }
+    if (container.status === 'restarting') {
+      await this.update(container.id, { status: 'exited', restartAt: null });
+    } else if (CONTAINER_LIFECYCLE.kill.from.includes(container.status)) {
+      await this.update(container.id, { manuallyStopped: true });
+      await this.deliver(container, 'SIGKILL');
+      const killed = await this.waitContainer(container.id, { timeout: 10000 });
+      if (killed.value.status !== 'exited') {
+        return rust.result(null, `could not kill running container ${container.id.substring(0, 12)}, cannot remove`);
+      }
+    }
+    
+    container = await this.lifecycle(container.id, 'remove');
+    try {
+      await fs.rm(this.containerDirectory(container.id), { recursive: true, force: true });
+    } catch (error) {
+      await this.update(container.id, { status: 'dead', error: `removal failed: ${error.message}` });
+      return rust.result(null, `container ${container.id.substring(0, 12)} is marked dead: ${error.message}`);
+    }
+    
+    this.containers.delete(container.id);
+    this.track(container.id, null);
+    await this.persist();
+    
+    console.log(chalk.green(`🗑️  Container ${container.id.substring(0, 12)} removed`));
+    return rust.result({ containerId: container.id, volumes: container.anonymousVolumes || [] });
+  }
+  
+  // ENTRYPOINT + (commande donnée ou CMD de l'image); une commande en chaîne est découpée en mots
+  containerArgv(command, imageConfig) {
+    const words = Array.isArray(command)
+      ? command
+      : command ? dockerfileParser.shellWords(command).map(word => word.value) : null;
+    const argv = [...(imageConfig.Entrypoint || []), ...(words?.length ? words : imageConfig.Cmd || [])];
+    
+    return argv.length ? argv : ['/bin/sh'];
+  }
+  
+  // Env de l'image puis -e (KEY=VALUE, ou KEY repris de l'environnement du client); PATH par défaut comme Docker
+  containerEnv(containerId, imageEnv = [], overrides = []) {
+    const env = new Map();
+    env.set('PATH', '/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin');
+    env.set('HOSTNAME', containerId.substring(0, 12));
+    
+    for (const entry of imageEnv || []) {
+      const equals = entry.indexOf('=');
+      if (equals > 0) env.set(entry.substring(0, equals), entry.substring(equals + 1));
+    }
+    for (const entry of overrides) {
+      const equals = entry.indexOf('=');
+      if (equals > 0) env.set(entry.substring(0, equals), entry.substring(equals + 1));
+      else if (entry in process.env) env.set(entry, process.env[entry]);
+    }
+    
+    return Array.from(env.entries()).map(([key, value]) => `${key}=${value}`);
+  }
+  
+  containerDirectory(containerId) {
+    return this.store.path('containers', containerId);
+  }
+  
+  // ID complet, préfixe non ambigu ou nom
+  findContainer(reference) {
+    if (this.containers.has(reference)) return this.containers.get(reference);
+    
+    const matches = Array.from(this.containers.values())
+      .filter(resource => resource.view().id.startsWith(reference) || resource.view().name === reference);
+    if (matches.length > 1) {
+      throw new Error(`Multiple containers match "${reference}"`);
+    }
+    if (matches.length === 0) {
+      throw new Error(`No such container: ${reference}`);
+    }
+    return matches[0];
+  }
+  
+  // Superviseur (daemon): les containers sortis sont relancés selon leur politique, après un délai croissant
+  async superviseContainers({ boot = false } = {}) {
+    this.load();
+    await this.refresh();
+    const restarted = [];
+    
+    for (const resource of Array.from(this.containers.values())) {
+      let container = resource.view();
+      if (!['exited', 'restarting'].includes(container.status)) continue;
+      
+      // Démarrage du daemon: always ignore un arrêt manuel, unless-stopped le respecte
+      if (boot && container.restartPolicy?.name === 'always' && container.manuallyStopped) {
+        container = await this.update(container.id, { manuallyStopped: false });
+      }
+      if (!this.shouldRestart(container)) continue;
+      
+      if (container.status === 'exited') {
+        const delay = boot ? 0 : this.restartDelay(container);
+        container = await this.update(container.id, {
+          status: 'restarting',
+          restartDelay: delay || container.restartDelay || null,
+          restartAt: new Date(Date.now() + delay).toISOString()
+        });
+        console.log(chalk.yellow(`🔁 Container ${container.id.substring(0, 12)} exited with code ${container.exitCode}, restarting in ${delay}ms (policy ${container.restartPolicy.name})`));
+      }
       
-      container.status = 'running';
-      container.started = new Date().toISOString();
+      if (Date.parse(container.restartAt) <= Date.now()) {
+        try {
+          const started = await this.startContainer(container.id, { supervised: true });
+          if (started.isOk) restarted.push(container.id);
+        } catch (error) {
+          console.error(chalk.red(`❌ Restart of ${container.id.substring(0, 12)} failed: ${error.message}`));
+        }
+      }
+    }
+    
+    // Prochaine relance due: le daemon règle son intervalle dessus
+    const due = Array.from(this.containers.values())
+      .map(resource => resource.view())
+      .filter(container => container.status === 'restarting')
+      .map(container => Math.max(Date.parse(container.restartAt) - Date.now(), 0));
+    
+    return rust.result({ restarted, next: due.length ? Math.min(...due) : null });
+  }
+  
+  shouldRestart(container) {
+    const { name, maximumRetryCount } = container.restartPolicy || { name: 'no' };
+    if (container.manuallyStopped) return false;
+    
+    switch (name) {
+      case 'always':
+      case 'unless-stopped':
+        return true;
+      case 'on-failure':
+        return container.exitCode !== 0 && (!maximumRetryCount || (container.restartCount || 0) < maximumRetryCount);
+      default:
+        return false;
+    }
+  }
+  
+  restartDelay(container) {
+    const ran = Date.parse(container.finished) - Date.parse(container.started);
+    if (!container.restartDelay || ran >= RESTART_BACKOFF.reset) return RESTART_BACKOFF.initial;
+    return Math.min(container.restartDelay * 2, RESTART_BACKOFF.max);
+  }
+  
+  // Transition validée: état courant relu, action refusée hors des états permis, état cible enregistré
+  async lifecycle(reference, action) {
+    const { id } = this.findContainer(reference).view();
+    await this.refresh();
+    
+    const container = this.containers.get(id).view();
+    const { from, to } = CONTAINER_LIFECYCLE[action];
+    if (!from.includes(container.status)) {
+      throw new Error(`Cannot ${action} container ${id.substring(0, 12)}: container is ${container.status} (${action} requires ${from.join(' or ')})`);
+    }
+    
+    // Seul removing est posé ici: les autres états viennent du backend (start, stop, kill) ou de l'appelant (pause)
+    if (to === 'removing') await this.update(id, { status: to });
+    return container;
+  }
+  
+  async deliver(container, signal) {
+    const state = await new CONTAINER_BACKENDS[container.runtime]().signal(container, this.containerDirectory(container.id), signal);
+    if (state) await this.update(container.id, this.stateChanges(state));
+  }
+  
+  // Nouvel enregistrement possédé plutôt qu'un second emprunt mutable
+  async update(containerId, changes) {
+    const container = { ...this.containers.get(containerId).view(), ...changes };
+    if (!CONTAINER_STATES.includes(container.status)) {
+      throw new Error(`Invalid container state: ${container.status}`);
+    }
+    
+    this.containers.set(containerId, rust.own(container));
+    this.track(containerId, changes);
+    await this.persist();
+    return container;
+  }
+  
+  stateChanges(state) {
+    const changes = { status: state.status, pid: state.pid, exitCode: state.exitCode ?? null };
+    if (state.startedAt) changes.started = state.startedAt;
+    if (state.finishedAt) changes.finished = state.finishedAt;
+    if (state.error) changes.error = state.error;
+    return changes;
+  }
+  
+  // L'état réel vient du shim: relu avant chaque lecture ou transition
+  async refresh() {
+    for (const resource of Array.from(this.containers.values())) {
+      const container = resource.view();
+      if (!['running', 'paused', 'restarting'].includes(container.status) || !CONTAINER_BACKENDS[container.runtime]) continue;
       
-      this.containers.set(containerId, containerResource);
+      // restarting: un superviseur interrompu a pu lancer le processus sans l'enregistrer
+      const state = await new CONTAINER_BACKENDS[container.runtime]().status(container, this.containerDirectory(container.id));
+      if (container.status === 'restarting' ? state?.status === 'running' : state?.status === 'exited') {
+        await this.update(container.id, { ...this.stateChanges(state), restartAt: null });
+      }
+    }
+  }
+  
+  async readLogs(containerId) {
+    const content = await fs.readFile(containerFiles(this.containerDirectory(containerId)).log, 'utf8').catch(() => '');
+    return content.split('\n').filter(Boolean).map(line => {
+      try {
+        const { time, stream, log } = JSON.parse(line);
+        return { timestamp: time, stream, message: log.replace(/\n$/, '') };
+      } catch {
+        return null;
+      }
+    }).filter(Boolean);
+  }
+  
+  // Attend la fin du container; follow: relaie ses logs sur la sortie standard en attendant
+  async waitContainer(reference, { follow = false, skip = 0, timestamps = false, timeout = null } = {}) {
+    const { id } = this.findContainer(reference).view();
+    const deadline = timeout !== null ? Date.now() + timeout : Infinity;
+    let shown = skip;
+    
+    while (true) {
+      await this.refresh();
+      const container = this.containers.get(id).view();
       
-      if (options.interactive) {
-        console.log(chalk.green(`📱 Container ${containerId.substring(0, 12)} started interactively`));
-        await this.attachToContainer(containerId);
-      } else {
-        console.log(chalk.green(`✅ Container ${containerId.substring(0, 12)} started in background`));
+      if (follow) {
+        const logs = await this.readLogs(id);
+        logs.slice(shown).forEach(entry => {
+          const line = timestamps ? `${entry.timestamp} ${entry.message}` : entry.message;
+          (entry.stream === 'stderr' ? process.stderr : process.stdout).write(`${line}\n`);
+        });
+        shown = logs.length;
       }
-      
-      return rust.result({
-        containerId,
-        status: 'running',
-        image: imageName,
-        command: container.command,
-        ports: container.ports
-      });
-      
+      if (!['running', 'paused'].includes(container.status) || container.runtime === 'simulated' || Date.now() >= deadline) {
+        return rust.result({ containerId: id, status: container.status, exitCode: container.exitCode, error: container.error || null });
+      }
+      await new Promise(resolvePromise => setTimeout(resolvePromise, 100));
+    }
+  }
+  
+  // Fusion avec l'état stocké: seuls les changements de ce processus y sont appliqués
+  async persist() {
+    const pending = this.pending;
+    this.pending = new Map();
+    
+    try {
+      await this.store.update('containers', { containers: [] }, saved => ({ containers: this.applyPending(saved.containers, pending) }));
     } catch (error) {
-      container.status = 'failed';
-      container.error = error.message;
-      
-      return rust.result(null, error.message);
+      for (const [id, entry] of this.pending) pending.set(id, entry);
+      this.pending = pending;
+      throw error;
     }
+    this.load();
   }
   
   generateContainerId() {
@@ -708,16 +6851,12 @@ class RuntimeModule extends DockerModule {
   }
   
   async setupContainerNetwork(containerId, options) {
-    // Simulation du réseau
-    const network = {
-      containerId,
+    // Simulation du réseau: enregistrée avec le container, les réseaux restent au module réseau
+    return {
       bridge: 'docker-nexus0',
       ip: `172.17.0.${Math.floor(Math.random() * 254) + 2}`,
       ports: options.ports || []
     };
-    
-    this.networks.set(containerId, network);
-    return network;
   }
   
   async setupContainerVolumes(containerId, options) {
@@ -730,101 +6869,11 @@ class RuntimeModule extends DockerModule {
     return volumes;
   }
   
-  async startContainerProcess(container) {
-    // Simulation du processus
-    const mockProcess = {
-      pid: Math.floor(Math.random() * 30000) + 1000,
-      command: container.command,
-      started: Date.now(),
-      status: 'running'
-    };
-    
-    container.pid = mockProcess.pid;
-    this.processes.set(container.id, mockProcess);
-    
-    // Simulation des logs
-    this.simulateContainerLogs(container);
-    
-    return mockProcess;
-  }
-  
-  simulateContainerLogs(container) {
-    const logMessages = [
-      'Container initialization complete',
-      'Starting application...',
-      'Application is ready to accept connections',
-      'Listening on port 8080'
-    ];
-    
-    logMessages.forEach((message, index) => {
-      setTimeout(() => {
-        const logEntry = {
-          timestamp: new Date().toISOString(),
-          stream: 'stdout',
-          message
-        };
-        container.logs.push(logEntry);
-      }, (index + 1) * 1000);
-    });
-  }
-  
-  async attachToContainer(containerId) {
-    const container = this.containers.get(containerId);
-    if (!container) {
-      throw new Error(`Container ${containerId} not found`);
-    }
-    
-    console.log(chalk.cyan('🔗 Attaching to container... (Press Ctrl+C to detach)'));
-    console.log(chalk.gray('Container shell simulation - type "exit" to quit'));
-    
-    // Simulation d'interaction
-    const readline = await import('readline');
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout,
-      prompt: chalk.green('container@' + containerId.substring(0, 12) + ':~$ ')
-    });
-    
-    rl.prompt();
-    
-    rl.on('line', (line) => {
-      const command = line.trim();
-      
-      if (command === 'exit') {
-        console.log(chalk.yellow('🚪 Exiting container...'));
-        rl.close();
-        return;
-      }
-      
-      // Simulation de commandes
-      switch (command) {
-        case 'ps':
-          console.log('PID   COMMAND');
-          console.log('1     /bin/sh');
-          break;
-        case 'ls':
-          console.log('bin  etc  home  tmp  usr  var');
-          break;
-        case 'pwd':
-          console.log('/');
-          break;
-        default:
-          if (command) {
-            console.log(`${command}: command not found (simulation)`);
-          }
-      }
-      
-      rl.prompt();
-    });
-    
-    rl.on('close', () => {
-      console.log(chalk.yellow('🔌 Detached from container'));
-    });
-  }
-  
   async listContainers(showAll = false) {
+    await this.refresh();
+    
     const containers = Array.from(this.containers.values()).map(containerResource => {
-      const container = containerResource.borrow();
+      const container = containerResource.view();
       
       return {
         containerId: container.id.substring(0, 12),
@@ -832,37 +6881,117 @@ class RuntimeModule extends DockerModule {
         command: container.command,
         created: container.created,
         status: container.status,
+        exitCode: container.exitCode,
+        finished: container.finished || null,
+        restartCount: container.restartCount || 0,
+        pid: container.pid,
         ports: container.ports,
-        names: [`nexus_${container.id.substring(0, 8)}`]
+        names: [container.name || `nexus_${container.id.substring(0, 8)}`]
       };
     });
     
-    const filtered = showAll ? containers : containers.filter(c => c.status === 'running');
+    const filtered = showAll ? containers : containers.filter(c => ['running', 'paused', 'restarting'].includes(c.status));
     
     return rust.result(filtered);
   }
   
-  async getContainerLogs(containerId) {
-    const container = this.containers.get(containerId);
-    if (!container) {
-      return rust.result(null, 'Container not found');
-    }
+  // Format de docker container inspect
+  async inspectContainer(reference) {
+    const { id } = this.findContainer(reference).view();
+    await this.refresh();
+    const container = this.containers.get(id).view();
+    const policy = container.restartPolicy || { name: 'no', maximumRetryCount: 0 };
     
-    const containerData = container.borrow();
     return rust.result({
-      containerId,
-      logs: containerData.logs
+      Id: container.id,
+      Name: `/${container.name || `nexus_${container.id.substring(0, 8)}`}`,
+      Created: container.created,
+      Path: container.path,
+      Args: container.args || [],
+      State: {
+        Status: container.status,
+        Running: container.status === 'running' || container.status === 'paused',
+        Paused: container.status === 'paused',
+        Restarting: container.status === 'restarting',
+        Dead: container.status === 'dead',
+        Pid: container.pid || 0,
+        ExitCode: container.exitCode ?? 0,
+        Error: container.error || '',
+        StartedAt: container.started || null,
+        FinishedAt: container.finished || null
+      },
+      Image: container.imageId ? `sha256:${container.imageId}` : container.image,
+      RestartCount: container.restartCount || 0,
+      // Un exec dont le processus client a disparu n'est plus en cours
+      ExecIDs: (container.execs || []).filter(exec => exec.running && processAlive(exec.pid)).map(exec => exec.id),
+      Execs: (container.execs || []).map(exec => ({
+        ID: exec.id,
+        Running: exec.running && processAlive(exec.pid),
+        ExitCode: exec.exitCode,
+        Pid: exec.pid,
+        ProcessConfig: {
+          entrypoint: exec.command[0],
+          arguments: exec.command.slice(1),
+          user: exec.user ? `${exec.user.uid}:${exec.user.gid}` : '',
+          tty: exec.tty
+        },
+        OpenStdin: exec.interactive,
+        WorkingDir: exec.workingDir,
+        StartedAt: exec.started,
+        FinishedAt: exec.finished,
+        LogPath: exec.logPath
+      })),
+      Config: {
+        Hostname: container.id.substring(0, 12),
+        User: container.user ? `${container.user.uid}:${container.user.gid}` : '',
+        Tty: container.tty,
+        OpenStdin: container.interactive,
+        Env: container.environment || [],
+        Cmd: [container.path, ...(container.args || [])],
+        Image: container.image,
+        WorkingDir: container.workingDir || '/'
+      },
+      HostConfig: {
+        Runtime: container.runtime,
+        RestartPolicy: { Name: policy.name, MaximumRetryCount: policy.maximumRetryCount },
+        PortBindings: container.ports || [],
+        Binds: container.volumes || []
+      }
+    });
+  }
+  
+  async getContainerLogs(reference, { tail = null } = {}) {
+    const { id } = this.findContainer(reference).view();
+    await this.refresh();
+    
+    // Anciens enregistrements: logs gardés dans l'état
+    const recorded = await this.readLogs(id);
+    const logs = [...(this.containers.get(id).view().logs || []), ...recorded];
+    return rust.result({
+      containerId: id,
+      logs: tail !== null ? logs.slice(Math.max(logs.length - tail, 0)) : logs,
+      position: recorded.length
     });
   }
   
   getCapabilities() {
     return [
       'run_container',
+      'create_container',
       'start_container',
       'stop_container',
+      'restart_container',
+      'kill_container',
+      'pause_container',
+      'unpause_container',
+      'remove_container',
+      'supervise_containers',
+      'inspect_container',
       'list_containers',
       'exec_container',
-      'logs_container'
+      'logs_container',
+      'wait_container',
+      'attach_container'
     ];
   }
 }
@@ -872,14 +7001,22 @@ class RuntimeModule extends DockerModule {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 class NetworkModule extends DockerModule {
-  constructor() {
+  constructor(store = new StateStore()) {
     super('Network');
+    this.store = store;
     this.networks = new Map();
     this.bridges = new Map();
     this.portMappings = new Map();
     
+    const saved = this.store.load('networks', []);
+    saved.forEach(([key, network]) => {
+      this.networks.set(key, { ...network, containers: new Set(network.containers) });
+    });
+    
     // Default bridge network
-    this.createDefaultBridge();
+    if (!this.networks.has('bridge')) {
+      this.createDefaultBridge();
+    }
   }
   
   createDefaultBridge() {
@@ -933,6 +7070,7 @@ class NetworkModule extends DockerModule {
     };
     
     this.networks.set(name, network);
+    await this.persist(name);
     
     console.log(chalk.green(`🌐 Network ${name} created`));
     
@@ -944,6 +7082,19 @@ class NetworkModule extends DockerModule {
     });
   }
   
+  // Fusion avec l'état stocké: seuls les réseaux modifiés par ce processus sont réécrits
+  async persist(...names) {
+    const saved = await this.store.update('networks', [], entries => {
+      const merged = new Map(entries);
+      names.forEach(name => merged.set(name, { ...this.networks.get(name), containers: Array.from(this.networks.get(name).containers) }));
+      return Array.from(merged.entries());
+    });
+    
+    saved.forEach(([key, network]) => {
+      this.networks.set(key, { ...network, containers: new Set(network.containers) });
+    });
+  }
+  
   generateSubnet() {
     const thirdOctet = Math.floor(Math.random() * 255);
     return `172.${thirdOctet}.0.0/16`;
@@ -984,9 +7135,10 @@ class NetworkModule extends DockerModule {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 class StorageModule extends DockerModule {
-  constructor() {
+  constructor(store = new StateStore()) {
     super('Storage');
-    this.volumes = new Map();
+    this.store = store;
+    this.volumes = new Map(this.store.load('volumes', []));
     this.mounts = new Map();
     this.storageDriver = 'overlay2'; // Simulation
   }
@@ -1015,7 +7167,7 @@ class StorageModule extends DockerModule {
       return rust.result(null, `Volume ${name} already exists`);
     }
     
-    const volumePath = join(os.tmpdir(), 'docker-nexus', 'volumes', name);
+    const volumePath = this.store.path('volumes', name);
     
     try {
       await fs.mkdir(volumePath, { recursive: true });
@@ -1030,6 +7182,7 @@ class StorageModule extends DockerModule {
       };
       
       this.volumes.set(name, volume);
+      await this.persist();
       
       console.log(chalk.green(`💾 Volume ${name} created`));
       
@@ -1045,6 +7198,24 @@ class StorageModule extends DockerModule {
     }
   }
   
+  async removeVolume(name) {
+    const volume = this.volumes.get(name);
+    if (!volume) {
+      return rust.result(null, `No such volume: ${name}`);
+    }
+    
+    await fs.rm(volume.mountpoint, { recursive: true, force: true });
+    this.volumes.delete(name);
+    await this.persist();
+    
+    console.log(chalk.green(`🗑️  Volume ${name.substring(0, 12)} removed`));
+    return rust.result({ name });
+  }
+  
+  async persist() {
+    return this.store.save('volumes', Array.from(this.volumes.entries()));
+  }
+  
   async listVolumes() {
     const volumes = Array.from(this.volumes.values()).map(volume => ({
       name: volume.name,
@@ -1070,18 +7241,31 @@ class StorageModule extends DockerModule {
 // 🌐 MODULE WEB SERVER - POUR RENDER DEPLOYMENT
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// Adresse d'écoute joignable depuis la machine seulement
+function loopbackAddress(host) {
+  return host === 'localhost' || host === '::1' || /^(::ffff:)?127\./.test(host);
+}
+
 class WebServerModule extends DockerModule {
-  constructor() {
+  constructor(store = new StateStore()) {
     super('WebServer');
     this.server = null;
     this.port = process.env.PORT || 3000;
     this.host = process.env.DOCKER_NEXUS_HOST || '0.0.0.0';
+    
+    // Registry OCI Distribution: même blob store que les images locales
+    this.store = store;
+    this.blobs = new BlobStore(store);
+    this.registry = this.store.load('registry', { repositories: {} });
+    this.uploads = new Map();
+    // Écritures (push, suppression): Basic user:password si configuré, sinon serveur en écoute sur loopback uniquement
+    this.registryAuth = process.env.DOCKER_NEXUS_REGISTRY_AUTH || null;
   }
   
   async _handleOperation(operation, data, options) {
     switch (operation) {
       case 'start_server':
-        return await this.startWebServer();
+        return await this.startWebServer(data);
         
       case 'stop_server':
         return await this.stopWebServer();
@@ -1094,12 +7278,23 @@ class WebServerModule extends DockerModule {
     }
   }
   
-  async startWebServer() {
+  async startWebServer({ port = this.port, host = this.host, auth = this.registryAuth } = {}) {
     const { createServer } = await import('http');
-    const { parse } = await import('url');
-    
-    this.server = createServer(async (req, res) => {
-      await this.handleRequest(req, res);
+    this.port = port;
+    this.host = host;
+    this.registryAuth = auth;
+    
+    // Une requête qui échoue (client parti en cours de réponse) ne doit pas arrêter le serveur
+    this.server = createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error(chalk.red(`Request Error: ${error.message}`));
+        if (res.headersSent) {
+          res.destroy();
+        } else {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: error.message }));
+        }
+      });
     });
     
     return new Promise((resolve, reject) => {
@@ -1119,9 +7314,25 @@ class WebServerModule extends DockerModule {
     });
   }
   
+  async stopWebServer() {
+    if (!this.server) return { status: 'stopped' };
+    
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+    await this.store.flush();
+    
+    return { status: 'stopped' };
+  }
+  
   async handleRequest(req, res) {
+    const { parse } = await import('url');
     const { pathname, query } = parse(req.url, true);
     
+    // API registry v2: réponses et erreurs au format OCI Distribution
+    if (pathname === '/v2' || pathname.startsWith('/v2/')) {
+      return this.handleRegistry(req, res, pathname, query);
+    }
+    
     try {
       // CORS headers for web interface
       res.setHeader('Access-Control-Allow-Origin', '*');
@@ -1160,6 +7371,10 @@ class WebServerModule extends DockerModule {
           await this.handleSystemAPI(req, res);
           break;
           
+        case '/api/scan':
+          await this.handleScanAPI(req, res, query);
+          break;
+          
         case '/health':
           await this.handleHealthCheck(req, res);
           break;
@@ -1466,6 +7681,28 @@ class WebServerModule extends DockerModule {
     res.end(JSON.stringify(result));
   }
   
+  // GET /api/scan?image=<ref>[&severity=HIGH,CRITICAL][&platform=linux/arm64]
+  async handleScanAPI(req, res, query) {
+    if (!query.image) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing image parameter' }));
+      return;
+    }
+    if (!global.dockerEngine) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Engine not available' }));
+      return;
+    }
+    
+    const result = await global.dockerEngine.scanImage(query.image, {
+      severity: query.severity ? query.severity.split(',') : null,
+      platform: query.platform ? ociPlatform.parse(query.platform) : null
+    });
+    
+    res.writeHead(result.success ? 200 : 400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  }
+  
   async handleHealthCheck(req, res) {
     const health = {
       status: 'healthy',
@@ -1479,6 +7716,395 @@ class WebServerModule extends DockerModule {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(health));
   }
+
+  // ═══ Registry OCI Distribution (v2) ═══
+  
+  async handleRegistry(req, res, pathname, query) {
+    res.setHeader('Docker-Distribution-API-Version', 'registry/2.0');
+    const { method } = req;
+    const read = method === 'GET' || method === 'HEAD';
+    let match;
+    
+    try {
+      if (!read) this.authorizeRegistryWrite(req);
+      
+      if (pathname === '/v2' || pathname === '/v2/') {
+        if (!read) throw this.registryError(405, 'UNSUPPORTED', `${method} not supported`);
+        return this.registryReply(res, 200, {});
+      }
+      
+      if (pathname === '/v2/_catalog') {
+        if (!read) throw this.registryError(405, 'UNSUPPORTED', `${method} not supported`);
+        const { items, link } = this.paginate(Object.keys(this.registry.repositories), query, '/v2/_catalog');
+        return this.registryReply(res, 200, { repositories: items }, link ? { Link: link } : {});
+      }
+      
+      if ((match = pathname.match(/^\/v2\/(.+)\/tags\/list$/))) {
+        if (!read) throw this.registryError(405, 'UNSUPPORTED', `${method} not supported`);
+        const name = match[1];
+        const repository = this.registryRepository(name);
+        const { items, link } = this.paginate(Object.keys(repository.tags), query, `/v2/${name}/tags/list`);
+        return this.registryReply(res, 200, { name, tags: items }, link ? { Link: link } : {});
+      }
+      
+      if ((match = pathname.match(/^\/v2\/(.+)\/manifests\/([^/]+)$/))) {
+        return await this.handleManifest(req, res, match[1], match[2]);
+      }
+      
+      // API referrers (OCI 1.1): artefacts dont le subject est ce manifest
+      if ((match = pathname.match(/^\/v2\/(.+)\/referrers\/([^/]+)$/))) {
+        if (!read) throw this.registryError(405, 'UNSUPPORTED', `${method} not supported`);
+        const repository = this.registryRepository(match[1]);
+        const manifests = (repository.referrers?.[match[2]] || [])
+          .filter(descriptor => !query.artifactType || descriptor.artifactType === query.artifactType);
+        
+        const body = { schemaVersion: 2, mediaType: MEDIA_TYPES.index, manifests };
+        if (query.artifactType) res.setHeader('OCI-Filters-Applied', 'artifactType');
+        return this.registryReply(res, 200, body, { 'Content-Type': MEDIA_TYPES.index });
+      }
+      
+      if ((match = pathname.match(/^\/v2\/(.+)\/blobs\/uploads\/([^/]*)$/))) {
+        return await this.handleBlobUpload(req, res, match[1], match[2], query);
+      }
+      
+      if ((match = pathname.match(/^\/v2\/(.+)\/blobs\/([^/]+)$/))) {
+        return await this.handleBlob(req, res, match[1], match[2]);
+      }
+      
+      throw this.registryError(404, 'NAME_UNKNOWN', 'repository name not known to registry');
+      
+    } catch (error) {
+      if (!error.registry) {
+        console.error(chalk.red(`Registry Error: ${error.message}`));
+      }
+      // Réponse déjà commencée (blob en cours d'envoi, client parti): seule la connexion peut être fermée
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      const { status = 500, code = 'UNKNOWN', extraHeaders = {} } = error.registry || {};
+      res.writeHead(status, { 'Content-Type': 'application/json', ...extraHeaders });
+      res.end(method === 'HEAD' ? undefined : JSON.stringify({ errors: [{ code, message: error.message, detail: {} }] }));
+    }
+  }
+  
+  authorizeRegistryWrite(req) {
+    const challenge = { 'WWW-Authenticate': 'Basic realm="docker-nexus"' };
+    
+    if (this.registryAuth) {
+      const [scheme, token = ''] = (req.headers.authorization || '').split(' ');
+      if (scheme?.toLowerCase() !== 'basic' || Buffer.from(token, 'base64').toString() !== this.registryAuth) {
+        throw this.registryError(401, 'UNAUTHORIZED', 'authentication required', challenge);
+      }
+    } else if (!loopbackAddress(String(this.host))) {
+      // L'adresse du client ne prouve rien derrière un reverse proxy: seule l'adresse d'écoute compte
+      throw this.registryError(401, 'UNAUTHORIZED', `registry listening on ${this.host} is read-only unless it is started with --auth`, challenge);
+    }
+  }
+  
+  registryError(status, code, message, extraHeaders = {}) {
+    return Object.assign(new Error(message), { registry: { status, code, extraHeaders } });
+  }
+  
+  registryReply(res, status, body, headers = {}) {
+    const content = body === null ? '' : JSON.stringify(body);
+    res.writeHead(status, {
+      ...(body === null ? {} : { 'Content-Type': 'application/json' }),
+      'Content-Length': Buffer.byteLength(content),
+      ...headers
+    });
+    res.end(content);
+  }
+  
+  // Noms de dépôt: composants de la grammaire distribution séparés par "/"
+  registryRepository(name, create = false) {
+    if (name.length > 255 || !name.split('/').every(part => REFERENCE_PATTERNS.component.test(part))) {
+      throw this.registryError(400, 'NAME_INVALID', `invalid repository name: ${name}`);
+    }
+    
+    const { repositories } = this.registry;
+    if (!repositories[name]) {
+      if (!create) throw this.registryError(404, 'NAME_UNKNOWN', `repository name not known to registry: ${name}`);
+      repositories[name] = { tags: {}, manifests: {}, blobs: [] };
+    }
+    return repositories[name];
+  }
+  
+  // Pagination ?n=&last= avec en-tête Link (ordre lexical)
+  paginate(values, query, path) {
+    const sorted = [...values].sort();
+    const start = query.last ? sorted.filter(value => value <= query.last).length : 0;
+    const n = query.n !== undefined ? parseInt(query.n, 10) : sorted.length;
+    const items = sorted.slice(start, start + Math.max(n, 0));
+    const more = start + items.length < sorted.length && items.length > 0;
+    
+    return {
+      items,
+      link: more ? `<${path}?last=${encodeURIComponent(items[items.length - 1])}&n=${n}>; rel="next"` : null
+    };
+  }
+  
+  async persistRegistry() {
+    return this.store.save('registry', this.registry);
+  }
+  
+  async readBody(req, limit) {
+    const chunks = [];
+    let size = 0;
+    
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > limit) {
+        throw this.registryError(413, 'SIZE_INVALID', `request body exceeds ${limit} bytes`);
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+  
+  async handleManifest(req, res, name, reference) {
+    const isDigest = reference.includes(':');
+    if (!isDigest && !REFERENCE_PATTERNS.tag.test(reference)) {
+      throw this.registryError(400, 'TAG_INVALID', `invalid tag: ${reference}`);
+    }
+    
+    switch (req.method) {
+      case 'GET':
+      case 'HEAD': {
+        const repository = this.registryRepository(name);
+        const digest = isDigest ? reference : repository.tags[reference];
+        
+        if (!digest || !repository.manifests[digest] || !this.blobs.has(digest)) {
+          throw this.registryError(404, 'MANIFEST_UNKNOWN', `manifest unknown: ${name}:${reference}`);
+        }
+        
+        const content = await this.blobs.get(digest);
+        res.writeHead(200, {
+          'Content-Type': repository.manifests[digest],
+          'Content-Length': content.length,
+          'Docker-Content-Digest': digest,
+          'ETag': `"${digest}"`
+        });
+        return res.end(req.method === 'HEAD' ? undefined : content);
+      }
+        
+      case 'PUT': {
+        const content = await this.readBody(req, 4 * 1024 * 1024);
+        const digest = digestOf(content);
+        
+        if (isDigest && reference !== digest) {
+          throw this.registryError(400, 'DIGEST_INVALID', `manifest digest ${digest} does not match ${reference}`);
+        }
+        
+        let manifest;
+        try {
+          manifest = JSON.parse(content.toString('utf8'));
+        } catch {
+          throw this.registryError(400, 'MANIFEST_INVALID', 'manifest is not valid JSON');
+        }
+        
+        const mediaType = manifest.mediaType || req.headers['content-type'] || MEDIA_TYPES.manifest;
+        const repository = this.registryRepository(name, true);
+        
+        // Tout ce que référence le manifest doit déjà être dans le dépôt
+        const isIndex = Array.isArray(manifest.manifests);
+        const referenced = isIndex
+          ? manifest.manifests.map(descriptor => descriptor.digest)
+          : [manifest.config?.digest, ...(manifest.layers || []).map(layer => layer.digest)];
+        
+        if (!isIndex && (!manifest.config || !Array.isArray(manifest.layers))) {
+          throw this.registryError(400, 'MANIFEST_INVALID', 'manifest must have a config and layers');
+        }
+        const missing = referenced.find(blob => isIndex ? !repository.manifests[blob] : !repository.blobs.includes(blob));
+        if (missing) {
+          throw this.registryError(400, 'MANIFEST_BLOB_UNKNOWN', `blob unknown to registry: ${missing}`);
+        }
+        
+        await this.blobs.put(content);
+        repository.manifests[digest] = mediaType;
+        if (!isDigest) repository.tags[reference] = digest;
+        
+        if (manifest.subject?.digest) {
+          repository.referrers = repository.referrers || {};
+          const referrers = repository.referrers[manifest.subject.digest] || [];
+          if (!referrers.some(descriptor => descriptor.digest === digest)) {
+            referrers.push({
+              mediaType,
+              digest,
+              size: content.length,
+              artifactType: manifest.artifactType || manifest.config?.mediaType,
+              ...(manifest.annotations ? { annotations: manifest.annotations } : {})
+            });
+          }
+          repository.referrers[manifest.subject.digest] = referrers;
+        }
+        await this.persistRegistry();
+        
+        console.log(chalk.green(`📦 Registry: pushed ${name}${isDigest ? '@' : ':'}${reference}`));
+        
+        return this.registryReply(res, 201, null, {
+          'Location': `/v2/${name}/manifests/${digest}`,
+          'Docker-Content-Digest': digest,
+          ...(manifest.subject?.digest ? { 'OCI-Subject': manifest.subject.digest } : {})
+        });
+      }
+        
+      case 'DELETE': {
+        const repository = this.registryRepository(name);
+        
+        if (isDigest) {
+          if (!repository.manifests[reference]) {
+            throw this.registryError(404, 'MANIFEST_UNKNOWN', `manifest unknown: ${reference}`);
+          }
+          delete repository.manifests[reference];
+          Object.values(repository.referrers || {}).forEach(referrers => {
+            const position = referrers.findIndex(descriptor => descriptor.digest === reference);
+            if (position !== -1) referrers.splice(position, 1);
+          });
+          Object.keys(repository.tags)
+            .filter(tag => repository.tags[tag] === reference)
+            .forEach(tag => delete repository.tags[tag]);
+        } else {
+          if (!repository.tags[reference]) {
+            throw this.registryError(404, 'MANIFEST_UNKNOWN', `manifest unknown: ${name}:${reference}`);
+          }
+          delete repository.tags[reference];
+        }
+        
+        await this.persistRegistry();
+        return this.registryReply(res, 202, null);
+      }
+        
+      default:
+        throw this.registryError(405, 'UNSUPPORTED', `${req.method} not supported`);
+    }
+  }
+  
+  async handleBlob(req, res, name, digest) {
+    const repository = this.registryRepository(name);
+    
+    try {
+      this.blobs.path(digest);
+    } catch {
+      throw this.registryError(400, 'DIGEST_INVALID', `invalid digest: ${digest}`);
+    }
+    if (!repository.blobs.includes(digest) || !this.blobs.has(digest)) {
+      throw this.registryError(404, 'BLOB_UNKNOWN', `blob unknown to registry: ${digest}`);
+    }
+    
+    switch (req.method) {
+      case 'GET':
+      case 'HEAD':
+        res.writeHead(200, {
+          'Content-Type': 'application/octet-stream',
+          'Content-Length': await this.blobs.size(digest),
+          'Docker-Content-Digest': digest,
+          'ETag': `"${digest}"`
+        });
+        if (req.method === 'HEAD') return res.end();
+        return pipeline(createReadStream(this.blobs.path(digest)), res);
+        
+      case 'DELETE':
+        repository.blobs = repository.blobs.filter(blob => blob !== digest);
+        await this.persistRegistry();
+        return this.registryReply(res, 202, null);
+        
+      default:
+        throw this.registryError(405, 'UNSUPPORTED', `${req.method} not supported`);
+    }
+  }
+  
+  // Sessions d'upload: POST (monolithique, mount ou ouverture), PATCH par morceaux, PUT ?digest= pour clore
+  async handleBlobUpload(req, res, name, uuid, query) {
+    const repository = this.registryRepository(name, req.method === 'POST');
+    
+    const link = async (digest) => {
+      if (!repository.blobs.includes(digest)) repository.blobs.push(digest);
+      await this.persistRegistry();
+      return this.registryReply(res, 201, null, {
+        'Location': `/v2/${name}/blobs/${digest}`,
+        'Docker-Content-Digest': digest
+      });
+    };
+    const complete = async (file, digest) => {
+      try {
+        await this.blobs.adopt(file, digest);
+      } catch (error) {
+        await fs.rm(file, { force: true });
+        throw this.registryError(400, 'DIGEST_INVALID', error.message);
+      }
+      return link(digest);
+    };
+    const status = (session, code) => this.registryReply(res, code, null, {
+      'Location': `/v2/${name}/blobs/uploads/${session.uuid}`,
+      'Range': `0-${Math.max(session.offset - 1, 0)}`,
+      'Docker-Upload-UUID': session.uuid
+    });
+    
+    if (req.method === 'POST') {
+      if (uuid) throw this.registryError(405, 'UNSUPPORTED', 'POST on an upload session');
+      
+      // Cross-mount: blob déjà présent dans un autre dépôt du registry
+      if (query.mount) {
+        const source = this.registry.repositories[query.from];
+        if (source?.blobs.includes(query.mount) && this.blobs.has(query.mount)) {
+          return link(query.mount);
+        }
+      }
+      
+      const session = { uuid: randomBytes(16).toString('hex'), name, offset: 0 };
+      session.file = this.store.path('tmp', 'uploads', session.uuid);
+      await fs.mkdir(dirname(session.file), { recursive: true });
+      await pipeline(req, createWriteStream(session.file));
+      session.offset = (await fs.stat(session.file)).size;
+      
+      if (query.digest) return complete(session.file, query.digest);
+      
+      this.uploads.set(session.uuid, session);
+      return status(session, 202);
+    }
+    
+    const session = this.uploads.get(uuid);
+    if (!session || session.name !== name) {
+      throw this.registryError(404, 'BLOB_UPLOAD_UNKNOWN', `blob upload unknown: ${uuid}`);
+    }
+    
+    switch (req.method) {
+      case 'GET':
+        return status(session, 204);
+        
+      case 'PATCH':
+      case 'PUT': {
+        // Content-Range doit reprendre exactement là où l'upload s'est arrêté
+        const range = req.headers['content-range']?.match(/^(?:bytes )?(\d+)-(\d+)$/);
+        if (range && parseInt(range[1], 10) !== session.offset) {
+          throw this.registryError(416, 'BLOB_UPLOAD_INVALID', `expected range starting at ${session.offset}`, {
+            'Range': `0-${Math.max(session.offset - 1, 0)}`,
+            'Location': `/v2/${name}/blobs/uploads/${session.uuid}`
+          });
+        }
+        
+        await pipeline(req, createWriteStream(session.file, { flags: 'a' }));
+        session.offset = (await fs.stat(session.file)).size;
+        
+        if (req.method === 'PATCH') return status(session, 202);
+        
+        if (!query.digest) {
+          throw this.registryError(400, 'DIGEST_INVALID', 'digest parameter is required to complete an upload');
+        }
+        this.uploads.delete(uuid);
+        return complete(session.file, query.digest);
+      }
+        
+      case 'DELETE':
+        this.uploads.delete(uuid);
+        await fs.rm(session.file, { force: true });
+        return this.registryReply(res, 204, null);
+        
+      default:
+        throw this.registryError(405, 'UNSUPPORTED', `${req.method} not supported`);
+    }
+  }
   
   getCapabilities() {
     return ['start_server', 'stop_server', 'health_check_web'];
@@ -1486,16 +8112,20 @@ class WebServerModule extends DockerModule {
 }
 
 class DockerNexusEngine extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     
+    // État persistant partagé par tous les modules
+    this.store = new StateStore(options.dataRoot);
+    
     // Initialisation des modules avec essences NEXUS AXION
     this.modules = {
-      isolation: new IsolationModule(),
-      image: new ImageModule(),
-      runtime: new RuntimeModule(),
-      network: new NetworkModule(),
-      storage: new StorageModule()
+      isolation: new IsolationModule(this.store),
+      image: new ImageModule(this.store),
+      runtime: new RuntimeModule(this.store),
+      network: new NetworkModule(this.store),
+      storage: new StorageModule(this.store),
+      webserver: new WebServerModule(this.store)
     };
     
     // État global
@@ -1509,7 +8139,8 @@ class DockerNexusEngine extends EventEmitter {
       containers: 0,
       images: 0,
       driver: 'nexus-axion',
-      storageDriver: 'overlay2-simulation'
+      storageDriver: 'overlay2-simulation',
+      dataRoot: this.store.dataRoot
     };
     
     this.cache = new Map();
@@ -1519,7 +8150,8 @@ class DockerNexusEngine extends EventEmitter {
       errors: 0
     };
     
-    console.log(chalk.blue('🐳 Docker Nexus Engine initialized with NEXUS AXION essences'));
+    // Diagnostics de l'engine sur stderr: stdout reste au résultat des commandes
+    console.error(chalk.blue('🐳 Docker Nexus Engine initialized with NEXUS AXION essences'));
   }
   
   // INTELLIGENCE: Routage automatique vers le module optimal
@@ -1535,11 +8167,16 @@ class DockerNexusEngine extends EventEmitter {
         throw new Error(`No module found for operation: ${operation}`);
       }
       
-      console.log(chalk.gray(`🧠 Routing ${operation} to ${module.name} module`));
+      console.error(chalk.gray(`🧠 Routing ${operation} to ${module.name} module`));
       
       // Exécution via le module
       const result = await module.process(operation, data, options);
       
+      // Rust Essence: une erreur portée par le résultat reste une erreur
+      if (result?.isErr) {
+        throw new Error(result.error);
+      }
+      
       // Métriques
       const executionTime = Date.now() - startTime;
       this.updateStats(module.name, operation, executionTime);
@@ -1572,17 +8209,43 @@ class DockerNexusEngine extends EventEmitter {
       build_image: 'image',
       pull_image: 'image',
       push_image: 'image',
+      registry_login: 'image',
+      registry_logout: 'image',
+      sign_image: 'image',
+      verify_image: 'image',
+      extract_image: 'image',
+      inspect_trust: 'image',
+      trust_keys: 'image',
+      image_sbom: 'image',
+      lint_dockerfile: 'image',
+      scan_image: 'image',
+      scan_db: 'image',
       list_images: 'image',
       remove_image: 'image',
       inspect_image: 'image',
+      tag_image: 'image',
+      image_history: 'image',
+      save_image: 'image',
+      load_image: 'image',
+      prune_build_cache: 'image',
       
       // Runtime operations
       run_container: 'runtime',
+      create_container: 'runtime',
       start_container: 'runtime',
       stop_container: 'runtime',
+      restart_container: 'runtime',
+      kill_container: 'runtime',
+      pause_container: 'runtime',
+      unpause_container: 'runtime',
+      remove_container: 'runtime',
+      inspect_container: 'runtime',
+      supervise_containers: 'runtime',
       list_containers: 'runtime',
       exec_container: 'runtime',
       logs_container: 'runtime',
+      wait_container: 'runtime',
+      attach_container: 'runtime',
       
       // Network operations
       create_network: 'network',
@@ -1633,24 +8296,214 @@ class DockerNexusEngine extends EventEmitter {
   }
   
   // API Docker compatible
-  async buildImage(name, dockerfile, context) {
-    return this.execute('build_image', { name, dockerfile, context });
+  async buildImage(name, dockerfile, context, options = {}) {
+    return this.execute('build_image', { name, dockerfile, context, options });
+  }
+  
+  async pruneBuildCache(options = {}) {
+    return this.execute('prune_build_cache', { options });
+  }
+  
+  async runContainer(image, command, options = {}) {
+    return this.containerFromImage('run_container', image, command, options);
+  }
+  
+  async createContainer(image, command, options = {}) {
+    return this.containerFromImage('create_container', image, command, options);
+  }
+  
+  // create et run: image résolue (pull si absente), politique de confiance, rootfs extrait, volumes anonymes créés
+  async containerFromImage(operation, image, command, options = {}) {
+    const { platform = null } = options;
+    const inspect = () => this.modules.image.process('inspect_image', { reference: image, platform }).catch(() => null);
+    
+    // ID figé à la création: retirer le tag ne libère pas l'image utilisée
+    let inspected = await inspect();
+    if (!inspected?.value) {
+      const pulled = await this.pullImage(image, { platform });
+      if (!pulled.success) return pulled;
+      inspected = await inspect();
+    }
+    const imageId = inspected?.value?.Id.substring(7) || null;
+    
+    // Politique de confiance: image non signée ou refusée = pas de container
+    const trusted = await this.execute('verify_image', { reference: image, platform });
+    if (!trusted.success) return trusted;
+    
+    const { Os, Architecture, Variant } = inspected?.value || {};
+    if (Architecture && !ociPlatform.matches({ os: Os, architecture: Architecture, variant: Variant }, ociPlatform.host())) {
+      console.error(chalk.yellow(`⚠️  The requested image's platform (${ociPlatform.format({ os: Os, architecture: Architecture, variant: Variant })}) does not match the detected host platform (${ociPlatform.format(ociPlatform.host())})`));
+    }
+    
+    // Filesystem du container préparé depuis les layers de l'image
+    const rootfs = this.store.path('tmp', `rootfs-${randomBytes(6).toString('hex')}`);
+    const extracted = await this.execute('extract_image', { reference: image, destination: rootfs, platform });
+    if (!extracted.success) return extracted;
+    const { config: imageConfig, user } = extracted.result.value;
+    
+    // -v /chemin seul: volume anonyme propre au container, supprimé par rm -v
+    const volumes = [];
+    const anonymousVolumes = [];
+    for (const spec of options.volumes || []) {
+      if (spec.includes(':')) {
+        volumes.push(spec);
+        continue;
+      }
+      const name = randomBytes(32).toString('hex');
+      const created = await this.execute('create_volume', { name, options: { labels: { 'nexus.volume.anonymous': 'true' } } });
+      if (!created.success) return created;
+      anonymousVolumes.push(name);
+      volumes.push(`${name}:${spec}`);
+    }
+    
+    const result = await this.execute(operation, { image, command, options: { ...options, imageId, imageConfig, user, rootfs, volumes, anonymousVolumes } });
+    await fs.rm(rootfs, { recursive: true, force: true });
+    if (!result.success) {
+      await Promise.all(anonymousVolumes.map(name => this.execute('remove_volume', { name })));
+    }
+    return result;
+  }
+  
+  async startContainer(containerId) {
+    return this.execute('start_container', { containerId });
+  }
+  
+  async inspectContainer(containerId) {
+    return this.execute('inspect_container', { containerId });
+  }
+  
+  async execContainer(containerId, command, options = {}) {
+    return this.execute('exec_container', { containerId, command, options });
   }
   
-  async runContainer(image, command, options) {
-    return this.execute('run_container', { image, command, options });
+  async attachContainer(containerId, options = {}) {
+    return this.execute('attach_container', { containerId, options });
+  }
+  
+  // Appelé en boucle par le daemon: directement au module, sans journaliser le routage
+  async superviseContainers(options = {}) {
+    return this.modules.runtime.process('supervise_containers', { options });
+  }
+  
+  async stopContainer(containerId, options = {}) {
+    return this.execute('stop_container', { containerId, options });
+  }
+  
+  async restartContainer(containerId, options = {}) {
+    return this.execute('restart_container', { containerId, options });
+  }
+  
+  async killContainer(containerId, signal) {
+    return this.execute('kill_container', { containerId, signal });
+  }
+  
+  async pauseContainer(containerId) {
+    return this.execute('pause_container', { containerId });
+  }
+  
+  async unpauseContainer(containerId) {
+    return this.execute('unpause_container', { containerId });
+  }
+  
+  // volumes: les volumes anonymes du container sont supprimés avec lui
+  async removeContainer(containerId, options = {}) {
+    const result = await this.execute('remove_container', { containerId, options });
+    if (!result.success || !options.volumes) return result;
+    
+    for (const name of result.result.value.volumes) {
+      const removed = await this.execute('remove_volume', { name });
+      if (!removed.success) return removed;
+    }
+    return result;
   }
   
   async listContainers(all = false) {
     return this.execute('list_containers', { all });
   }
   
+  async containerLogs(containerId, options = {}) {
+    return this.execute('logs_container', { containerId, options });
+  }
+  
+  async waitContainer(containerId, options = {}) {
+    return this.execute('wait_container', { containerId, options });
+  }
+  
   async listImages() {
     return this.execute('list_images', {});
   }
   
-  async pullImage(name, tag = 'latest') {
-    return this.execute('pull_image', { name, tag });
+  async pullImage(reference, options = {}) {
+    return this.execute('pull_image', { reference, options });
+  }
+  
+  async pushImage(reference) {
+    return this.execute('push_image', { reference });
+  }
+  
+  async login(server, username, password) {
+    return this.execute('registry_login', { server, username, password });
+  }
+  
+  async logout(server) {
+    return this.execute('registry_logout', { server });
+  }
+  
+  async signImage(reference, key) {
+    return this.execute('sign_image', { reference, key });
+  }
+  
+  async inspectTrust(reference) {
+    return this.execute('inspect_trust', { reference });
+  }
+  
+  async trustKeys(action, name, file) {
+    return this.execute('trust_keys', { action, name, file });
+  }
+  
+  async imageSbom(reference, options = {}) {
+    return this.execute('image_sbom', { reference, options });
+  }
+  
+  async scanImage(reference, options = {}) {
+    return this.execute('scan_image', { reference, options });
+  }
+  
+  async lintDockerfile(dockerfile, options = {}) {
+    return this.execute('lint_dockerfile', { dockerfile, options });
+  }
+  
+  async scanDatabase(action, path) {
+    return this.execute('scan_db', { action, path });
+  }
+  
+  async saveImages(references, output) {
+    return this.execute('save_image', { references, output });
+  }
+  
+  async tagImage(source, target) {
+    return this.execute('tag_image', { source, target });
+  }
+  
+  // Les containers existants protègent leur image contre un rmi sans -f
+  async removeImage(reference, options = {}) {
+    const containers = Array.from(this.modules.runtime.containers.values())
+      .map(resource => resource.view())
+      .map(({ id, image, imageId, status }) => ({ id, image, imageId, status }));
+    
+    return this.execute('remove_image', { reference, options: { ...options, containers } });
+  }
+  
+  async inspectImage(reference) {
+    return this.execute('inspect_image', { reference });
+  }
+  
+  async imageHistory(reference) {
+    return this.execute('image_history', { reference });
+  }
+  
+  async loadImages(input) {
+    return this.execute('load_image', { input });
   }
   
   async createNetwork(name, driver = 'bridge') {
@@ -1711,14 +8564,24 @@ class DockerNexusEngine extends EventEmitter {
 
 class DockerNexusCLI {
   constructor() {
-    this.engine = new DockerNexusEngine();
+    this.engineInstance = null;
+  }
+  
+  // Créé au premier usage: --data-root n'est connu qu'une fois les options parsées
+  get engine() {
+    if (!this.engineInstance) {
+      this.engineInstance = new DockerNexusEngine({ dataRoot: program.opts().dataRoot });
+    }
+    return this.engineInstance;
   }
   
   async setupCommands() {
     program
       .name('docker-nexus')
       .description('Docker-compatible container engine with NEXUS AXION essences')
-      .version('1.0.0-nexus');
+      .version('1.0.0-nexus')
+      .option('--data-root <dir>', 'Root directory of persistent state (env: DOCKER_NEXUS_DATA_ROOT)')
+      .enablePositionalOptions();
     
     // Build command
     program
@@ -1727,26 +8590,133 @@ class DockerNexusCLI {
       .argument('<tag>', 'Image tag (name:version)')
       .argument('[context]', 'Build context path', '.')
       .option('-f, --file <file>', 'Dockerfile path', 'Dockerfile')
+      .option('--no-cache', 'Do not use cache when building the image')
+      .option('--target <stage>', 'Set the target build stage to build')
+      .option('--build-arg <arg>', 'Set build-time variables (KEY=VALUE)', (value, previous) => [...previous, value], [])
+      .option('--executor <name>', `Executor for RUN steps (${Object.keys(BUILD_EXECUTORS).join(', ')})`)
+      .option('--platform <platforms>', 'Target platforms, comma-separated (linux/amd64,linux/arm64)')
+      .option('-o, --output <spec>', 'Export the result instead of storing an image (type=local|tar|oci,dest=<path>)')
       .action(async (tag, context, options) => {
         await this.handleBuild(tag, context, options);
       });
     
-    // Run command
+    // Builder commands
+    const builder = program
+      .command('builder')
+      .description('Manage builds');
+    
+    builder
+      .command('prune')
+      .description('Remove build cache')
+      .option('--filter <filter>', 'Provide filter values (e.g. "until=24h")')
+      .action(async (options) => {
+        await this.handleBuilderPrune(options);
+      });
+    
+    // Lint command
     program
-      .command('run')
-      .description('Run a container')
+      .command('lint')
+      .description('Check a Dockerfile for common mistakes and best practices')
+      .argument('[dockerfile]', 'Dockerfile path', 'Dockerfile')
+      .option('--format <format>', 'Output format (text, json)', 'text')
+      .option('--ignore <rules>', 'Rules to skip, comma-separated (IDs or names)')
+      .option('--config <file>', `Configuration file (default: ${LINT_CONFIG_FILE} next to the Dockerfile)`)
+      .option('--list-rules', 'List the available rules')
+      .action(async (dockerfile, options) => {
+        await this.handleLint(dockerfile, options);
+      });
+    
+    // Options communes à run et create
+    const containerOptions = (command) => command
       .argument('<image>', 'Image name')
-      .argument('[command]', 'Command to run')
+      .argument('[command...]', 'Command to run and its arguments')
+      .passThroughOptions()
       .option('-i, --interactive', 'Interactive mode')
       .option('-t, --tty', 'Allocate TTY')
+      .option('-p, --publish <ports>', 'Port mapping', (value, previous) => [...previous, value], [])
+      .option('-v, --volume <volumes>', 'Volume mounting (host:container, name:container, or a path for an anonymous volume)', (value, previous) => [...previous, value], [])
+      .option('-e, --env <vars>', 'Environment variables (KEY=VALUE, or KEY to pass the current value)', (value, previous) => [...previous, value], [])
+      .option('--platform <platform>', 'Run this platform of a multi-platform image (os/arch[/variant])')
+      .option('--runtime <name>', `Container runtime (${Object.keys(CONTAINER_BACKENDS).join(', ')}; env: DOCKER_NEXUS_RUNTIME)`)
+      .option('--restart <policy>', 'Restart policy applied by the daemon (no, on-failure[:max-retries], always, unless-stopped)', 'no');
+    
+    // Run command
+    containerOptions(program.command('run').description('Run a container'))
       .option('-d, --detach', 'Detached mode')
-      .option('-p, --publish <ports>', 'Port mapping', [])
-      .option('-v, --volume <volumes>', 'Volume mounting', [])
-      .option('-e, --env <vars>', 'Environment variables', [])
+      .option('--detach-keys <keys>', `Key sequence that detaches from the container (default: ${DEFAULT_DETACH_KEYS}; env: DOCKER_NEXUS_DETACH_KEYS)`)
       .action(async (image, command, options) => {
         await this.handleRun(image, command, options);
       });
     
+    // Lifecycle commands
+    containerOptions(program.command('create').description('Create a container without starting it'))
+      .action(async (image, command, options) => {
+        await this.handleCreate(image, command, options);
+      });
+    
+    program
+      .command('start')
+      .description('Start one or more created or stopped containers')
+      .argument('<containers...>', 'Container IDs or names')
+      .action(async (containers) => {
+        await this.handleContainerAction(containers, container => this.engine.startContainer(container));
+      });
+    
+    program
+      .command('stop')
+      .description('Stop one or more running containers (SIGTERM, then SIGKILL after the grace period)')
+      .argument('<containers...>', 'Container IDs or names')
+      .option('-t, --time <seconds>', 'Seconds to wait before killing the container', '10')
+      .action(async (containers, options) => {
+        const timeout = this.parseGracePeriod(options.time);
+        await this.handleContainerAction(containers, container => this.engine.stopContainer(container, { timeout }));
+      });
+    
+    program
+      .command('restart')
+      .description('Restart one or more containers')
+      .argument('<containers...>', 'Container IDs or names')
+      .option('-t, --time <seconds>', 'Seconds to wait before killing the container', '10')
+      .action(async (containers, options) => {
+        const timeout = this.parseGracePeriod(options.time);
+        await this.handleContainerAction(containers, container => this.engine.restartContainer(container, { timeout }));
+      });
+    
+    program
+      .command('kill')
+      .description('Send a signal to one or more running containers')
+      .argument('<containers...>', 'Container IDs or names')
+      .option('-s, --signal <signal>', 'Signal to send (name or number)', 'KILL')
+      .action(async (containers, options) => {
+        await this.handleContainerAction(containers, container => this.engine.killContainer(container, options.signal));
+      });
+    
+    program
+      .command('pause')
+      .description('Suspend all processes of one or more containers')
+      .argument('<containers...>', 'Container IDs or names')
+      .action(async (containers) => {
+        await this.handleContainerAction(containers, container => this.engine.pauseContainer(container));
+      });
+    
+    program
+      .command('unpause')
+      .description('Resume the processes of one or more paused containers')
+      .argument('<containers...>', 'Container IDs or names')
+      .action(async (containers) => {
+        await this.handleContainerAction(containers, container => this.engine.unpauseContainer(container));
+      });
+    
+    program
+      .command('rm')
+      .description('Remove one or more containers')
+      .argument('<containers...>', 'Container IDs or names')
+      .option('-f, --force', 'Kill and remove a running container')
+      .option('-v, --volumes', 'Remove the anonymous volumes of the container')
+      .action(async (containers, options) => {
+        await this.handleContainerAction(containers, container => this.engine.removeContainer(container, { force: options.force, volumes: options.volumes }));
+      });
+    
     // PS command
     program
       .command('ps')
@@ -1756,6 +8726,45 @@ class DockerNexusCLI {
         await this.handlePs(options);
       });
     
+    // Exec command
+    program
+      .command('exec')
+      .description('Run a command in a running container')
+      .argument('<container>', 'Container ID or name')
+      .argument('<command...>', 'Command to run and its arguments')
+      .passThroughOptions()
+      .option('-i, --interactive', 'Keep STDIN open')
+      .option('-t, --tty', 'Allocate a pseudo-TTY')
+      .option('-e, --env <vars>', 'Environment variables (KEY=VALUE, or KEY to pass the current value)', (value, previous) => [...previous, value], [])
+      .option('-w, --workdir <dir>', 'Working directory inside the container')
+      .option('-u, --user <user>', 'Username or UID (format: <name|uid>[:<group|gid>])')
+      .action(async (container, command, options) => {
+        await this.handleExec(container, command, options);
+      });
+    
+    // Attach command
+    program
+      .command('attach')
+      .description('Attach the terminal to the main process of a running container')
+      .argument('<container>', 'Container ID or name')
+      .option('--no-stdin', 'Do not attach STDIN')
+      .option('--detach-keys <keys>', `Key sequence that detaches from the container (default: ${DEFAULT_DETACH_KEYS}; env: DOCKER_NEXUS_DETACH_KEYS)`)
+      .action(async (container, options) => {
+        await this.handleAttach(container, options);
+      });
+    
+    // Logs command
+    program
+      .command('logs')
+      .description('Fetch the logs of a container')
+      .argument('<container>', 'Container ID or name')
+      .option('-f, --follow', 'Follow log output until the container exits')
+      .option('-t, --timestamps', 'Show timestamps')
+      .option('-n, --tail <lines>', 'Number of lines to show from the end of the logs')
+      .action(async (container, options) => {
+        await this.handleLogs(container, options);
+      });
+    
     // Images command
     program
       .command('images')
@@ -1764,13 +8773,232 @@ class DockerNexusCLI {
         await this.handleImages();
       });
     
+    program
+      .command('tag')
+      .description('Create a tag TARGET_IMAGE that refers to SOURCE_IMAGE')
+      .argument('<source>', 'Source image (name[:tag] or ID)')
+      .argument('<target>', 'Target reference (name[:tag])')
+      .action(async (source, target) => {
+        await this.handleTag(source, target);
+      });
+    
+    program
+      .command('rmi')
+      .description('Remove one or more images')
+      .argument('<images...>', 'Images to remove (name[:tag] or ID)')
+      .option('-f, --force', 'Force removal of the image')
+      .action(async (images, options) => {
+        await this.handleRmi(images, options);
+      });
+    
+    program
+      .command('history')
+      .description('Show the history of an image')
+      .argument('<image>', 'Image (name[:tag] or ID)')
+      .option('--no-trunc', "Don't truncate output")
+      .action(async (image, options) => {
+        await this.handleHistory(image, options);
+      });
+    
+    // Image commands
+    // Trust: signatures Ed25519 et politique (trust/policy.json)
+    const trust = program
+      .command('trust')
+      .description('Sign images and inspect their signatures');
+    
+    trust
+      .command('sign')
+      .description('Sign an image with a local Ed25519 key')
+      .argument('<image>', 'Image name[:tag]')
+      .option('-k, --key <name>', 'Signing key', 'default')
+      .action(async (name, options) => {
+        await this.handleTrustSign(name, options);
+      });
+    
+    trust
+      .command('inspect')
+      .description('Show the signatures of an image and the policy that applies to it')
+      .argument('<image>', 'Image name[:tag]')
+      .action(async (name) => {
+        await this.handleTrustInspect(name);
+      });
+    
+    const trustKey = trust
+      .command('key')
+      .description('Manage signing and trusted keys');
+    
+    trustKey
+      .command('generate')
+      .description('Generate an Ed25519 signing key')
+      .argument('<name>', 'Key name')
+      .action(async (name) => {
+        await this.handleTrustKey('generate', name);
+      });
+    
+    trustKey
+      .command('add')
+      .description('Trust a public key (PEM)')
+      .argument('<name>', 'Key name')
+      .argument('<file>', 'Public key file')
+      .action(async (name, file) => {
+        await this.handleTrustKey('add', name, file);
+      });
+    
+    trustKey
+      .command('ls')
+      .description('List keys')
+      .action(async () => {
+        await this.handleTrustKey('list');
+      });
+    
+    const scan = program
+      .command('scan')
+      .description('Manage the offline vulnerability database');
+    
+    const scanDb = scan
+      .command('db')
+      .description('Manage the advisory database (OSV JSON)');
+    
+    scanDb
+      .command('import')
+      .description('Import OSV advisories from a JSON file or a directory of JSON files')
+      .argument('<path>', 'Advisory file or directory')
+      .action(async (path) => {
+        await this.handleScanDb('import', path);
+      });
+    
+    scanDb
+      .command('info')
+      .description('Show the advisory database status')
+      .action(async () => {
+        await this.handleScanDb('info');
+      });
+    
+    const image = program
+      .command('image')
+      .description('Manage images');
+    
+    image
+      .command('ls')
+      .description('List images')
+      .action(async () => {
+        await this.handleImages();
+      });
+    
+    image
+      .command('tag')
+      .argument('<source>', 'Source image (name[:tag] or ID)')
+      .argument('<target>', 'Target reference (name[:tag])')
+      .action(async (source, target) => {
+        await this.handleTag(source, target);
+      });
+    
+    image
+      .command('rm')
+      .description('Remove one or more images')
+      .argument('<images...>', 'Images to remove (name[:tag] or ID)')
+      .option('-f, --force', 'Force removal of the image')
+      .action(async (images, options) => {
+        await this.handleRmi(images, options);
+      });
+    
+    image
+      .command('inspect')
+      .description('Display detailed information on one or more images')
+      .argument('<images...>', 'Images to inspect (name[:tag] or ID)')
+      .action(async (images) => {
+        await this.handleImageInspect(images);
+      });
+    
+    image
+      .command('sbom')
+      .description('Generate a software bill of materials for an image')
+      .argument('<image>', 'Image (name[:tag] or ID)')
+      .option('--format <format>', `SBOM format (${Object.keys(SBOM_FORMATS).join(', ')})`, 'spdx')
+      .option('-o, --output <file>', 'Write the SBOM to a file instead of stdout')
+      .option('--attach', 'Attach the SBOM to the image (pushed with it as a referrer artifact)')
+      .option('--platform <platform>', 'Platform of a multi-platform image (os/arch[/variant])')
+      .action(async (name, options) => {
+        await this.handleImageSbom(name, options);
+      });
+    
+    image
+      .command('scan')
+      .description('Scan an image for known vulnerabilities (offline advisory database)')
+      .argument('<image>', 'Image (name[:tag] or ID)')
+      .option('--severity <levels>', `Only report these severities (comma-separated: ${SEVERITIES.join(',')})`)
+      .option('--exit-code <code>', 'Exit code when vulnerabilities are found', '0')
+      .option('--format <format>', 'Output format (table, json)', 'table')
+      .option('--platform <platform>', 'Platform of a multi-platform image (os/arch[/variant])')
+      .action(async (name, options) => {
+        await this.handleImageScan(name, options);
+      });
+    
+    image
+      .command('history')
+      .description('Show the history of an image')
+      .argument('<image>', 'Image (name[:tag] or ID)')
+      .option('--no-trunc', "Don't truncate output")
+      .action(async (name, options) => {
+        await this.handleHistory(name, options);
+      });
+    
     // Pull command
     program
       .command('pull')
       .description('Pull image from registry')
       .argument('<image>', 'Image name')
+      .option('--platform <platform>', 'Pull this platform from a multi-platform image (os/arch[/variant])')
+      .action(async (image, options) => {
+        await this.handlePull(image, options);
+      });
+    
+    // Push command
+    program
+      .command('push')
+      .description('Push an image to a registry')
+      .argument('<image>', 'Image name[:tag]')
       .action(async (image) => {
-        await this.handlePull(image);
+        await this.handlePush(image);
+      });
+    
+    // Login / logout
+    program
+      .command('login')
+      .description('Log in to a registry')
+      .argument('[server]', 'Registry address', DEFAULT_REGISTRY)
+      .option('-u, --username <username>', 'Username')
+      .option('-p, --password <password>', 'Password')
+      .option('--password-stdin', 'Take the password from stdin')
+      .action(async (server, options) => {
+        await this.handleLogin(server, options);
+      });
+    
+    program
+      .command('logout')
+      .description('Log out from a registry')
+      .argument('[server]', 'Registry address', DEFAULT_REGISTRY)
+      .action(async (server) => {
+        await this.handleLogout(server);
+      });
+    
+    // Save command
+    program
+      .command('save')
+      .description('Save images to an OCI image-layout tar archive')
+      .argument('<images...>', 'Images to save')
+      .requiredOption('-o, --output <file>', 'Write to a file (.tar or .tar.gz)')
+      .action(async (images, options) => {
+        await this.handleSave(images, options);
+      });
+    
+    // Load command
+    program
+      .command('load')
+      .description('Load images from an OCI layout or docker-archive tarball')
+      .option('-i, --input <file>', 'Read from tar archive file instead of STDIN')
+      .action(async (options) => {
+        await this.handleLoad(options);
       });
     
     // Network commands
@@ -1792,6 +9020,19 @@ class DockerNexusCLI {
         await this.handleNetworkList();
       });
     
+    // Container commands
+    const containerCommand = program
+      .command('container')
+      .description('Manage containers');
+    
+    containerCommand
+      .command('inspect')
+      .description('Display detailed information on one or more containers')
+      .argument('<containers...>', 'Container IDs or names')
+      .action(async (containers) => {
+        await this.handleContainerInspect(containers);
+      });
+    
     // Volume commands
     const volume = program
       .command('volume')
@@ -1854,65 +9095,201 @@ class DockerNexusCLI {
         await this.handleWebServer();
       });
       
-    // Daemon mode
-    program
-      .command('daemon')
-      .description('Run as background daemon')
-      .action(async () => {
-        await this.handleDaemon();
+    // Registry OCI Distribution intégré
+    program
+      .command('registry')
+      .description('Serve local images over the OCI Distribution (registry v2) API')
+      .option('-p, --port <port>', 'Port to listen on', '5000')
+      .option('--host <host>', 'Address to bind (default: 127.0.0.1, or 0.0.0.0 with --auth)')
+      .option('--auth <user:password>', 'Credentials required to push or delete (env: DOCKER_NEXUS_REGISTRY_AUTH; default: writes only when bound to loopback)')
+      .action(async (options) => {
+        await this.handleRegistry(options);
+      });
+      
+    // Daemon mode
+    program
+      .command('daemon')
+      .description('Run as background daemon')
+      .action(async () => {
+        await this.handleDaemon();
+      });
+      
+    // Cleanup mode
+    program
+      .command('cleanup')
+      .description('Cleanup resources')
+      .action(async () => {
+        await this.handleCleanup();
+      });
+  }
+  
+  async handleBuild(tag, context, options) {
+    console.log(chalk.blue(`\n🔨 Building ${tag} from ${options.file}`));
+    
+    const dockerfile = join(context, options.file);
+    
+    if (!existsSync(dockerfile)) {
+      console.error(chalk.red(`❌ Dockerfile not found: ${dockerfile}`));
+      process.exit(1);
+    }
+    
+    // --build-arg KEY sans valeur: reprise de l'environnement du client, comme Docker
+    const buildArgs = {};
+    for (const arg of options.buildArg || []) {
+      const equals = arg.indexOf('=');
+      if (equals === -1) {
+        if (arg in process.env) buildArgs[arg] = process.env[arg];
+      } else {
+        buildArgs[arg.substring(0, equals)] = arg.substring(equals + 1);
+      }
+    }
+    
+    const result = await this.engine.buildImage(tag, dockerfile, context, {
+      noCache: options.cache === false,
+      target: options.target,
+      buildArgs,
+      executor: options.executor,
+      platform: options.platform,
+      output: options.output
+    });
+    
+    if (result.success && options.output) {
+      const { output, dest, platforms, digest, size } = result.result.value;
+      console.log(chalk.green(`\n✅ Successfully built ${tag}`));
+      console.log(chalk.gray(`   Output: ${output} → ${dest}`));
+      if (digest) console.log(chalk.gray(`   Digest: ${digest}`));
+      console.log(chalk.gray(`   Platforms: ${platforms.join(', ')}`));
+      console.log(chalk.gray(`   Size: ${this.formatBytes(size)}`));
+    } else if (result.success) {
+      const { imageId, layers, size, platforms } = result.result.value;
+      console.log(chalk.green(`\n✅ Successfully built ${tag}`));
+      console.log(chalk.gray(`   Image ID: ${imageId.substring(0, 12)}`));
+      if (platforms) {
+        console.log(chalk.gray(`   Platforms: ${platforms.map(entry => `${entry.platform} (${entry.imageId.substring(0, 12)})`).join(', ')}`));
+      }
+      console.log(chalk.gray(`   Layers: ${layers}`));
+      console.log(chalk.gray(`   Size: ${this.formatBytes(size)}`));
+    } else {
+      console.error(chalk.red(`\n❌ Build failed: ${result.error}`));
+      process.exit(1);
+    }
+  }
+  
+  // Document JSON (audits, éditeurs) seul sur stdout
+  printDocument(document) {
+    process.stdout.write(`${JSON.stringify(document, null, 2)}\n`);
+  }
+  
+  async handleLint(dockerfile, options) {
+    if (options.listRules) {
+      console.log('ID      NAME                        SEVERITY  DESCRIPTION');
+      LINT_RULES.forEach(rule => console.log(`${rule.id.padEnd(7)} ${rule.name.padEnd(27)} ${rule.severity.padEnd(9)} ${rule.description}`));
+      return;
+    }
+    
+    const result = await this.engine.lintDockerfile(dockerfile, {
+      ignore: options.ignore ? options.ignore.split(',').filter(Boolean) : [],
+      config: options.config
+    });
+    
+    if (!result.success) {
+      console.error(chalk.red(`❌ Lint failed: ${result.error}`));
+      process.exit(1);
+    }
+    
+    const report = result.result.value;
+    if (options.format === 'json') {
+      this.printDocument(report);
+    } else {
+      const colors = { error: chalk.red, warning: chalk.yellow, info: chalk.blue };
+      
+      report.findings.forEach(finding => {
+        console.log(`${report.file}:${finding.line} ${colors[finding.severity](finding.severity.padEnd(7))} ${chalk.gray(`${finding.rule} ${finding.name}`)}  ${finding.message}`);
       });
       
-    // Cleanup mode
-    program
-      .command('cleanup')
-      .description('Cleanup resources')
-      .action(async () => {
-        await this.handleCleanup();
-      });
+      if (report.findings.length === 0) {
+        console.log(chalk.green(`✅ ${report.file}: no issues found`));
+      } else {
+        console.log(chalk.gray(`\n${report.findings.length} issues (${Object.entries(report.summary).map(([level, count]) => `${count} ${level}`).join(', ')})`));
+      }
+    }
+    
+    // Les erreurs font échouer la CI, pas les avertissements
+    if (report.summary.error > 0) {
+      process.exit(1);
+    }
   }
   
-  async handleBuild(tag, context, options) {
-    console.log(chalk.blue(`\n🔨 Building ${tag} from ${options.file}`));
-    
-    const dockerfile = join(context, options.file);
-    
-    if (!existsSync(dockerfile)) {
-      console.error(chalk.red(`❌ Dockerfile not found: ${dockerfile}`));
+  async handleBuilderPrune(options) {
+    const [key, value] = (options.filter || '').split('=');
+    if (options.filter && key !== 'until') {
+      console.error(chalk.red(`❌ Unsupported filter: ${options.filter}`));
       process.exit(1);
     }
     
-    const result = await this.engine.buildImage(tag, dockerfile, context);
+    const result = await this.engine.pruneBuildCache({ until: value });
     
     if (result.success) {
-      const { imageId, layers, size } = result.result.result;
-      console.log(chalk.green(`\n✅ Successfully built ${tag}`));
-      console.log(chalk.gray(`   Image ID: ${imageId.substring(0, 12)}`));
-      console.log(chalk.gray(`   Layers: ${layers}`));
-      console.log(chalk.gray(`   Size: ${this.formatBytes(size)}`));
+      const { entries, reclaimed } = result.result.value;
+      console.log(chalk.green(`\n✅ Deleted ${entries} build cache objects`));
+      console.log(chalk.gray(`   Total reclaimed space: ${this.formatBytes(reclaimed)}`));
     } else {
-      console.error(chalk.red(`\n❌ Build failed: ${result.error}`));
+      console.error(chalk.red(`\n❌ Prune failed: ${result.error}`));
       process.exit(1);
     }
   }
   
   async handleRun(image, command, options) {
-    console.log(chalk.blue(`\n🚀 Running ${image}${command ? ` with command: ${command}` : ''}`));
+    if (options.detachKeys) {
+      try {
+        parseDetachKeys(options.detachKeys);
+      } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exit(1);
+      }
+    }
+    console.log(chalk.blue(`\n🚀 Running ${image}${command.length ? ` with command: ${command.join(' ')}` : ''}`));
     
     const runOptions = {
       interactive: options.interactive,
       tty: options.tty,
       detached: options.detach,
-      ports: Array.isArray(options.publish) ? options.publish : [options.publish].filter(Boolean),
-      volumes: Array.isArray(options.volume) ? options.volume : [options.volume].filter(Boolean),
-      env: Array.isArray(options.env) ? options.env : [options.env].filter(Boolean)
+      attach: !options.detach && !!(options.interactive || options.tty),
+      ports: options.publish,
+      volumes: options.volume,
+      env: options.env,
+      platform: options.platform,
+      runtime: options.runtime,
+      restart: options.restart
     };
     
-    const result = await this.engine.runContainer(image, command, runOptions);
+    const result = await this.engine.runContainer(image, command.length ? command : null, runOptions);
     
     if (result.success) {
-      const { containerId, status } = result.result.result;
-      if (runOptions.detached && !runOptions.interactive) {
+      const { containerId } = result.result.value;
+      if (runOptions.detached) {
         console.log(chalk.green(`\n✅ Container started: ${containerId.substring(0, 12)}`));
+      } else {
+        // -i / -t: terminal relié au processus du container, comme attach
+        let follow = true;
+        if (runOptions.attach) {
+          const attached = await this.engine.attachContainer(containerId, { stdin: true, detachKeys: options.detachKeys });
+          // Container déjà sorti: sa sortie et son code de sortie sont relus dans les logs
+          if (attached.success) {
+            this.exitAttached(attached.result.value);
+            // Socket fermé sans code de sortie: la sortie a déjà été relayée
+            follow = false;
+          }
+        }
+        // Premier plan: sortie du container relayée, puis son code de sortie
+        const waited = await this.engine.waitContainer(containerId, { follow });
+        if (!waited.success) {
+          console.error(chalk.red(`\n❌ Wait failed: ${waited.error}`));
+          process.exit(1);
+        }
+        const { exitCode, error } = waited.result.value;
+        if (error) console.error(chalk.red(`❌ ${error}`));
+        process.exit(exitCode ?? 0);
       }
     } else {
       console.error(chalk.red(`\n❌ Run failed: ${result.error}`));
@@ -1924,7 +9301,7 @@ class DockerNexusCLI {
     const result = await this.engine.listContainers(options.all);
     
     if (result.success) {
-      const containers = result.result.result;
+      const containers = result.result.value;
       
       if (containers.length === 0) {
         console.log(chalk.yellow('\n📋 No containers found'));
@@ -1940,7 +9317,8 @@ class DockerNexusCLI {
           container.image.padEnd(14),
           (container.command.length > 10 ? container.command.substring(0, 10) + '...' : container.command).padEnd(12),
           this.formatDate(container.created).padEnd(14),
-          container.status.padEnd(14),
+          (container.status === 'exited' ? `Exited (${container.exitCode})`
+            : container.status === 'restarting' ? `Restarting (${container.exitCode})` : container.status).padEnd(14),
           (container.ports.join(',') || '-').padEnd(8),
           container.names[0] || '-'
         ].join(' ');
@@ -1952,11 +9330,135 @@ class DockerNexusCLI {
     }
   }
   
+  async handleCreate(image, command, options) {
+    const result = await this.engine.createContainer(image, command.length ? command : null, {
+      interactive: options.interactive,
+      tty: options.tty,
+      ports: options.publish,
+      volumes: options.volume,
+      env: options.env,
+      platform: options.platform,
+      runtime: options.runtime,
+      restart: options.restart
+    });
+    
+    if (!result.success) {
+      console.error(chalk.red(`\n❌ Create failed: ${result.error}`));
+      process.exit(1);
+    }
+    console.log(result.result.value.containerId);
+  }
+  
+  // Une action par container, dans l'ordre; le code de sortie signale l'échec d'au moins une
+  async handleContainerAction(containers, action) {
+    let failed = false;
+    
+    for (const container of containers) {
+      const result = await action(container);
+      if (result.success) {
+        console.log(container);
+      } else {
+        console.error(chalk.red(`❌ ${result.error}`));
+        failed = true;
+      }
+    }
+    if (failed) process.exit(1);
+  }
+  
+  parseGracePeriod(value) {
+    const seconds = Number(value);
+    if (!Number.isInteger(seconds) || seconds < 0) {
+      console.error(chalk.red(`❌ Invalid grace period: ${value} (expected a number of seconds)`));
+      process.exit(1);
+    }
+    return seconds;
+  }
+  
+  async handleExec(container, command, options) {
+    const result = await this.engine.execContainer(container, command, {
+      interactive: options.interactive,
+      tty: options.tty,
+      env: options.env,
+      workdir: options.workdir,
+      user: options.user
+    });
+    
+    if (!result.success) {
+      console.error(chalk.red(`❌ Exec failed: ${result.error}`));
+      process.exit(126);
+    }
+    
+    const { exitCode, error } = result.result.value;
+    if (error) console.error(chalk.red(`❌ ${error}`));
+    process.exit(exitCode);
+  }
+  
+  // Détaché: le container continue; sinon le code de sortie du container est repris
+  async handleAttach(container, options) {
+    const result = await this.engine.attachContainer(container, {
+      stdin: options.stdin,
+      detachKeys: options.detachKeys
+    });
+    
+    if (!result.success) {
+      console.error(chalk.red(`❌ Attach failed: ${result.error}`));
+      process.exit(1);
+    }
+    this.exitAttached(result.result.value);
+    
+    const waited = await this.engine.waitContainer(result.result.value.containerId);
+    if (!waited.success) {
+      console.error(chalk.red(`❌ Wait failed: ${waited.error}`));
+      process.exit(1);
+    }
+    const { exitCode, error } = waited.result.value;
+    if (error) console.error(chalk.red(`❌ ${error}`));
+    process.exit(exitCode ?? 0);
+  }
+  
+  // Sans code de sortie (socket fermé avant la fin du container), l'appelant attend le container
+  exitAttached({ containerId, detached, exitCode }) {
+    if (detached) {
+      console.error(chalk.yellow(`\n🔌 Detached from container ${containerId.substring(0, 12)} (still running)`));
+      process.exit(0);
+    }
+    if (exitCode !== null && exitCode !== undefined) process.exit(exitCode);
+  }
+  
+  async handleLogs(container, options) {
+    const tail = options.tail !== undefined ? parseInt(options.tail, 10) : null;
+    if (tail !== null && (isNaN(tail) || tail < 0)) {
+      console.error(chalk.red(`❌ Invalid --tail value: ${options.tail}`));
+      process.exit(1);
+    }
+    
+    const result = await this.engine.containerLogs(container, { tail });
+    if (!result.success) {
+      console.error(chalk.red(`❌ Failed to get logs: ${result.error}`));
+      process.exit(1);
+    }
+    
+    const { containerId, logs, position } = result.result.value;
+    logs.forEach(entry => {
+      const line = options.timestamps ? `${entry.timestamp} ${entry.message}` : entry.message;
+      (entry.stream === 'stderr' ? process.stderr : process.stdout).write(`${line}\n`);
+    });
+    
+    if (options.follow) {
+      // Suite du flux: le fichier de logs est relu depuis la dernière ligne affichée
+      const waited = await this.engine.waitContainer(containerId, { follow: true, skip: position, timestamps: options.timestamps });
+      if (!waited.success) {
+        console.error(chalk.red(`❌ Failed to follow logs: ${waited.error}`));
+        process.exit(1);
+      }
+    }
+  }
+  
   async handleImages() {
     const result = await this.engine.listImages();
     
     if (result.success) {
-      const images = result.result.result;
+      const images = result.result.value;
       
       if (images.length === 0) {
         console.log(chalk.yellow('\n📋 No images found'));
@@ -1964,13 +9466,14 @@ class DockerNexusCLI {
       }
       
       console.log(chalk.blue('\n📋 IMAGES'));
-      console.log('REPOSITORY     TAG       IMAGE ID      CREATED       SIZE');
+      console.log('REPOSITORY     TAG       IMAGE ID      PLATFORM        CREATED       SIZE');
       
       images.forEach(image => {
         const line = [
           image.repository.padEnd(14),
           image.tag.padEnd(9),
           image.imageId.padEnd(12),
+          image.platform.padEnd(15),
           this.formatDate(image.created).padEnd(13),
           image.size
         ].join(' ');
@@ -1982,14 +9485,244 @@ class DockerNexusCLI {
     }
   }
   
-  async handlePull(image) {
+  async handleTag(source, target) {
+    const result = await this.engine.tagImage(source, target);
+    
+    if (!result.success) {
+      console.error(chalk.red(`❌ Tag failed: ${result.error}`));
+      process.exit(1);
+    }
+  }
+  
+  async handleRmi(images, options) {
+    let failed = false;
+    
+    for (const image of images) {
+      const result = await this.engine.removeImage(image, { force: !!options.force });
+      
+      if (result.success) {
+        const { untagged, deleted } = result.result.value;
+        untagged.forEach(reference => console.log(`Untagged: ${reference}`));
+        deleted.forEach(id => console.log(`Deleted: ${id}`));
+      } else {
+        console.error(chalk.red(`❌ Error response: ${result.error}`));
+        failed = true;
+      }
+    }
+    
+    if (failed) process.exit(1);
+  }
+  
+  async handleImageSbom(image, options) {
+    const result = await this.engine.imageSbom(image, {
+      format: options.format,
+      attach: options.attach,
+      platform: options.platform ? ociPlatform.parse(options.platform) : null
+    });
+    
+    if (!result.success) {
+      console.error(chalk.red(`❌ SBOM failed: ${result.error}`));
+      process.exit(1);
+    }
+    
+    const { document, packages, os, attached, format } = result.result.value;
+    if (options.output) {
+      await fs.writeFile(options.output, JSON.stringify(document, null, 2));
+      console.log(chalk.green(`📋 ${format} SBOM for ${image}: ${packages} packages${os?.name ? ` on ${os.name}` : ''} → ${options.output}`));
+    } else {
+      this.printDocument(document);
+    }
+    if (attached) {
+      console.log(chalk.gray(`   Attached as ${attached}`));
+    }
+  }
+  
+  async handleImageScan(image, options) {
+    const result = await this.engine.scanImage(image, {
+      severity: options.severity ? options.severity.split(',').map(level => level.trim()).filter(Boolean) : null,
+      platform: options.platform ? ociPlatform.parse(options.platform) : null
+    });
+    
+    if (!result.success) {
+      console.error(chalk.red(`❌ Scan failed: ${result.error}`));
+      process.exit(1);
+    }
+    
+    const report = result.result.value;
+    if (options.format === 'json') {
+      this.printDocument(report);
+    } else {
+      const colors = { CRITICAL: chalk.red.bold, HIGH: chalk.red, MEDIUM: chalk.yellow, LOW: chalk.blue, UNKNOWN: chalk.gray };
+      
+      console.log(chalk.blue(`\n🛡️  ${report.subject.name}${report.os?.name ? ` (${report.os.name})` : ''}: ${report.packages} packages, ${report.findings.length} vulnerabilities`));
+      console.log(chalk.gray(`   ${Object.entries(report.summary).map(([level, count]) => `${level}: ${count}`).join('  ')}`));
+      console.log(chalk.gray(`   Database: ${report.database.advisories} advisories, updated ${report.database.updated}`));
+      
+      for (const level of SEVERITIES) {
+        const findings = report.findings.filter(finding => finding.severity === level);
+        if (findings.length === 0) continue;
+        
+        console.log(colors[level](`\n${level}`));
+        console.log('ID                    PACKAGE              INSTALLED        FIXED IN         TITLE');
+        findings.forEach(finding => {
+          console.log([
+            finding.id.padEnd(21),
+            finding.package.padEnd(20),
+            finding.version.padEnd(16),
+            (finding.fixed || '-').padEnd(16),
+            finding.summary
+          ].join(' '));
+        });
+      }
+    }
+    
+    // Gate CI: code de sortie choisi dès qu'une vulnérabilité (au-dessus du filtre) est trouvée
+    const exitCode = parseInt(options.exitCode, 10) || 0;
+    if (report.findings.length > 0 && exitCode !== 0) {
+      process.exit(exitCode);
+    }
+  }
+  
+  async handleScanDb(action, path) {
+    const result = await this.engine.scanDatabase(action, path);
+    
+    if (!result.success) {
+      console.error(chalk.red(`❌ Error: ${result.error}`));
+      process.exit(1);
+    }
+    
+    const value = result.result.value;
+    if (action === 'import') {
+      console.log(chalk.green(`🛡️  Imported ${value.imported} advisories from ${value.files} files (${value.skipped} skipped)`));
+      console.log(chalk.gray(`   Database: ${value.total} advisories`));
+    } else {
+      console.log(chalk.blue(`\n🛡️  Advisory database: ${value.advisories} advisories`));
+      console.log(chalk.gray(`   Updated: ${value.updated || 'never'}`));
+      Object.entries(value.ecosystems).forEach(([ecosystem, count]) => console.log(`   ${ecosystem.padEnd(10)} ${count}`));
+      value.sources.forEach(source => console.log(chalk.gray(`   Source: ${source.path} (${source.advisories} advisories, ${source.imported})`)));
+    }
+  }
+  
+  async handleTrustSign(image, options) {
+    const result = await this.engine.signImage(image, options.key);
+    
+    if (!result.success) {
+      console.error(chalk.red(`❌ Signing failed: ${result.error}`));
+      process.exit(1);
+    }
+    console.log(chalk.gray(`   Signature: ${result.result.value.digest}`));
+  }
+  
+  async handleTrustInspect(image) {
+    const result = await this.engine.inspectTrust(image);
+    
+    if (!result.success) {
+      console.error(chalk.red(`❌ Error: ${result.error}`));
+      process.exit(1);
+    }
+    
+    const { name, digest, policy, signatures } = result.result.value;
+    console.log(chalk.blue(`\n🔏 ${name || image}@${digest}`));
+    console.log(chalk.gray(`   Policy: ${policy.require}${policy.scope ? ` (scope ${policy.scope})` : ' (default)'}${policy.keys ? `, keys: ${policy.keys.join(', ')}` : ''}`));
+    
+    if (signatures.length === 0) {
+      console.log(chalk.yellow('   No signatures'));
+      return;
+    }
+    signatures.forEach(signature => {
+      const status = signature.valid ? chalk.green(`✅ valid (${signature.signer})`) : chalk.red(`❌ ${signature.error || 'untrusted'}`);
+      console.log(`   ${signature.keyId || '?'}  ${signature.subject.substring(7, 19)}  ${signature.created || ''}  ${status}`);
+    });
+  }
+  
+  async handleTrustKey(action, name, file) {
+    const result = await this.engine.trustKeys(action, name, file);
+    
+    if (!result.success) {
+      console.error(chalk.red(`❌ Error: ${result.error}`));
+      process.exit(1);
+    }
+    
+    const value = result.result.value;
+    if (action === 'list') {
+      if (value.length === 0) {
+        console.log(chalk.yellow('No keys'));
+        return;
+      }
+      console.log('NAME                 KEY ID             SIGNING');
+      value.forEach(key => console.log(`${key.name.padEnd(20)} ${key.keyId.padEnd(18)} ${key.signing ? 'yes' : 'no'}`));
+    } else if (action === 'generate') {
+      console.log(chalk.green(`🔑 Generated key ${value.name} (${value.keyId})`));
+      console.log(chalk.gray(`   Public key: ${value.publicKey}`));
+    } else {
+      console.log(chalk.green(`🔑 Trusted key ${value.name} (${value.keyId})`));
+    }
+  }
+  
+  async handleImageInspect(images) {
+    const inspected = [];
+    
+    for (const image of images) {
+      const result = await this.engine.inspectImage(image);
+      
+      if (!result.success) {
+        console.error(chalk.red(`❌ Error: ${result.error}`));
+        process.exit(1);
+      }
+      inspected.push(result.result.value);
+    }
+    
+    console.log(JSON.stringify(inspected, null, 4));
+  }
+  
+  async handleContainerInspect(containers) {
+    const inspected = [];
+    
+    for (const container of containers) {
+      const result = await this.engine.inspectContainer(container);
+      
+      if (!result.success) {
+        console.error(chalk.red(`❌ Error: ${result.error}`));
+        process.exit(1);
+      }
+      inspected.push(result.result.value);
+    }
+    
+    console.log(JSON.stringify(inspected, null, 4));
+  }
+  
+  async handleHistory(image, options) {
+    const result = await this.engine.imageHistory(image);
+    
+    if (!result.success) {
+      console.error(chalk.red(`❌ Error: ${result.error}`));
+      process.exit(1);
+    }
+    
+    const trunc = options.trunc !== false;
+    console.log('IMAGE          CREATED       CREATED BY                                      SIZE       COMMENT');
+    
+    result.result.value.forEach(entry => {
+      const createdBy = trunc && entry.createdBy.length > 45 ? `${entry.createdBy.substring(0, 44)}…` : entry.createdBy;
+      const line = [
+        (entry.id === '<missing>' || !trunc ? entry.id : entry.id.substring(0, 12)).padEnd(14),
+        this.formatDate(entry.created).padEnd(13),
+        createdBy.padEnd(47),
+        this.formatBytes(entry.size).padEnd(10),
+        entry.comment
+      ].join(' ');
+      
+      console.log(chalk.white(line));
+    });
+  }
+  
+  async handlePull(image, options = {}) {
     console.log(chalk.blue(`\n⬇️  Pulling ${image}...`));
     
-    const [name, tag] = image.split(':');
-    const result = await this.engine.pullImage(name, tag || 'latest');
+    const result = await this.engine.pullImage(image, { platform: options.platform });
     
     if (result.success) {
-      const { imageId, size } = result.result.result;
+      const { imageId, size } = result.result.value;
       console.log(chalk.green(`\n✅ Pull complete: ${image}`));
       console.log(chalk.gray(`   Image ID: ${imageId.substring(0, 12)}`));
       console.log(chalk.gray(`   Size: ${this.formatBytes(size)}`));
@@ -1999,6 +9732,87 @@ class DockerNexusCLI {
     }
   }
   
+  async handlePush(image) {
+    const result = await this.engine.pushImage(image);
+    
+    if (!result.success) {
+      console.error(chalk.red(`\n❌ Push failed: ${result.error}`));
+      process.exit(1);
+    }
+  }
+  
+  async handleLogin(server, options) {
+    let { username, password } = options;
+    
+    if (options.passwordStdin) {
+      if (password) {
+        console.error(chalk.red('❌ --password and --password-stdin are mutually exclusive'));
+        process.exit(1);
+      }
+      const chunks = [];
+      for await (const chunk of process.stdin) chunks.push(chunk);
+      password = Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+    }
+    if (!username || !password) {
+      const answers = await inquirer.prompt([
+        { type: 'input', name: 'username', message: 'Username:', when: !username },
+        { type: 'password', name: 'password', message: 'Password:', mask: '*', when: !password }
+      ]);
+      username = username || answers.username;
+      password = password || answers.password;
+    }
+    if (options.password) {
+      console.log(chalk.yellow('⚠️  Using --password via the CLI is insecure. Use --password-stdin.'));
+    }
+    
+    const result = await this.engine.login(server, username, password);
+    
+    if (result.success) {
+      console.log(chalk.green(`✅ Login Succeeded (${result.result.value.domain})`));
+    } else {
+      console.error(chalk.red(`❌ Login failed: ${result.error}`));
+      process.exit(1);
+    }
+  }
+  
+  async handleLogout(server) {
+    const result = await this.engine.logout(server);
+    
+    if (!result.success) {
+      console.error(chalk.red(`❌ Logout failed: ${result.error}`));
+      process.exit(1);
+    }
+    
+    const { domain, existed } = result.result.value;
+    console.log(existed ? chalk.green(`👋 Removing login credentials for ${domain}`) : chalk.gray(`Not logged in to ${domain}`));
+  }
+  
+  async handleSave(images, options) {
+    const result = await this.engine.saveImages(images, options.output);
+    
+    if (result.success) {
+      const { output, size } = result.result.value;
+      console.log(chalk.green(`\n✅ Saved ${images.join(', ')} to ${output}`));
+      console.log(chalk.gray(`   Size: ${this.formatBytes(size)}`));
+    } else {
+      console.error(chalk.red(`\n❌ Save failed: ${result.error}`));
+      process.exit(1);
+    }
+  }
+  
+  async handleLoad(options) {
+    const result = await this.engine.loadImages(options.input);
+    
+    if (result.success) {
+      result.result.value.forEach(({ reference, imageId }) => {
+        console.log(chalk.green(`✅ Loaded image: ${reference || `sha256:${imageId}`}`));
+      });
+    } else {
+      console.error(chalk.red(`\n❌ Load failed: ${result.error}`));
+      process.exit(1);
+    }
+  }
+  
   async handleNetworkCreate(name) {
     const result = await this.engine.createNetwork(name);
     
@@ -2013,7 +9827,7 @@ class DockerNexusCLI {
     const result = await this.engine.execute('list_networks', {});
     
     if (result.success) {
-      const networks = result.result.result;
+      const networks = result.result.value;
       
       console.log(chalk.blue('\n🌐 NETWORKS'));
       console.log('NAME       DRIVER    SUBNET           GATEWAY      CONTAINERS');
@@ -2046,7 +9860,7 @@ class DockerNexusCLI {
     const result = await this.engine.execute('list_volumes', {});
     
     if (result.success) {
-      const volumes = result.result.result;
+      const volumes = result.result.value;
       
       console.log(chalk.blue('\n💾 VOLUMES'));
       console.log('NAME           DRIVER    MOUNTPOINT');
@@ -2074,6 +9888,7 @@ class DockerNexusCLI {
     console.log(`OS:             ${info.os}`);
     console.log(`Kernel:         ${info.kernelVersion}`);
     console.log(`Storage Driver: ${info.storageDriver}`);
+    console.log(`Data Root:      ${info.dataRoot}`);
     console.log(`Containers:     ${info.containers} running`);
     console.log(`Images:         ${info.images}`);
     console.log(`Networks:       ${info.networks}`);
@@ -2138,7 +9953,7 @@ class DockerNexusCLI {
       images: () => this.handleImages(),
       ps: (args) => this.handlePs({ all: args.includes('--all') }),
       pull: (args) => args[0] ? this.handlePull(args[0]) : console.log(chalk.red('Usage: pull <image>')),
-      run: (args) => args[0] ? this.handleRun(args[0], null, { detached: true }) : console.log(chalk.red('Usage: run <image>')),
+      run: (args) => args[0] ? this.handleRun(args[0], [], { detach: true }) : console.log(chalk.red('Usage: run <image>')),
       networks: () => this.handleNetworkList(),
       volumes: () => this.handleVolumeList(),
       system: (args) => args[0] === 'info' ? this.handleSystemInfo() : console.log(chalk.red('Usage: system info')),
@@ -2205,7 +10020,7 @@ CMD ["echo", "Hello from Docker Nexus!"]`;
       },
       {
         title: '3. Build Image',
-        action: () => this.handleBuild('demo-app:latest', '.', { file: 'Dockerfile' })
+        action: () => this.handleBuild('demo-app:latest', '.', { file: 'Dockerfile', executor: 'dry-run' })
       },
       {
         title: '4. List Images',
@@ -2213,7 +10028,7 @@ CMD ["echo", "Hello from Docker Nexus!"]`;
       },
       {
         title: '5. Run Container',
-        action: () => this.handleRun('demo-app:latest', null, { detached: true })
+        action: () => this.handleRun('demo-app:latest', [], { detach: true })
       },
       {
         title: '6. List Containers',
@@ -2265,6 +10080,32 @@ CMD ["echo", "Hello from Docker Nexus!"]`;
     }
   }
   
+  async handleRegistry(options) {
+    const auth = options.auth || process.env.DOCKER_NEXUS_REGISTRY_AUTH || null;
+    try {
+      const { host, port } = await this.engine.modules.webserver.process('start_server', {
+        port: parseInt(options.port, 10),
+        host: options.host || (auth ? '0.0.0.0' : '127.0.0.1'),
+        auth
+      });
+      console.log(chalk.cyan(`📦 Registry API: http://${host}:${port}/v2/`));
+      if (!auth && !loopbackAddress(host)) {
+        console.log(chalk.yellow(`⚠️  Listening on ${host} without --auth: push and delete are refused`));
+      }
+      
+      const shutdown = async (signal) => {
+        console.log(chalk.yellow(`\n🛑 Received ${signal} - stopping registry...`));
+        await this.engine.modules.webserver.process('stop_server', {});
+        process.exit(0);
+      };
+      process.on('SIGTERM', () => shutdown('SIGTERM'));
+      process.on('SIGINT', () => shutdown('SIGINT'));
+    } catch (error) {
+      console.error(chalk.red(`❌ Registry failed: ${error.message}`));
+      process.exit(1);
+    }
+  }
+  
   async handleWebServer() {
     console.log(chalk.blue('\n🌐 Starting Docker Nexus Web Server...'));
     console.log(chalk.gray(`📍 Environment: ${process.env.NODE_ENV || 'development'}`));
@@ -2856,6 +10697,21 @@ CMD ["echo", "Hello from Docker Nexus!"]`;
         console.log(chalk.gray(`🔍 Health check: ${health.status}`));
       }, 60000);
       
+      // Superviseur des politiques de redémarrage: always relancé dès le démarrage du daemon,
+      // puis vérification chaque seconde, ou plus tôt si une relance est due
+      let supervisor = null;
+      const supervise = async (boot = false) => {
+        let next = 1000;
+        try {
+          const result = await this.engine.superviseContainers({ boot });
+          if (result.value.next !== null) next = Math.min(next, result.value.next);
+        } catch (error) {
+          console.error(chalk.red(`❌ Supervisor error: ${error.message}`));
+        }
+        supervisor = setTimeout(() => supervise(), next);
+      };
+      await supervise(true);
+      
       console.log(chalk.green('✅ Daemon started successfully'));
       console.log(chalk.gray('Press Ctrl+C to stop'));
       
@@ -2863,12 +10719,14 @@ CMD ["echo", "Hello from Docker Nexus!"]`;
       process.on('SIGTERM', () => {
         console.log(chalk.yellow('\n🛑 Stopping daemon...'));
         clearInterval(healthInterval);
+        clearTimeout(supervisor);
         process.exit(0);
       });
       
       process.on('SIGINT', () => {
         console.log(chalk.yellow('\n🛑 Stopping daemon...'));
         clearInterval(healthInterval);
+        clearTimeout(supervisor);
         process.exit(0);
       });
       
@@ -2895,8 +10753,8 @@ CMD ["echo", "Hello from Docker Nexus!"]`;
         console.log(chalk.yellow(`📦 Found ${images.result.result.length} images`));
       }
       
-      // System cleanup
-      const tmpDir = join(os.tmpdir(), 'docker-nexus');
+      // System cleanup: l'état persistant du data-root est conservé
+      const tmpDir = this.engine.store.path('tmp');
       try {
         await fs.rm(tmpDir, { recursive: true, force: true });
         console.log(chalk.green(`✅ Cleaned up temporary files: ${tmpDir}`));
@@ -3001,7 +10859,8 @@ async function main() {
       return;
     }
     
-    console.log(chalk.blue('🐳 Starting Docker Nexus...'));
+    // Sur stderr: stdout reste au résultat de la commande
+    console.error(chalk.blue('🐳 Starting Docker Nexus...'));
     
     const cli = new DockerNexusCLI();
     await cli.run();
@@ -3030,7 +10889,11 @@ export {
 
 // Auto-start if run directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main().catch(console.error);
+  if (process.argv[2] === CONTAINER_SHIM_ARG) {
+    containerShim(process.argv[3]).catch(console.error);
+  } else {
+    main().catch(console.error);
+  }
 }
 
 /*
@@ -3043,11 +10906,38 @@ Commandes Docker compatibles:
 ./app.js build myapp:latest .
 ./app.js run -it ubuntu:latest /bin/bash
 ./app.js ps --all
+./app.js logs -f <container>
+./app.js create alpine:latest sleep 300 && ./app.js start <container>
+./app.js stop -t 5 <container> && ./app.js restart <container>
+./app.js kill -s HUP <container>
+./app.js rm -f -v <container>
+./app.js run -d --restart unless-stopped myapp:latest   # relancé par ./app.js daemon
+./app.js container inspect <container>
+./app.js exec -it -u app -w /srv <container> sh
+./app.js attach <container>                      # Ctrl-P Ctrl-Q détache, le container continue
+./app.js run -it --detach-keys ctrl-x,x alpine:latest sh
 ./app.js images
 ./app.js pull alpine:latest
+./app.js save myapp:latest -o myapp.tar
+./app.js load -i myapp.tar
+./app.js registry -p 5000 --auth user:password   # sans --auth: écoute sur 127.0.0.1 uniquement
 ./app.js network create mynetwork
 ./app.js volume create myvolume
 ./app.js system info
+./app.js --data-root /var/lib/docker-nexus images
+
+État persistant (images, containers, networks, volumes):
+$DOCKER_NEXUS_DATA_ROOT ou --data-root, par défaut $TMPDIR/docker-nexus
+
+Runtime des containers (run --runtime ou $DOCKER_NEXUS_RUNTIME):
+process    # Défaut sous Linux: vrai processus sous un shim, rootfs de l'image comme racine (root + unshare requis)
+host       # Processus hôte non confiné, répertoire courant dans le rootfs (opt-in explicite)
+simulated  # Logs simulés, aucun processus (tests)
+
+Exécuteur des RUN du build (build --executor ou $DOCKER_NEXUS_BUILD_EXECUTOR):
+host-sandbox  # Défaut: rootfs de l'étape comme racine (root + unshare requis)
+host          # Commande sur l'hôte, non confinée (opt-in explicite)
+dry-run       # Rien n'est exécuté, layer vide
 
 Modes spéciaux:
 ./app.js --demo              # Démonstration complète
@@ -3070,6 +10960,7 @@ await engine.buildImage('myapp', './Dockerfile');
 ✅ Monitoring et métriques
 ✅ Health checks
 ✅ Architecture modulaire NEXUS AXION
+✅ Registry OCI Distribution intégré (docker-nexus registry)
 
 🧬 ESSENCES NEXUS AXION INTÉGRÉES:
 
@@ -3091,7 +10982,6 @@ await engine.buildImage('myapp', './Dockerfile');
 🌟 ÉVOLUTIONS POSSIBLES:
 
 - 🌐 Support Kubernetes natif
-- 🔄 Registry intégré 
 - 📊 Dashboard web
 - 🤖 Auto-scaling intelligent
 - ☁️ Multi-cloud deployment